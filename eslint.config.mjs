@@ -1,3 +1,18 @@
 import config from "@iobroker/eslint-config";
 
-export default [...config];
+export default [
+  ...config,
+  {
+    files: ["test/**/*.js"],
+    languageOptions: {
+      globals: {
+        describe: "readonly",
+        it: "readonly",
+        before: "readonly",
+        after: "readonly",
+        beforeEach: "readonly",
+        afterEach: "readonly"
+      }
+    }
+  }
+];
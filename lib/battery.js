@@ -0,0 +1,76 @@
+"use strict";
+
+/**
+ * Batterieüberwachung: Stufen ok / low / critical mit Hysterese und grobe Restlaufzeit aus dem Entladetrend.
+ * Verlauf je Gerät als JSON in info.batteryHistory: { <deviceId>: [[ts, percent], ...] }
+ */
+
+const SAMPLE_INTERVAL_MS = 6 * 3600 * 1000; // höchstens ein Messpunkt je 6 h
+const HISTORY_MS = 60 * 24 * 3600 * 1000; // Trend über die letzten 60 Tage
+const MIN_TREND_MS = 3 * 24 * 3600 * 1000; // Schätzung erst ab 3 Tagen Verlauf
+const REPLACED_JUMP = 10; // % Anstieg = Batterie gewechselt, Verlauf neu beginnen
+
+/**
+ * @param {string|null|undefined} previous level of the last evaluation (ok, low, critical)
+ * @param {number} percent current battery level in %
+ * @param {{low: number, critical: number, hysteresis: number}} settings thresholds in %
+ * @returns {string} ok, low or critical; a level is only left above its threshold plus hysteresis
+ */
+function batteryLevel(previous, percent, settings) {
+  const { low, critical, hysteresis } = settings;
+  if (percent <= critical || (previous === "critical" && percent <= critical + hysteresis)) {
+    return "critical";
+  }
+  if (percent <= low || ((previous === "low" || previous === "critical") && percent <= low + hysteresis)) {
+    return "low";
+  }
+  return "ok";
+}
+
+/**
+ * @param {[number, number][]|undefined} samples history of the device
+ * @param {number} now current time
+ * @param {number} percent current battery level in %
+ * @returns {[number, number][]} new history (unchanged reference when no sample was added)
+ */
+function addBatterySample(samples, now, percent) {
+  const list = Array.isArray(samples) ? samples : [];
+  const last = list[list.length - 1];
+  if (last && percent >= last[1] + REPLACED_JUMP) {
+    return [[now, percent]];
+  }
+  if (last && now - last[0] < SAMPLE_INTERVAL_MS) {
+    return list;
+  }
+  return [...list.filter(([ts]) => now - ts <= HISTORY_MS), [now, percent]];
+}
+
+/**
+ * Lineare Regression über den Verlauf
+ *
+ * @param {[number, number][]|undefined} samples history of the device
+ * @param {number} untilPercent level that counts as empty (critical threshold)
+ * @returns {number|null} days until the level is reached, null = not enough history or no discharge
+ */
+function estimateDaysLeft(samples, untilPercent) {
+  if (!Array.isArray(samples) || samples.length < 3 || samples[samples.length - 1][0] - samples[0][0] < MIN_TREND_MS) {
+    return null;
+  }
+  const days = samples.map(([ts]) => (ts - samples[0][0]) / 86400000);
+  const values = samples.map(([, percent]) => percent);
+  const meanX = days.reduce((a, b) => a + b, 0) / days.length;
+  const meanY = values.reduce((a, b) => a + b, 0) / values.length;
+  let num = 0;
+  let den = 0;
+  days.forEach((x, i) => {
+    num += (x - meanX) * (values[i] - meanY);
+    den += (x - meanX) ** 2;
+  });
+  const slope = den ? num / den : 0; // % pro Tag
+  if (slope >= -0.01) {
+    return null;
+  }
+  return Math.max(0, Math.round((values[values.length - 1] - untilPercent) / -slope));
+}
+
+module.exports = { batteryLevel, addBatterySample, estimateDaysLeft };
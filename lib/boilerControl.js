@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Kesselrelais nach Wärmebedarf der Thermostate schalten.
+ * Bedarf = höchster pi_heating_demand der gewählten Geräte (output_status "active" zählt als 100 %).
+ * Einschalten ab onThreshold, Ausschalten ab offThreshold (Hysterese), Mindestlaufzeit/-pause gegen Takten.
+ */
+
+const BOILER_MODES = { auto: "Automatic (heating demand)", on: "Manual on", off: "Manual off" };
+
+/**
+ * @param {{pi_heating_demand?: unknown, output_status?: unknown}[]} devices status values per device
+ * @returns {number|null} highest demand in %, null = no device reports a demand
+ */
+function heatingDemand(devices) {
+  const values = [];
+  for (const dev of devices) {
+    if (typeof dev.pi_heating_demand === "number" && Number.isFinite(dev.pi_heating_demand)) {
+      values.push(dev.pi_heating_demand);
+    } else if (dev.output_status !== undefined && dev.output_status !== null && dev.output_status !== "") {
+      values.push(dev.output_status === true || /^(active|on|true)$/i.test(String(dev.output_status)) ? 100 : 0);
+    }
+  }
+  return values.length ? Math.max(...values) : null;
+}
+
+/**
+ * @param {object} input controller input
+ * @param {number|null} input.demand highest demand in % (null = unknown, counts as 0)
+ * @param {boolean} input.relayOn current relay state
+ * @param {number} input.lastSwitch time of the last switching (0 = unknown)
+ * @param {number} input.now current time
+ * @param {string} input.mode auto | on | off
+ * @param {{onThreshold: number, offThreshold: number, minOnMs: number, minOffMs: number}} input.settings thresholds and minimum times
+ * @returns {{on: boolean, reason: string, waitMs?: number}} requested relay state, reason and time until a blocked switch is allowed
+ */
+function boilerDecision(input) {
+  const { demand, relayOn, lastSwitch, now, mode, settings } = input;
+  if (mode === "on" || mode === "off") {
+    return { on: mode === "on", reason: `manual ${mode}` };
+  }
+
+  const value = demand ?? 0;
+  const shown = demand === null ? "no demand data" : `demand ${value} %`;
+  let wantOn;
+  let reason;
+  if (relayOn) {
+    wantOn = value > settings.offThreshold;
+    reason = wantOn ? `${shown} > ${settings.offThreshold} %` : `${shown} ≤ ${settings.offThreshold} %`;
+  } else {
+    wantOn = value >= settings.onThreshold;
+    reason = wantOn ? `${shown} ≥ ${settings.onThreshold} %` : `${shown} < ${settings.onThreshold} %`;
+  }
+  if (wantOn === relayOn) {
+    return { on: relayOn, reason };
+  }
+
+  const minMs = relayOn ? settings.minOnMs : settings.minOffMs;
+  const waitMs = lastSwitch + minMs - now;
+  if (waitMs > 0) {
+    return {
+      on: relayOn,
+      reason: `${reason}, minimum ${relayOn ? "on" : "off"} time (${Math.ceil(waitMs / 60000)} min left)`,
+      waitMs
+    };
+  }
+  return { on: wantOn, reason };
+}
+
+module.exports = { heatingDemand, boilerDecision, BOILER_MODES };
@@ -0,0 +1,60 @@
+"use strict";
+
+/**
+ * Boost: Gerät für eine Zeit auf eine feste Temperatur, danach vorherigen Zustand wiederherstellen.
+ * Aktive Boosts werden als JSON in info.activeBoosts gespeichert:
+ * { <deviceId>: { until, temperature, previous: { mode, temp_set } } }
+ */
+
+const DEFAULT_BOOST_TEMP = 24; // °C, solange control.boostTemperature nicht gesetzt ist
+const MAX_BOOST_MIN = 24 * 60;
+
+/**
+ * @param {{until: number}} boost active boost
+ * @param {number} now current time
+ * @returns {number} remaining minutes (rounded up, 0 when expired)
+ */
+function remainingMinutes(boost, now) {
+  return Math.max(0, Math.ceil((boost.until - now) / 60000));
+}
+
+/**
+ * Commands zum Wiederherstellen. Der Sollwert wird nur im manuellen Modus (oder ohne Modus)
+ * zurückgeschrieben – in den übrigen Modi gilt wieder der Sollwert des Modus.
+ *
+ * @param {{mode?: string|null, temp_set?: number|null}} previous state before the boost
+ * @returns {{code: string, value: ioBroker.StateValue}[]} writes in send order
+ */
+function restorePlan(previous) {
+  const plan = [];
+  const mode = previous?.mode;
+  if (typeof mode === "string" && mode) {
+    plan.push({ code: "mode", value: mode });
+  }
+  if (typeof previous?.temp_set === "number" && (!mode || mode === "manual")) {
+    plan.push({ code: "temp_set", value: previous.temp_set });
+  }
+  return plan;
+}
+
+/**
+ * @param {ioBroker.StateValue} val content of info.activeBoosts
+ * @returns {object} active boosts by device id (invalid entries dropped)
+ */
+function parseBoosts(val) {
+  let parsed;
+  try {
+    parsed = val ? JSON.parse(String(val)) : {};
+  } catch {
+    return {};
+  }
+  const boosts = {};
+  for (const [deviceId, boost] of Object.entries(parsed && typeof parsed === "object" ? parsed : {})) {
+    if (boost && Number.isFinite(boost.until)) {
+      boosts[deviceId] = boost;
+    }
+  }
+  return boosts;
+}
+
+module.exports = { remainingMinutes, restorePlan, parseBoosts, DEFAULT_BOOST_TEMP, MAX_BOOST_MIN };
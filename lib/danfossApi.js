@@ -1,5 +1,7 @@
 "use strict";
 const axios = require("axios");
+const { RequestScheduler, PRIORITY } = require("./requestScheduler");
+const { getProfile } = require("./profiles");
 
 function firstNonEmpty(...values) {
   for (const value of values) {
@@ -10,6 +12,67 @@ function firstNonEmpty(...values) {
   return "";
 }
 
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_DEVICE_PAGES = 50; // Schutz gegen Endlos-Paging
+
+/**
+ * Eine Seite von GET /devices zerlegen.
+ * Unterstützt bare Arrays, result[]/devices[] sowie result.{devices|list} mit
+ * has_more + last_row_key / next_cursor.
+ *
+ * @param data response body
+ * @returns items plus continuation info (hasMore, cursor, cursorParam)
+ */
+function parseDevicePage(data) {
+  const container = data?.result && !Array.isArray(data.result) && typeof data.result === "object" ? data.result : data;
+  const items = Array.isArray(container)
+    ? container
+    : Array.isArray(data?.result)
+      ? data.result
+      : Array.isArray(container?.devices)
+        ? container.devices
+        : Array.isArray(container?.list)
+          ? container.list
+          : [];
+
+  const pick = (...keys) => {
+    for (const key of keys) {
+      const v = container?.[key] ?? data?.[key];
+      if (v !== undefined && v !== null && v !== "") {
+        return v;
+      }
+    }
+    return null;
+  };
+
+  const lastRowKey = pick("last_row_key", "lastRowKey");
+  const nextCursor = pick("next_cursor", "nextCursor", "cursor");
+  const hasMoreRaw = pick("has_more", "hasMore");
+  const cursor = lastRowKey ?? nextCursor;
+
+  return {
+    items,
+    // ohne has_more-Flag zählt nur ein vorhandener Cursor als "weitere Seite"
+    hasMore: hasMoreRaw !== null ? hasMoreRaw === true || hasMoreRaw === "true" : nextCursor !== null,
+    cursor: cursor !== null ? String(cursor) : null,
+    cursorParam: lastRowKey !== null ? "last_row_key" : nextCursor !== null ? "cursor" : null
+  };
+}
+
+/**
+ * Cloud-Zeitstempel (Sekunden oder ms) → ms
+ *
+ * @param {unknown} v update_time etc.
+ * @returns {number|null} timestamp in ms
+ */
+function toMillis(v) {
+  const n = Number(v);
+  if (v === null || v === undefined || v === "" || !Number.isFinite(n) || n <= 0) {
+    return null;
+  }
+  return n < 1e12 ? n * 1000 : n;
+}
+
 function inferDeviceType(rawType, statusMap) {
   const map = statusMap || {};
   if (rawType && rawType !== "unknown") {
@@ -80,6 +143,7 @@ class DanfossAPI {
     this.tokenUrl = opts.tokenUrl;
     this.apiBaseUrl = opts.apiBaseUrl.replace(/\/+$/, ""); // no trailing slash
     this.scope = opts.scope || "";
+    this.pageSize = Number(opts.pageSize) || DEFAULT_PAGE_SIZE;
     this.log = log;
 
     // optional: zusätzliche Header (nur nutzen, wenn der Anbieter sie fordert)
@@ -90,6 +154,36 @@ class DanfossAPI {
     this._client = axios.create({
       timeout: 15000
     });
+
+    // Rate-Limit: Budget pro Minute, Commands vor Status, Backoff bei 429/5xx
+    this._scheduler = new RequestScheduler(
+      {
+        requestsPerMinute: opts.requestsPerMinute,
+        maxRetries: opts.maxRetries
+      },
+      log
+    );
+  }
+
+  /**
+     Restlaufzeit des Tokens in Sekunden (0 = kein gültiges Token)
+   */
+  get tokenExpiresIn() {
+    return this._token ? Math.max(0, this._tokenExpiry - Math.floor(Date.now() / 1000)) : 0;
+  }
+
+  /**
+     Scheduler stoppen (onUnload)
+   */
+  dispose() {
+    this._scheduler.dispose();
+  }
+
+  /**
+     Fehlgeschlagene Requests nicht mehr wiederholen (Adapter stoppt)
+   */
+  stopRetries() {
+    this._scheduler.stopRetries();
   }
 
   /**
@@ -146,13 +240,28 @@ class DanfossAPI {
   }
 
   /**
-     Start Request
+     Start Request (über den Scheduler)
    
-   * @param method
-   * @param path
-   * @param options
+   * @param method HTTP method
+   * @param path path below apiBaseUrl
+   * @param options axios options, plus optional `priority`
    */
   async _request(method, path, options = {}) {
+    const { priority, ...axiosOptions } = options;
+    return this._scheduler.schedule(() => this._send(method, path, axiosOptions), {
+      priority: priority ?? (method === "GET" ? PRIORITY.STATUS : PRIORITY.COMMAND),
+      label: `${method} ${path}`
+    });
+  }
+
+  /**
+     Einzelnen Request ausführen (ohne Queue)
+   
+   * @param method HTTP method
+   * @param path path below apiBaseUrl
+   * @param options axios options
+   */
+  async _send(method, path, options = {}) {
     const token = await this.ensureToken();
     const url = `${this.apiBaseUrl}${path}`;
 
@@ -199,15 +308,7 @@ class DanfossAPI {
      Geräteliste abrufen
    */
   async getDevices() {
-    const data = await this._request("GET", "/devices");
-
-    const arr = Array.isArray(data?.result)
-      ? data.result
-      : Array.isArray(data?.devices)
-        ? data.devices
-        : Array.isArray(data)
-          ? data
-          : [];
+    const arr = await this._getAllDevicePages();
 
     if (!arr.length) {
       this.log.warn("No devices returned by Danfoss API.");
@@ -226,16 +327,24 @@ class DanfossAPI {
       const rawType = d.device_type || d.deviceType || d.type || "unknown";
       const type = inferDeviceType(rawType, statusMap);
       const name = inferDeviceName(d, statusMap, type);
+      const profile = getProfile(type);
+      const tempCode = statusMap.temp_current !== undefined ? "temp_current" : "temp_set";
+      // 0 °C / 0 % sind echte Werte, nur fehlende Codes werden null
+      const reading = code => (statusMap[code] == null ? null : profile.fromCloud(code, statusMap[code]));
 
       return {
         id: d.id || d.deviceId || d.uid || String(d.uuid || d.name),
         name,
         type,
+        rawType,
         time_zone: d.time_zone || null,
+        model: d.model || d.product_name || null,
+        firmware: d.firmware_version || d.sw_ver || null,
+        lastUpdate: toMillis(d.update_time),
         online: !!d.online,
         battery: statusMap.battery_percentage ?? null,
-        temperature: (statusMap.temp_current ?? statusMap.temp_set) / 10 || null,
-        humidity: (statusMap.humidity_value ?? 0) / 10 || null,
+        temperature: reading(tempCode),
+        humidity: reading("humidity_value"),
         mode: statusMap.mode || null,
         fault: statusMap.fault || 0,
         status: statusMap,
@@ -244,6 +353,53 @@ class DanfossAPI {
     });
   }
 
+  /**
+     Alle Seiten von GET /devices laden und zusammenführen
+     - last_row_key / next_cursor als Fortsetzung, sonst Seitennummer bei has_more
+     - Abbruch bei wiederholtem Cursor, Seite ohne neue Geräte oder MAX_DEVICE_PAGES
+   */
+  async _getAllDevicePages() {
+    const byId = new Map();
+    const seenCursors = new Set();
+    let params = { page_size: this.pageSize };
+
+    for (let page = 1; page <= MAX_DEVICE_PAGES; page++) {
+      const data = await this._request("GET", "/devices", { params });
+      const { items, hasMore, cursor, cursorParam } = parseDevicePage(data);
+
+      let added = 0;
+      for (const d of items) {
+        const key = d?.id || d?.deviceId || d?.uid || d?.uuid || JSON.stringify(d);
+        if (!byId.has(key)) {
+          byId.set(key, d);
+          added++;
+        }
+      }
+
+      if (!hasMore) {
+        return [...byId.values()];
+      }
+      if (!added) {
+        this.log.warn(`Device list paging stopped: page ${page} returned no new devices.`);
+        return [...byId.values()];
+      }
+      if (cursor) {
+        if (seenCursors.has(cursor)) {
+          this.log.warn(`Device list paging stopped: cursor "${cursor}" repeated on page ${page}.`);
+          return [...byId.values()];
+        }
+        seenCursors.add(cursor);
+        params = { page_size: this.pageSize, [cursorParam]: cursor };
+      } else {
+        params = { page_size: this.pageSize, page: page + 1 };
+      }
+      this.log.debug(`Device list: page ${page} with ${items.length} devices, loading next page...`);
+    }
+
+    this.log.warn(`Device list paging stopped after ${MAX_DEVICE_PAGES} pages.`);
+    return [...byId.values()];
+  }
+
   /**
      Gerätestatus abrufen
    
@@ -256,7 +412,11 @@ class DanfossAPI {
         return data.result;
       }
       return data;
-    } catch {
+    } catch (err) {
+      // Gedrosselt: keine weiteren Fallback-Requests hinterherschicken
+      if (err?.response?.status === 429) {
+        throw err;
+      }
       try {
         const data = await this._request("GET", `/devices/${encodeURIComponent(deviceId)}`);
         return data;
@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+ * Geräte-Tabelle aus der Instanz-Konfiguration (native.devices).
+ * Zeile: { id, cloudName, type, enabled, name, room, func }
+ * - enabled=false: Gerät wird nicht gepollt, keine Objekte
+ * - name: eigener Anzeigename (überschreibt den Cloud-Namen)
+ * - room/func: enum.rooms.* / enum.functions.* für das Geräteobjekt
+ */
+
+/**
+ * @param {object[]|undefined} rows native.devices
+ * @param {(id: string) => string} sanitize id sanitizer of the adapter
+ * @returns {Map<string, {enabled: boolean, name: string, room: string, func: string}>} overrides by sanitized id
+ */
+function parseDeviceTable(rows, sanitize) {
+  const map = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || !row.id) {
+      continue;
+    }
+    map.set(sanitize(String(row.id)), {
+      enabled: row.enabled !== false,
+      name: typeof row.name === "string" ? row.name.trim() : "",
+      room: typeof row.room === "string" ? row.room : "",
+      func: typeof row.func === "string" ? row.func : ""
+    });
+  }
+  return map;
+}
+
+/**
+ * Gefundene Geräte in die Tabelle übernehmen. Bestehende Zeilen behalten ihre Overrides,
+ * neue Geräte kommen aktiviert dazu, nicht mehr gefundene bleiben stehen.
+ *
+ * @param {object[]|undefined} rows current native.devices
+ * @param {{id: string, name: string, type: string}[]} discovered devices from the cloud (sanitized ids)
+ * @returns {object[]} new table
+ */
+function mergeDeviceTable(rows, discovered) {
+  const existing = new Map((Array.isArray(rows) ? rows : []).filter(r => r && r.id).map(r => [String(r.id), r]));
+  const result = [];
+  for (const dev of discovered) {
+    const row = existing.get(dev.id);
+    existing.delete(dev.id);
+    result.push({
+      id: dev.id,
+      cloudName: dev.name || "",
+      type: dev.type || "",
+      enabled: row ? row.enabled !== false : true,
+      name: row?.name || "",
+      room: row?.room || "",
+      func: row?.func || ""
+    });
+  }
+  return [...result, ...existing.values()];
+}
+
+/**
+ * @param {ioBroker.StateValue} val content of info.assignedEnums
+ * @returns {{[deviceId: string]: {rooms?: string, functions?: string}}} enums the adapter added the device to, by device id
+ */
+function parseAssignedEnums(val) {
+  let parsed;
+  try {
+    parsed = val ? JSON.parse(String(val)) : {};
+  } catch {
+    return {};
+  }
+  const assigned = {};
+  for (const [deviceId, entry] of Object.entries(parsed && typeof parsed === "object" ? parsed : {})) {
+    const kinds = {};
+    for (const kind of ["rooms", "functions"]) {
+      if (typeof entry?.[kind] === "string" && entry[kind].startsWith(`enum.${kind}.`)) {
+        kinds[kind] = entry[kind];
+      }
+    }
+    if (Object.keys(kinds).length) {
+      assigned[deviceId] = kinds;
+    }
+  }
+  return assigned;
+}
+
+module.exports = { parseDeviceTable, mergeDeviceTable, parseAssignedEnums };
@@ -0,0 +1,97 @@
+"use strict";
+
+const { localPeriod } = require("./statistics");
+
+/**
+ * Geschätzte Heizenergie: Nennleistung des Heizkörpers × pi_heating_demand über die Zeit.
+ * Tabelle native.radiatorPower, Zeile: { id, watts } – id = Geräte-ID
+ *
+ * Zähler je Gerät als JSON in info.energy:
+ * { <deviceId>: { day, month, today, yesterday, thisMonth, lastMonth, last: { ts, demand } } }
+ * Ein Zeitraum: { kwh, cost } – die Kosten werden mit dem Preis zum Zeitpunkt des Verbrauchs gerechnet.
+ */
+
+const ENERGY_PERIODS = ["today", "yesterday", "thisMonth", "lastMonth"];
+
+/**
+ * @param {object[]|undefined} rows native.radiatorPower
+ * @param {(id: string) => string} sanitize id sanitizer of the adapter
+ * @returns {Map<string, number>} nominal output in W by sanitized device id (first row wins)
+ */
+function parsePowerTable(rows, sanitize) {
+  const map = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const watts = Number(row?.watts);
+    if (!row?.id || !Number.isFinite(watts) || watts <= 0 || map.has(sanitize(String(row.id)))) {
+      continue;
+    }
+    map.set(sanitize(String(row.id)), watts);
+  }
+  return map;
+}
+
+/**
+ * @param {string} month YYYY-MM
+ * @returns {string} following month YYYY-MM
+ */
+function nextMonth(month) {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * @param {string} day YYYY-MM-DD
+ * @returns {string} following day YYYY-MM-DD
+ */
+function nextDay(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {object|undefined} stored counters of the device
+ * @param {number} ts time of the poll
+ * @param {number|null} demand current pi_heating_demand in %, null = unknown (device offline)
+ * @param {object} options counter options
+ * @param {number} options.watts nominal output of the radiator in W
+ * @param {number} options.price energy price per kWh
+ * @param {string} [options.timeZone] IANA time zone of the device
+ * @param {number} options.maxGapMs longer gaps between two polls are not counted
+ * @returns {object} updated counters; the demand of the last poll counts until this poll
+ */
+function addEnergy(stored, ts, demand, options) {
+  const { day } = localPeriod(ts, options.timeZone);
+  const month = day.slice(0, 7);
+  const next = { today: {}, yesterday: {}, thisMonth: {}, lastMonth: {}, ...stored };
+  if (next.day !== day) {
+    next.yesterday = next.day && nextDay(next.day) === day ? next.today : {};
+    next.today = {};
+    next.day = day;
+  }
+  if (next.month !== month) {
+    next.lastMonth = next.month && nextMonth(next.month) === month ? next.thisMonth : {};
+    next.thisMonth = {};
+    next.month = month;
+  }
+
+  const gap = next.last ? ts - next.last.ts : 0;
+  if (next.last?.demand > 0 && gap > 0 && gap <= options.maxGapMs) {
+    const kwh = (options.watts * (next.last.demand / 100) * (gap / 3600000)) / 1000;
+    for (const key of ["today", "thisMonth"]) {
+      next[key] = { kwh: (next[key].kwh || 0) + kwh, cost: (next[key].cost || 0) + kwh * options.price };
+    }
+  }
+  next.last = typeof demand === "number" ? { ts, demand } : null;
+  return next;
+}
+
+/**
+ * @param {object|undefined} period one period of the counters
+ * @returns {{kwh: number, cost: number}} rounded values (0 without consumption)
+ */
+function roundPeriod(period) {
+  const round = (v, digits) => Math.round((v || 0) * 10 ** digits) / 10 ** digits;
+  return { kwh: round(period?.kwh, 3), cost: round(period?.cost, 2) };
+}
+
+module.exports = { parsePowerTable, addEnergy, roundPeriod, ENERGY_PERIODS };
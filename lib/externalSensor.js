@@ -0,0 +1,59 @@
+"use strict";
+
+/**
+ * Externe Raumtemperatur-Sensoren (fremde States) je Thermostat.
+ * Tabelle native.externalSensors, Zeile: { id, sensor } – id = Geräte-ID, sensor = State-ID
+ *
+ * Der Wert geht als Zigbee "External Measured Room Sensor" an das Gerät:
+ * °C × 100, EXT_SENSOR_OFF = kein externer Sensor (Gerät regelt wieder mit dem eigenen Fühler).
+ */
+
+const EXT_SENSOR_OFF = -8000;
+const EXT_SENSOR_RANGE = { min: -10, max: 50 }; // °C, plausible Raumtemperaturen
+
+/**
+ * @param {object[]|undefined} rows native.externalSensors
+ * @param {(id: string) => string} sanitize id sanitizer of the adapter
+ * @returns {Map<string, string>} sensor state id by sanitized device id (first row wins)
+ */
+function parseSensorTable(rows, sanitize) {
+  const map = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const sensor = typeof row?.sensor === "string" ? row.sensor.trim() : "";
+    if (!row?.id || !sensor || map.has(sanitize(String(row.id)))) {
+      continue;
+    }
+    map.set(sanitize(String(row.id)), sensor);
+  }
+  return map;
+}
+
+/**
+ * @param {ioBroker.State|null|undefined} state sensor state
+ * @param {number} now current time
+ * @param {number} staleMs sensor counts as stale after this time without update
+ * @returns {{temp: number|null, reason?: string}} temperature to forward, null with reason = fallback
+ */
+function sensorReading(state, now, staleMs) {
+  if (!state || state.val === null || state.val === undefined || state.val === "") {
+    return { temp: null, reason: "no value" };
+  }
+  const temp = Number(state.val);
+  if (!Number.isFinite(temp) || temp < EXT_SENSOR_RANGE.min || temp > EXT_SENSOR_RANGE.max) {
+    return { temp: null, reason: `implausible value ${state.val}` };
+  }
+  if (now - (state.ts || 0) > staleMs) {
+    return { temp: null, reason: `no update since ${new Date(state.ts || 0).toISOString()}` };
+  }
+  return { temp };
+}
+
+/**
+ * @param {number|null} temp temperature in °C, null = fallback
+ * @returns {number} value for the cloud command
+ */
+function toSensorRaw(temp) {
+  return temp === null ? EXT_SENSOR_OFF : Math.round(temp * 100);
+}
+
+module.exports = { parseSensorTable, sensorReading, toSensorRaw, EXT_SENSOR_OFF };
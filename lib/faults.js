@@ -0,0 +1,235 @@
+"use strict";
+
+/**
+ * Fehlercodes (status.fault) je Gerätetyp dekodieren.
+ * Das Profil ordnet Bits einem Fehler-Schlüssel zu (profile.faults: { <bit>: <key> }),
+ * nicht zugeordnete Bits und Klartext-Fehler laufen unter "unknown".
+ * Fehler, die die Cloud nicht im Fehlercode meldet, zeigt ein boolescher Status-Code an (profile.faultFlags).
+ */
+
+// Texte je Fehler-Schlüssel (auch als common.name der faults.*-States)
+const FAULT_TEXTS = {
+  topSensor: {
+    en: "Sensor error (top)",
+    de: "Sensorfehler (oben)",
+    ru: "Ошибка датчика (верх)",
+    pt: "Erro do sensor (superior)",
+    nl: "Sensorfout (boven)",
+    fr: "Erreur de capteur (haut)",
+    it: "Errore sensore (superiore)",
+    es: "Error del sensor (superior)",
+    pl: "Błąd czujnika (górny)",
+    uk: "Помилка датчика (верх)",
+    "zh-cn": "传感器故障（顶部）"
+  },
+  sideSensor: {
+    en: "Sensor error (side)",
+    de: "Sensorfehler (seitlich)",
+    ru: "Ошибка датчика (сбоку)",
+    pt: "Erro do sensor (lateral)",
+    nl: "Sensorfout (zijkant)",
+    fr: "Erreur de capteur (côté)",
+    it: "Errore sensore (laterale)",
+    es: "Error del sensor (lateral)",
+    pl: "Błąd czujnika (boczny)",
+    uk: "Помилка датчика (збоку)",
+    "zh-cn": "传感器故障（侧面）"
+  },
+  memory: {
+    en: "Memory error",
+    de: "Speicherfehler",
+    ru: "Ошибка памяти",
+    pt: "Erro de memória",
+    nl: "Geheugenfout",
+    fr: "Erreur de mémoire",
+    it: "Errore di memoria",
+    es: "Error de memoria",
+    pl: "Błąd pamięci",
+    uk: "Помилка пам'яті",
+    "zh-cn": "存储器故障"
+  },
+  hardware: {
+    en: "Hardware error",
+    de: "Hardwarefehler",
+    ru: "Аппаратная ошибка",
+    pt: "Erro de hardware",
+    nl: "Hardwarefout",
+    fr: "Erreur matérielle",
+    it: "Errore hardware",
+    es: "Error de hardware",
+    pl: "Błąd sprzętu",
+    uk: "Апаратна помилка",
+    "zh-cn": "硬件故障"
+  },
+  motor: {
+    en: "Motor error",
+    de: "Motorfehler",
+    ru: "Ошибка мотора",
+    pt: "Erro do motor",
+    nl: "Motorfout",
+    fr: "Erreur moteur",
+    it: "Errore motore",
+    es: "Error del motor",
+    pl: "Błąd silnika",
+    uk: "Помилка мотора",
+    "zh-cn": "电机故障"
+  },
+  communication: {
+    en: "Internal communication error",
+    de: "Interner Kommunikationsfehler",
+    ru: "Ошибка внутренней связи",
+    pt: "Erro de comunicação interna",
+    nl: "Interne communicatiefout",
+    fr: "Erreur de communication interne",
+    it: "Errore di comunicazione interna",
+    es: "Error de comunicación interna",
+    pl: "Błąd komunikacji wewnętrznej",
+    uk: "Помилка внутрішнього зв'язку",
+    "zh-cn": "内部通信故障"
+  },
+  clock: {
+    en: "Invalid clock",
+    de: "Uhrzeit ungültig",
+    ru: "Неверное время",
+    pt: "Relógio inválido",
+    nl: "Ongeldige klok",
+    fr: "Horloge invalide",
+    it: "Orologio non valido",
+    es: "Reloj no válido",
+    pl: "Nieprawidłowy zegar",
+    uk: "Неправильний час",
+    "zh-cn": "时钟无效"
+  },
+  radio: {
+    en: "Radio communication error",
+    de: "Funkfehler",
+    ru: "Ошибка радиосвязи",
+    pt: "Erro de comunicação rádio",
+    nl: "Radiocommunicatiefout",
+    fr: "Erreur de communication radio",
+    it: "Errore di comunicazione radio",
+    es: "Error de comunicación por radio",
+    pl: "Błąd komunikacji radiowej",
+    uk: "Помилка радіозв'язку",
+    "zh-cn": "无线通信故障"
+  },
+  motorBlocked: {
+    en: "Motor blocked",
+    de: "Motor blockiert",
+    ru: "Мотор заблокирован",
+    pt: "Motor bloqueado",
+    nl: "Motor geblokkeerd",
+    fr: "Moteur bloqué",
+    it: "Motore bloccato",
+    es: "Motor bloqueado",
+    pl: "Silnik zablokowany",
+    uk: "Мотор заблоковано",
+    "zh-cn": "电机卡住"
+  },
+  lowBattery: {
+    en: "Low battery",
+    de: "Batterie schwach",
+    ru: "Низкий заряд батареи",
+    pt: "Bateria fraca",
+    nl: "Batterij bijna leeg",
+    fr: "Batterie faible",
+    it: "Batteria scarica",
+    es: "Batería baja",
+    pl: "Słaba bateria",
+    uk: "Низький заряд батареї",
+    "zh-cn": "电池电量低"
+  },
+  criticalBattery: {
+    en: "Battery critical",
+    de: "Batterie kritisch",
+    ru: "Критический заряд батареи",
+    pt: "Bateria crítica",
+    nl: "Batterij kritiek",
+    fr: "Batterie critique",
+    it: "Batteria critica",
+    es: "Batería crítica",
+    pl: "Krytyczny poziom baterii",
+    uk: "Критичний заряд батареї",
+    "zh-cn": "电池电量严重不足"
+  },
+  notCalibrated: {
+    en: "Not calibrated",
+    de: "Nicht kalibriert",
+    ru: "Не откалиброван",
+    pt: "Não calibrado",
+    nl: "Niet gekalibreerd",
+    fr: "Non calibré",
+    it: "Non calibrato",
+    es: "No calibrado",
+    pl: "Nieskalibrowany",
+    uk: "Не відкалібровано",
+    "zh-cn": "未校准"
+  },
+  unknown: {
+    en: "Unknown fault",
+    de: "Unbekannter Fehler",
+    ru: "Неизвестная ошибка",
+    pt: "Falha desconhecida",
+    nl: "Onbekende fout",
+    fr: "Défaut inconnu",
+    it: "Guasto sconosciuto",
+    es: "Fallo desconocido",
+    pl: "Nieznany błąd",
+    uk: "Невідома помилка",
+    "zh-cn": "未知故障"
+  },
+  none: {
+    en: "No fault",
+    de: "Kein Fehler",
+    ru: "Нет ошибок",
+    pt: "Sem falhas",
+    nl: "Geen fout",
+    fr: "Aucun défaut",
+    it: "Nessun guasto",
+    es: "Sin fallos",
+    pl: "Brak błędów",
+    uk: "Немає помилок",
+    "zh-cn": "无故障"
+  }
+};
+
+/**
+ * @param {ioBroker.StateValue|undefined} raw status.fault (number, "16", "0x1000" or text)
+ * @param {Record<string, string>} bits fault key by bit number (profile.faults)
+ * @returns {{active: string[], unknown: string[]}} active fault keys and unassigned bits / texts
+ */
+function decodeFault(raw, bits) {
+  const text = String(raw ?? "").trim();
+  if (!text || /^(0|0x0+|none|ok|normal)$/i.test(text)) {
+    return { active: [], unknown: [] };
+  }
+  if (!/^(\d+|0x[\da-f]+)$/i.test(text)) {
+    return { active: [], unknown: [text] };
+  }
+  const value = Number(text);
+  const active = [];
+  const unknown = [];
+  for (let bit = 0; bit < 32; bit++) {
+    if (Math.floor(value / 2 ** bit) % 2 === 1) {
+      if (bits[bit]) {
+        active.push(bits[bit]);
+      } else {
+        unknown.push(`bit ${bit}`);
+      }
+    }
+  }
+  return { active, unknown };
+}
+
+/**
+ * @param {{active: string[], unknown: string[]}} decoded result of decodeFault
+ * @param {string} language system language
+ * @returns {string} readable summary in the system language (English fallback)
+ */
+function faultText(decoded, language) {
+  const text = key => FAULT_TEXTS[key][language] || FAULT_TEXTS[key].en;
+  const parts = [...decoded.active.map(text), ...decoded.unknown.map(detail => `${text("unknown")} (${detail})`)];
+  return parts.length ? parts.join(", ") : text("none");
+}
+
+module.exports = { decodeFault, faultText, FAULT_TEXTS };
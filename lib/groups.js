@@ -0,0 +1,100 @@
+"use strict";
+
+/**
+ * Räume/Gruppen aus der Instanz-Konfiguration (native.groups).
+ * Zeile: { name, devices } – devices = Geräte-IDs, durch Komma getrennt
+ *
+ * Writes auf groups.<id>.control.* gehen an alle Mitglieder,
+ * groups.<id>.status.* fasst die Status-Werte der Mitglieder zusammen.
+ */
+
+// Aggregierte States je Gruppe (groups.<id>.status.*)
+const GROUP_STATUS_STATES = {
+  temp_current_mean: { name: "Mean current temperature", type: "number", role: "value.temperature", unit: "°C" },
+  temp_current_min: { name: "Lowest current temperature", type: "number", role: "value.temperature", unit: "°C" },
+  temp_current_max: { name: "Highest current temperature", type: "number", role: "value.temperature", unit: "°C" },
+  pi_heating_demand_max: { name: "Highest heating demand", type: "number", role: "value.percentage", unit: "%" },
+  windowOpen: { name: "Any window open", type: "boolean", role: "sensor.window" },
+  battery_min: { name: "Lowest battery level", type: "number", role: "value.battery", unit: "%" }
+};
+
+// Status-Codes der Mitglieder, aus denen aggregiert wird
+const GROUP_SOURCE_CODES = ["temp_current", "pi_heating_demand", "window_state", "battery_percentage"];
+
+/**
+ * @param {object[]|undefined} rows native.groups
+ * @param {(id: string) => string} sanitize id sanitizer of the adapter
+ * @returns {Map<string, {name: string, members: string[]}>} groups by sanitized group id (first row wins)
+ */
+function parseGroupTable(rows, sanitize) {
+  const map = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const name = typeof row?.name === "string" ? row.name.trim() : "";
+    const members = String(row?.devices ?? "")
+      .split(/[,;\s]+/)
+      .filter(Boolean)
+      .map(sanitize);
+    const groupId = sanitize(name);
+    if (!name || !members.length || map.has(groupId)) {
+      continue;
+    }
+    map.set(groupId, { name, members: [...new Set(members)] });
+  }
+  return map;
+}
+
+/**
+ * Geräte-IDs und Gruppennamen (z. B. aus einem Textfeld der Konfiguration) zu Geräte-IDs auflösen
+ *
+ * @param {string|undefined} list device ids or group names, separated by commas
+ * @param {(id: string) => string} sanitize id sanitizer of the adapter
+ * @param {Map<string, {members: string[]}>} groups configured groups
+ * @returns {string[]} sanitized device ids (empty list = none given)
+ */
+function resolveTargets(list, sanitize, groups) {
+  const ids = [];
+  for (const entry of String(list ?? "")
+    .split(/[,;\s]+/)
+    .filter(Boolean)) {
+    const group = groups.get(sanitize(entry.replace(/^groups\./, "")));
+    ids.push(...(group ? group.members : [sanitize(entry)]));
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * @param {ioBroker.StateValue|undefined} val window_state of a member
+ * @returns {boolean} true for "open"/"opened"/true
+ */
+function isWindowOpen(val) {
+  return val === true || /^open/i.test(String(val ?? ""));
+}
+
+/**
+ * @param {object[]} members status values per member ({ temp_current, pi_heating_demand, window_state, battery_percentage })
+ * @returns {object} values for GROUP_STATUS_STATES, null = no member reports the code
+ */
+function aggregateGroup(members) {
+  const numbers = code => members.map(m => m?.[code]).filter(v => typeof v === "number" && Number.isFinite(v));
+  const temps = numbers("temp_current");
+  const demands = numbers("pi_heating_demand");
+  const batteries = numbers("battery_percentage");
+  const windows = members.map(m => m?.window_state).filter(v => v !== undefined && v !== null && v !== "");
+  return {
+    temp_current_mean: temps.length ? Math.round((temps.reduce((a, b) => a + b, 0) / temps.length) * 10) / 10 : null,
+    temp_current_min: temps.length ? Math.min(...temps) : null,
+    temp_current_max: temps.length ? Math.max(...temps) : null,
+    pi_heating_demand_max: demands.length ? Math.max(...demands) : null,
+    windowOpen: windows.length ? windows.some(isWindowOpen) : null,
+    battery_min: batteries.length ? Math.min(...batteries) : null
+  };
+}
+
+module.exports = {
+  parseGroupTable,
+  resolveTargets,
+  aggregateGroup,
+  isWindowOpen,
+  GROUP_STATUS_STATES,
+  GROUP_SOURCE_CODES
+};
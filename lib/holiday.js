@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Urlaubsplaner: Start/Ende als Datum/Uhrzeit, daraus die Phase des Plans.
+ * Die gespeicherte Phase (holiday.state) entscheidet, ob beim Phasenwechsel
+ * mode=holiday gesetzt oder der Rückkehr-Modus geschrieben wird.
+ */
+
+const HOLIDAY_PHASES = {
+  none: "No holiday planned",
+  planned: "Planned",
+  active: "Active",
+  finished: "Finished"
+};
+
+/**
+ * @param {ioBroker.StateValue} val ISO string, "YYYY-MM-DD HH:mm" (local time) or timestamp in ms
+ * @returns {number|null} timestamp in ms, null = not set, NaN = invalid
+ */
+function parseDateTime(val) {
+  if (val === null || val === undefined || val === "" || val === 0) {
+    return null;
+  }
+  if (typeof val === "number") {
+    return val > 0 ? val : NaN;
+  }
+  const ts = Date.parse(String(val).trim());
+  return Number.isFinite(ts) ? ts : NaN;
+}
+
+/**
+ * @param {number} ts timestamp in ms
+ * @returns {string} local date/time "YYYY-MM-DDTHH:mm[:ss]" (parseDateTime reads it back as local time)
+ */
+function formatDateTime(ts) {
+  const d = new Date(ts);
+  const pad = n => String(n).padStart(2, "0");
+  const seconds = d.getSeconds() ? `:${pad(d.getSeconds())}` : "";
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}${seconds}`;
+}
+
+/**
+ * @param {{start: number|null, end: number|null}} plan parsed start/end
+ * @param {number} now current time
+ * @returns {string} none | planned | active | finished
+ */
+function holidayPhase(plan, now) {
+  const { start, end } = plan;
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    return "none";
+  }
+  if (now < start) {
+    return "planned";
+  }
+  return now < end ? "active" : "finished";
+}
+
+/**
+ * @param {string} stored phase stored in holiday.state
+ * @param {string} phase current phase
+ * @returns {"start"|"end"|null} writes needed for the transition
+ */
+function holidayAction(stored, phase) {
+  if (phase === "active" && stored !== "active") {
+    return "start";
+  }
+  if (phase !== "active" && stored === "active") {
+    return "end";
+  }
+  return null;
+}
+
+module.exports = { parseDateTime, formatDateTime, holidayPhase, holidayAction, HOLIDAY_PHASES };
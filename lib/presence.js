@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * Anwesenheit: fremde States (boolean oder Personenzähler) schalten Geräte zwischen at_home und leaving_home.
+ * Tabelle native.presenceStates, Zeile: { state } – State-ID
+ *
+ * Geschaltet wird nur beim Wechsel der Anwesenheit; ein manueller mode bleibt bis zum nächsten Wechsel bestehen.
+ */
+
+const PRESENCE_MODES = { at_home: "At home", leaving_home: "Leaving home" };
+
+/**
+ * @param {object[]|undefined} rows native.presenceStates
+ * @returns {string[]} unique state ids
+ */
+function parsePresenceTable(rows) {
+  const ids = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const state = typeof row?.state === "string" ? row.state.trim() : "";
+    if (state && !ids.includes(state)) {
+      ids.push(state);
+    }
+  }
+  return ids;
+}
+
+/**
+ * @param {ioBroker.StateValue|undefined} val value of a presence state
+ * @returns {boolean|null} true for true, counters > 0 and "home"/"present", null = no value
+ */
+function isPresent(val) {
+  if (val === null || val === undefined || val === "") {
+    return null;
+  }
+  if (typeof val === "number") {
+    return val > 0;
+  }
+  const text = String(val).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) > 0;
+  }
+  return val === true || /^(true|on|yes|home|present|anwesend)$/i.test(text);
+}
+
+/**
+ * @param {ioBroker.StateValue[]} values values of all presence states
+ * @returns {string|null} at_home when anyone is present, leaving_home when nobody is, null = no state has a value
+ */
+function presenceMode(values) {
+  const known = values.map(isPresent).filter(v => v !== null);
+  if (!known.length) {
+    return null;
+  }
+  return known.some(Boolean) ? "at_home" : "leaving_home";
+}
+
+module.exports = { parsePresenceTable, isPresent, presenceMode, PRESENCE_MODES };
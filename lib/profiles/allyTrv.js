@@ -0,0 +1,36 @@
+"use strict";
+
+// Danfoss Ally™ Heizkörperthermostat (TRV): Sollwerte in 0,5 °C-Schritten, 5–35 °C
+const setpoint = { min: 5, max: 35, step: 0.5 };
+
+module.exports = {
+  id: "allyTrv",
+  types: ["Danfoss Ally Radiator Thermostat"],
+  match: /radiator thermostat|ally.*trv/i,
+  codes: {
+    temp_set: setpoint,
+    manual_mode_fast: setpoint,
+    at_home_setting: setpoint,
+    leaving_home_setting: setpoint,
+    pause_setting: setpoint,
+    holiday_setting: setpoint
+  },
+  // Danfoss SW-Fehlercode (Bitmaske, wie im Zigbee-Cluster des Thermostats)
+  faults: {
+    0: "topSensor",
+    1: "sideSensor",
+    2: "memory",
+    3: "hardware",
+    5: "motor",
+    7: "communication",
+    9: "clock",
+    11: "radio",
+    12: "motorBlocked",
+    13: "lowBattery",
+    14: "criticalBattery"
+  },
+  // im Montagemodus hat das Thermostat noch keinen Abgleich mit dem Ventil gemacht
+  faultFlags: {
+    notCalibrated: "mounting_mode_active"
+  }
+};
@@ -0,0 +1,11 @@
+"use strict";
+
+// Danfoss Ally™ Boiler Relay: nur switch (Relais) und fault
+module.exports = {
+  id: "boilerRelay",
+  types: ["Danfoss Ally Boiler Relay"],
+  match: /boiler relay/i,
+  codes: {
+    switch: { role: "switch.power" }
+  }
+};
@@ -0,0 +1,83 @@
+"use strict";
+
+/**
+ * Gemeinsame Code-Definitionen aller Danfoss-Geräte.
+ * Gerätespezifische Profile überschreiben einzelne Felder.
+ *
+ * Felder je Code:
+ * - type:   ioBroker common.type (hält das Objekt stabil, kein Typflip)
+ * - role:   ioBroker common.role
+ * - unit:   Einheit (optional)
+ * - scale:  Cloud-Rohwert = realer Wert × scale (z. B. 10 für °C bei der Ally API)
+ * - write:  true = zusätzlicher Datenpunkt unter control.<code>
+ * - min/max/step/states: optionale Metadaten für das Objekt
+ * - limits: true = min/max von control.<code> folgen lower_temp/upper_temp des Geräts
+ * - off:    Rohwert für „kein Wert“, wird als null gelesen
+ */
+
+const temp = (role, write = false) => ({ type: "number", role, unit: "°C", scale: 10, write });
+const setpoint = () => ({ ...temp("level.temperature", true), limits: true });
+
+module.exports = {
+  // Zahlen (°C) — Danfoss Ally API Faktor ×10
+  temp_current: temp("value.temperature"),
+  temp_set: setpoint(), // manuelle Solltemperatur
+  upper_temp: temp("value.temperature"),
+  lower_temp: temp("value.temperature"),
+  at_home_setting: setpoint(),
+  leaving_home_setting: setpoint(),
+  // Frostschutz/Urlaub dürfen unter lower_temp liegen → Objekt ohne Gerätegrenzen
+  pause_setting: temp("level.temperature", true),
+  holiday_setting: temp("level.temperature", true),
+  manual_mode_fast: setpoint(), // UI-write erlaubt, wird auf temp_set gemappt
+  MeasuredValue: temp("value.temperature"), // Zigbee Faktor ×10 (Ist-Temperatur)
+
+  // Zahlen (°C) — Zigbee Thermostat Cluster Faktor ×100
+  OccupiedSetpoint: { ...temp("value.temperature"), scale: 100 }, // ACHTUNG: /100, nicht /10!
+  // Externer Raumfühler (lib/externalSensor), -8000 = keiner; schreibt der Adapter über die Sensor-Tabelle
+  ext_measured_rs: { ...temp("value.temperature"), scale: 100, off: -8000 },
+
+  // Zahlen (% / sonstige)
+  humidity_value: { type: "number", role: "value.humidity", unit: "%", scale: 10, min: 0, max: 100 },
+  battery_percentage: { type: "number", role: "value.battery", unit: "%", min: 0, max: 100 },
+  pi_heating_demand: { type: "number", role: "value.percentage", unit: "%", min: 0, max: 100 }, // 0–100 % Heizleistung
+
+  // Bool
+  child_lock: { type: "boolean", role: "switch.lock", write: true },
+  floor_sensor: { type: "boolean", role: "indicator" },
+  heat_available: { type: "boolean", role: "indicator" },
+  load_balance_enable: { type: "boolean", role: "indicator" },
+  mounting_mode_active: { type: "boolean", role: "indicator" },
+  radiator_covered: { type: "boolean", role: "indicator" },
+  switch: { type: "boolean", role: "switch", write: true }, // Icon2: Zone Ein/Aus
+  switch_state: { type: "boolean", role: "indicator" },
+  window_toggle: { type: "boolean", role: "button" },
+
+  // Strings (Enums/Text)
+  mode: {
+    type: "string",
+    role: "state",
+    write: true,
+    states: {
+      auto: "Auto (schedule)",
+      manual: "Manual",
+      at_home: "At home",
+      leaving_home: "Leaving home",
+      pause: "Pause",
+      holiday: "Holiday"
+    }
+  },
+  SetpointChangeSource: {
+    type: "string",
+    role: "state",
+    write: true,
+    states: { schedule: "Schedule", Externally: "Externally" }
+  },
+  work_state: { type: "string", role: "state", states: { Heat: "Heat", Idle: "Idle" } },
+  output_status: { type: "string", role: "state", states: { active: "Active", inactive: "Inactive" } },
+  fault: { type: "string", role: "state" },
+  system_status_water: { type: "string", role: "state" },
+  temp_mode: { type: "string", role: "state", states: { heat: "Heat", cool: "Cool" } },
+  window_state: { type: "string", role: "sensor.window", states: { close: "Closed", open: "Open" } },
+  window_state_info: { type: "string", role: "sensor.window" }
+};
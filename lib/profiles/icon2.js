@@ -0,0 +1,18 @@
+"use strict";
+
+// Danfoss Icon2 Raumthermostat / Controller: Sollwerte in 0,5 °C-Schritten, 5–35 °C
+const setpoint = { min: 5, max: 35, step: 0.5 };
+
+module.exports = {
+  id: "icon2",
+  types: ["Danfoss Icon2"],
+  match: /icon\s?2/i,
+  codes: {
+    temp_set: setpoint,
+    manual_mode_fast: setpoint,
+    at_home_setting: setpoint,
+    leaving_home_setting: setpoint,
+    pause_setting: setpoint,
+    holiday_setting: setpoint
+  }
+};
@@ -0,0 +1,177 @@
+"use strict";
+
+/**
+ * Geräteprofil-Registry.
+ * Ein Profil beschreibt je Gerätetyp die Codes (Skalierung, Typ, Rolle, Einheit,
+ * min/max/step, states, schreibbar) und die Bits des Fehlercodes. Neue Gerätetypen = neue Datei + Eintrag in PROFILES.
+ */
+
+const COMMON_CODES = require("./common");
+
+const PROFILES = [require("./allyTrv"), require("./icon2"), require("./boilerRelay")];
+
+/**
+ * Profil eines Gerätetyps: gemeinsame Codes + typspezifische Overrides.
+ */
+class DeviceProfile {
+  /**
+   * @param {{id: string, types?: string[], match?: RegExp, codes?: Record<string, object>, faults?: Record<string, string>, faultFlags?: Record<string, string>}} def Profildefinition
+   */
+  constructor(def) {
+    this.id = def.id;
+    this.types = def.types || [];
+    this.match = def.match || null;
+    // Bit → Fehler-Schlüssel (lib/faults); ohne bekannte Bitbedeutung (Icon2, Boiler Relay) leer = nur "unknown"
+    this.faults = def.faults || {};
+    this.faultFlags = def.faultFlags || {}; // Fehler-Schlüssel → boolescher Status-Code, der ihn anzeigt
+    this.codes = {};
+    const overrides = def.codes || {};
+    for (const code of new Set([...Object.keys(COMMON_CODES), ...Object.keys(overrides)])) {
+      this.codes[code] = { ...COMMON_CODES[code], ...overrides[code] };
+    }
+  }
+
+  /**
+   * @param {string} type Gerätetyp (z. B. aus inferDeviceType)
+   * @returns {boolean} true, wenn das Profil für diesen Typ gilt
+   */
+  matches(type) {
+    if (!type) {
+      return false;
+    }
+    return this.types.includes(type) || (this.match ? this.match.test(type) : false);
+  }
+
+  /**
+   * @param {string} code Danfoss-Code
+   * @returns {object|null} Code-Definition oder null, wenn unbekannt
+   */
+  code(code) {
+    return this.codes[code] || null;
+  }
+
+  /**
+   * @param {string} code Danfoss-Code
+   * @returns {boolean} true, wenn der Code einen control.* Datenpunkt bekommt
+   */
+  isWritable(code) {
+    return !!this.codes[code]?.write;
+  }
+
+  /**
+   * Cloud-Rohwert → ioBroker-Wert (Skalierung + Typ).
+   *
+   * @param {string} code Danfoss-Code
+   * @param {ioBroker.StateValue} raw Wert aus der Cloud
+   * @returns {ioBroker.StateValue} skalierter und typisierter Wert
+   */
+  fromCloud(code, raw) {
+    const def = this.codes[code];
+    if (def?.off !== undefined && raw !== null && raw !== "" && Number(raw) === def.off) {
+      return null;
+    }
+    let v = raw;
+    if (def?.scale && typeof v === "number") {
+      v = v / def.scale;
+    }
+    return coerce(def?.type, v);
+  }
+
+  /**
+   * ioBroker-Wert → Cloud-Rohwert (Skalierung, gerundet).
+   *
+   * @param {string} code Danfoss-Code
+   * @param {number} value realer Wert (z. B. °C)
+   * @returns {number} Rohwert für die Cloud
+   */
+  toCloud(code, value) {
+    const scale = this.codes[code]?.scale;
+    return scale ? Math.round(Number(value) * scale) : value;
+  }
+
+  /**
+   * Objekt-common für einen Code. Unbekannte Codes bekommen einen Typ aus dem Wert.
+   *
+   * @param {string} code Danfoss-Code
+   * @param {ioBroker.StateValue} value aktueller Wert (für unbekannte Codes)
+   * @param {boolean} write true für control.*
+   * @param {{min?: number, max?: number}} [limits] vom Gerät gemeldete Grenzen (lower_temp/upper_temp), nur für control.*
+   * @returns {Partial<ioBroker.StateCommon>} common (ohne name)
+   */
+  objectCommon(code, value, write, limits) {
+    const def = this.codes[code];
+    const common = {
+      type: def?.type || (typeof value === "boolean" ? "boolean" : typeof value === "number" ? "number" : "string"),
+      role: def?.role || "state",
+      read: true,
+      write: !!write
+    };
+    for (const key of ["unit", "min", "max", "step", "states"]) {
+      if (def?.[key] !== undefined) {
+        common[key] = def[key];
+      }
+    }
+    if (def?.limits && write && limits) {
+      for (const key of ["min", "max"]) {
+        if (Number.isFinite(limits[key])) {
+          common[key] = limits[key];
+        }
+      }
+    }
+    return common;
+  }
+}
+
+/**
+ * @param {string|undefined} type Zieltyp
+ * @param {ioBroker.StateValue} v Wert
+ * @returns {ioBroker.StateValue} Wert im Zieltyp (stabil, kein Typflip zwischen Polls)
+ */
+function coerce(type, v) {
+  if (type === "number") {
+    return typeof v === "number" ? v : Number(v);
+  }
+  if (type === "boolean") {
+    return typeof v === "boolean" ? v : v === "true" || v === true || v === 1;
+  }
+  if (type === "string") {
+    return v != null ? String(v) : "";
+  }
+  return v;
+}
+
+const GENERIC = new DeviceProfile({ id: "generic" });
+const REGISTRY = PROFILES.map(def => new DeviceProfile(def));
+
+/**
+ * @param {string} [type] Gerätetyp
+ * @returns {DeviceProfile} passendes Profil, sonst das generische
+ */
+function getProfile(type) {
+  return REGISTRY.find(p => p.matches(type)) || GENERIC;
+}
+
+/**
+ * @returns {string[]} alle Codes, die in irgendeinem Profil schreibbar sind (für Subscriptions)
+ */
+function writableCodes() {
+  const codes = new Set();
+  for (const p of [GENERIC, ...REGISTRY]) {
+    for (const [code, def] of Object.entries(p.codes)) {
+      if (def.write) {
+        codes.add(code);
+      }
+    }
+  }
+  return [...codes];
+}
+
+/**
+ * @param {string} code Danfoss-Code
+ * @returns {boolean} true für Temperatur-Codes (Vergleich mit Toleranz)
+ */
+function isTemperatureCode(code) {
+  return COMMON_CODES[code]?.unit === "°C";
+}
+
+module.exports = { DeviceProfile, getProfile, writableCodes, isTemperatureCode, coerce };
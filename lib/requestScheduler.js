@@ -0,0 +1,270 @@
+"use strict";
+
+// Prioritäten: kleiner = wichtiger
+const PRIORITY = Object.freeze({
+  COMMAND: 0, // POST /commands (Writes aus ioBroker)
+  STATUS: 1 // GET /devices, /status (Polling)
+});
+
+const DEFAULT_REQUESTS_PER_MINUTE = 30;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 1000;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000; // Retry-After vom Server nie länger als 5 min abwarten
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Retry-After Header auswerten (Sekunden oder HTTP-Datum)
+ *
+ * @param value header value
+ * @param now reference time (ms)
+ * @returns delay in ms or null if missing/invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    return Math.round(Number(str) * 1000);
+  }
+  const date = Date.parse(str);
+  if (Number.isFinite(date)) {
+    return Math.max(0, date - now);
+  }
+  return null;
+}
+
+/**
+ * 429 und 5xx sind wiederholbar, alles andere geht direkt an den Aufrufer
+ *
+ * @param err axios error
+ */
+function isRetryableError(err) {
+  const status = err?.response?.status;
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Request-Scheduler für die Ally Cloud
+ * - Budget: max. N Requests pro gleitender Minute
+ * - Prioritäten: Commands vor Status-Abfragen
+ * - 429/5xx: Retry-After oder exponentielles Backoff mit Jitter
+ */
+class RequestScheduler {
+  /**
+   * @param opts scheduler options
+   * @param opts.requestsPerMinute request budget per sliding minute
+   * @param opts.maxRetries retries for 429/5xx before giving up
+   * @param opts.baseDelayMs first backoff step
+   * @param opts.maxDelayMs backoff cap
+   * @param opts.maxConcurrent parallel requests in flight
+   * @param log ioBroker logger
+   */
+  constructor(opts = {}, log) {
+    const rpm = Number(opts.requestsPerMinute);
+    this.requestsPerMinute = Number.isFinite(rpm) && rpm > 0 ? rpm : DEFAULT_REQUESTS_PER_MINUTE;
+    const retries = Number(opts.maxRetries);
+    this.maxRetries = Number.isFinite(retries) && retries >= 0 ? retries : DEFAULT_MAX_RETRIES;
+    this.baseDelayMs = Number(opts.baseDelayMs) || DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = Number(opts.maxDelayMs) || DEFAULT_MAX_DELAY_MS;
+    this.maxConcurrent = Number(opts.maxConcurrent) || 2;
+    this.log = log;
+
+    this._queue = []; // sortiert nach priority, dann seq
+    this._sentAt = []; // Startzeitpunkte der Requests im aktuellen Fenster
+    this._active = 0;
+    this._seq = 0;
+    this._blockedUntil = 0; // globale Sperre nach 429
+    this._wakeTimer = null;
+    this._retryTimers = new Map(); // handle -> { job, err }
+    this._disposed = false;
+    this._noRetries = false;
+  }
+
+  /**
+   * Job einreihen
+   *
+   * @param task async function performing the request
+   * @param opts job options
+   * @param opts.priority PRIORITY value
+   * @param opts.label text for debug logs
+   */
+  schedule(task, opts = {}) {
+    if (this._disposed) {
+      return Promise.reject(new Error("Request scheduler stopped"));
+    }
+    return new Promise((resolve, reject) => {
+      this._enqueue({
+        task,
+        priority: opts.priority ?? PRIORITY.STATUS,
+        label: opts.label || "request",
+        seq: this._seq++,
+        attempt: 0,
+        resolve,
+        reject
+      });
+    });
+  }
+
+  /**
+   * Alle Timer stoppen und offene Jobs abweisen (onUnload)
+   */
+  dispose() {
+    this._disposed = true;
+    if (this._wakeTimer) {
+      clearTimeout(this._wakeTimer);
+      this._wakeTimer = null;
+    }
+    for (const handle of this._retryTimers.keys()) {
+      clearTimeout(handle);
+    }
+    this._retryTimers.clear();
+    const pending = this._queue.splice(0);
+    for (const job of pending) {
+      job.reject(new Error("Request scheduler stopped"));
+    }
+  }
+
+  /**
+   * Keine weiteren Retries (Adapter stoppt): wartende Retries sofort mit ihrem letzten Fehler abweisen
+   */
+  stopRetries() {
+    this._noRetries = true;
+    for (const [handle, { job, err }] of this._retryTimers) {
+      clearTimeout(handle);
+      job.reject(err);
+    }
+    this._retryTimers.clear();
+  }
+
+  /**
+   * Anzahl wartender Jobs
+   */
+  get queueLength() {
+    return this._queue.length;
+  }
+
+  /**
+   * Job nach Priorität/Reihenfolge einsortieren
+   *
+   * @param job queued job
+   */
+  _enqueue(job) {
+    const idx = this._queue.findIndex(
+      other => other.priority > job.priority || (other.priority === job.priority && other.seq > job.seq)
+    );
+    if (idx === -1) {
+      this._queue.push(job);
+    } else {
+      this._queue.splice(idx, 0, job);
+    }
+    this._pump();
+  }
+
+  /**
+   * Wartezeit bis zum nächsten freien Slot (0 = sofort)
+   *
+   * @param now reference time (ms)
+   */
+  _waitTime(now) {
+    while (this._sentAt.length && now - this._sentAt[0] >= WINDOW_MS) {
+      this._sentAt.shift();
+    }
+    let wait = Math.max(0, this._blockedUntil - now);
+    if (this._sentAt.length >= this.requestsPerMinute) {
+      wait = Math.max(wait, this._sentAt[0] + WINDOW_MS - now);
+    }
+    return wait;
+  }
+
+  /**
+   * Jobs starten, solange Budget und Concurrency es erlauben
+   */
+  _pump() {
+    if (this._wakeTimer || this._disposed) {
+      return;
+    }
+    while (this._queue.length && this._active < this.maxConcurrent) {
+      const wait = this._waitTime(Date.now());
+      if (wait > 0) {
+        this.log.debug(`Rate limit: ${this._queue.length} request(s) queued, next slot in ${Math.ceil(wait / 1000)}s`);
+        this._wakeTimer = setTimeout(() => {
+          this._wakeTimer = null;
+          this._pump();
+        }, wait);
+        return;
+      }
+      this._run(this._queue.shift());
+    }
+  }
+
+  /**
+   * Job ausführen und Ergebnis/Fehler weiterreichen
+   *
+   * @param job queued job
+   */
+  async _run(job) {
+    this._active++;
+    this._sentAt.push(Date.now());
+    try {
+      job.resolve(await job.task());
+    } catch (err) {
+      this._handleError(job, err);
+    } finally {
+      this._active--;
+      this._pump();
+    }
+  }
+
+  /**
+   * 429/5xx erneut einreihen, alles andere abweisen
+   *
+   * @param job failed job
+   * @param err axios error
+   */
+  _handleError(job, err) {
+    if (this._disposed || this._noRetries || !isRetryableError(err) || job.attempt >= this.maxRetries) {
+      job.reject(err);
+      return;
+    }
+
+    const status = err.response.status;
+    job.attempt++;
+    const retryAfter = parseRetryAfter(err.response.headers?.["retry-after"]);
+    const delay = retryAfter != null ? Math.min(retryAfter, MAX_RETRY_AFTER_MS) : this._backoffDelay(job.attempt);
+
+    // 429 gilt für den ganzen Account → gesamte Queue anhalten
+    if (status === 429) {
+      this._blockedUntil = Math.max(this._blockedUntil, Date.now() + delay);
+    }
+
+    this.log.debug(
+      `Rate limit: HTTP ${status} on ${job.label}, retry ${job.attempt}/${this.maxRetries} in ${(delay / 1000).toFixed(1)}s` +
+        `${retryAfter != null ? " (Retry-After)" : ""}`
+    );
+
+    const handle = setTimeout(() => {
+      this._retryTimers.delete(handle);
+      this._enqueue(job);
+    }, delay);
+    this._retryTimers.set(handle, { job, err });
+  }
+
+  /**
+   * Exponentielles Backoff mit Jitter (50–100 % des Schritts)
+   *
+   * @param attempt retry number starting at 1
+   */
+  _backoffDelay(attempt) {
+    const step = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(step / 2 + Math.random() * (step / 2));
+  }
+}
+
+module.exports = {
+  RequestScheduler,
+  PRIORITY,
+  parseRetryAfter,
+  isRetryableError
+};
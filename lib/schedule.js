@@ -0,0 +1,157 @@
+"use strict";
+
+/**
+ * Wochenprogramm (Heizplan) des Adapters.
+ *
+ * Format (JSON):
+ * {
+ *   "days": {
+ *     "weekdays": [{ "time": "06:00", "temp": 21 }, { "time": "22:00", "temp": 17 }],
+ *     "weekend":  [{ "time": "08:00", "temp": 21 }, { "time": "23:00", "temp": 17 }],
+ *     "fri":      [...]                         // einzelne Tage überschreiben daily/weekdays/weekend
+ *   },
+ *   "exceptions": {
+ *     "2026-12-24": "sun",                      // Ausnahmetag wie ein anderer Wochentag
+ *     "2026-12-31": [{ "time": "10:00", "temp": 22 }]
+ *   }
+ * }
+ * Vor dem ersten Slot eines Tages gilt der letzte Slot der Vortage weiter.
+ */
+
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]; // Index = Date#getDay()
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6]
+};
+
+/**
+ * @param {unknown} slots slot list from the JSON
+ * @param {string} where day or date for error messages
+ * @returns {{minutes: number, temp: number}[]} slots sorted by time
+ */
+function parseSlots(slots, where) {
+  if (!Array.isArray(slots)) {
+    throw new Error(`${where}: slots must be an array`);
+  }
+  return slots
+    .map((slot, i) => {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(String(slot?.time ?? ""));
+      const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`${where}[${i}]: invalid time "${slot?.time}" (HH:mm)`);
+      }
+      const temp = Number(slot.temp);
+      if (slot.temp === null || slot.temp === "" || !Number.isFinite(temp)) {
+        throw new Error(`${where}[${i}]: invalid temp "${slot.temp}"`);
+      }
+      return { minutes, temp };
+    })
+    .sort((a, b) => a.minutes - b.minutes);
+}
+
+/**
+ * @param {string|object} input schedule as JSON string or object
+ * @returns {{days: {minutes: number, temp: number}[][], exceptions: object}} normalized schedule
+ */
+function parseSchedule(input) {
+  const obj = typeof input === "string" ? JSON.parse(input) : input;
+  if (!obj || typeof obj !== "object" || !obj.days || typeof obj.days !== "object") {
+    throw new Error('schedule needs a "days" object');
+  }
+
+  const days = DAY_KEYS.map(() => []);
+  const keys = Object.keys(obj.days);
+  for (const key of keys) {
+    if (!DAY_GROUPS[key] && !DAY_KEYS.includes(key)) {
+      throw new Error(`unknown day "${key}" (mon..sun, daily, weekdays, weekend)`);
+    }
+  }
+  // Gruppen zuerst, einzelne Tage überschreiben sie
+  for (const group of ["daily", "weekdays", "weekend"]) {
+    if (obj.days[group]) {
+      const slots = parseSlots(obj.days[group], group);
+      DAY_GROUPS[group].forEach(d => (days[d] = slots));
+    }
+  }
+  DAY_KEYS.forEach((key, d) => {
+    if (obj.days[key]) {
+      days[d] = parseSlots(obj.days[key], key);
+    }
+  });
+
+  const exceptions = {};
+  for (const [date, value] of Object.entries(obj.exceptions || {})) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`exception "${date}": date must be YYYY-MM-DD`);
+    }
+    if (typeof value === "string") {
+      if (!DAY_KEYS.includes(value)) {
+        throw new Error(`exception "${date}": unknown day "${value}"`);
+      }
+      exceptions[date] = days[DAY_KEYS.indexOf(value)];
+    } else {
+      exceptions[date] = parseSlots(value, date);
+    }
+  }
+  return { days, exceptions };
+}
+
+/**
+ * @param {Date} date local date
+ * @returns {string} YYYY-MM-DD
+ */
+function dateKey(date) {
+  const pad = n => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Slots eines Kalendertags als Zeitstempel (Ausnahmen vor dem Wochentag)
+ *
+ * @param {object} schedule parsed schedule
+ * @param {number} now any time of the day
+ * @param {number} offsetDays days relative to now
+ * @returns {{at: number, temp: number}[]} slots of that day
+ */
+function slotsOfDay(schedule, now, offsetDays) {
+  const base = new Date(now);
+  const day = new Date(base.getFullYear(), base.getMonth(), base.getDate() + offsetDays);
+  const slots = schedule.exceptions[dateKey(day)] || schedule.days[day.getDay()];
+  return slots.map(s => ({
+    at: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, s.minutes).getTime(),
+    temp: s.temp
+  }));
+}
+
+/**
+ * @param {object} schedule parsed schedule
+ * @param {number} now current time
+ * @returns {{at: number, temp: number}|null} slot in effect right now
+ */
+function currentSlot(schedule, now) {
+  for (let offset = 0; offset >= -8; offset--) {
+    const past = slotsOfDay(schedule, now, offset).filter(s => s.at <= now);
+    if (past.length) {
+      return past[past.length - 1];
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {object} schedule parsed schedule
+ * @param {number} now current time
+ * @returns {{at: number, temp: number}|null} next slot after now
+ */
+function nextSlot(schedule, now) {
+  for (let offset = 0; offset <= 8; offset++) {
+    const next = slotsOfDay(schedule, now, offset).find(s => s.at > now);
+    if (next) {
+      return next;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseSchedule, currentSlot, nextSlot, dateKey };
@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Validierung von Sollwerten (temp_set, manual_mode_fast, *_setting) gegen
+ * Gerätegrenzen und Auflösung, bevor sie an die Cloud gehen.
+ *
+ * Policies:
+ * - clamp:  außerhalb der Grenzen → auf Grenze setzen, Zwischenwerte → auf step runden
+ * - round:  Zwischenwerte → auf step runden, außerhalb der Grenzen → ablehnen
+ * - reject: alles außerhalb der Grenzen oder nicht auf dem step-Raster → ablehnen
+ */
+
+const SETPOINT_POLICIES = ["clamp", "round", "reject"];
+const DEFAULT_POLICY = "clamp";
+const DEFAULT_STEP = 0.5; // °C-Auflösung der Ally-Geräte
+
+/**
+ * @param {number} v Wert
+ * @param {number} step Raster
+ * @returns {number} auf das Raster gerundeter Wert (ohne Float-Reste)
+ */
+function roundToStep(v, step) {
+  return Number((Math.round(v / step) * step).toFixed(3));
+}
+
+/**
+ * @param {ioBroker.StateValue} value geschriebener Wert
+ * @param {{min?: number, max?: number, step?: number}} limits Grenzen und Auflösung
+ * @param {string} [policy] clamp | round | reject
+ * @returns {{ok: boolean, value?: number, adjusted?: boolean, reason?: string}} Ergebnis
+ */
+function validateSetpoint(value, limits = {}, policy = DEFAULT_POLICY) {
+  const mode = SETPOINT_POLICIES.includes(policy) ? policy : DEFAULT_POLICY;
+  const v = typeof value === "number" ? value : Number(value);
+  if (value === null || value === "" || typeof value === "boolean" || !Number.isFinite(v)) {
+    return { ok: false, reason: `not a number: ${value}` };
+  }
+
+  const { min, max } = limits;
+  const step = Number(limits.step) > 0 ? Number(limits.step) : DEFAULT_STEP;
+  let target = v;
+
+  const below = Number.isFinite(min) && target < min;
+  const above = Number.isFinite(max) && target > max;
+  if (below || above) {
+    const reason = below
+      ? `${v} °C is below the device minimum of ${min} °C`
+      : `${v} °C is above the device maximum of ${max} °C`;
+    if (mode !== "clamp") {
+      return { ok: false, reason };
+    }
+    target = below ? min : max;
+  }
+
+  const rounded = roundToStep(target, step);
+  if (rounded !== target) {
+    if (mode === "reject") {
+      return { ok: false, reason: `${v} °C does not match the resolution of ${step} °C` };
+    }
+    target = rounded;
+    // Rundung darf die Grenzen nicht wieder verlassen
+    if (Number.isFinite(min) && target < min) {
+      target = min;
+    }
+    if (Number.isFinite(max) && target > max) {
+      target = max;
+    }
+  }
+
+  return { ok: true, value: target, adjusted: target !== v };
+}
+
+module.exports = { validateSetpoint, roundToStep, SETPOINT_POLICIES, DEFAULT_POLICY, DEFAULT_STEP };
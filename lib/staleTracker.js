@@ -0,0 +1,67 @@
+"use strict";
+
+/**
+ * Merkt sich, wann Geräte und Status-Codes zuletzt von der Cloud gemeldet wurden.
+ * Registry (als JSON in info.lastSeenRegistry gespeichert):
+ * { <deviceId>: { ts, codes: { <code>: ts } } }
+ *
+ * Geräte, die länger als die Karenzzeit fehlen, und Codes, die ein weiterhin
+ * gemeldetes Gerät nicht mehr liefert, gelten als veraltet (stale).
+ */
+
+/**
+ * @param {object} registry last seen registry
+ * @param {string} deviceId sanitized device id
+ * @param {string[]} codes codes reported in this poll
+ * @param {number} now timestamp of the poll
+ */
+function markSeen(registry, deviceId, codes, now) {
+  const entry = registry[deviceId] || (registry[deviceId] = { ts: now, codes: {} });
+  entry.ts = now;
+  entry.codes = entry.codes || {};
+  for (const code of codes) {
+    entry.codes[code] = now;
+  }
+}
+
+/**
+ * @param {object} registry last seen registry
+ * @param {number} now current time
+ * @param {number} graceMs grace period
+ * @returns {{devices: string[], states: {deviceId: string, code: string, since: number}[]}} stale devices and codes (codes of stale devices are not listed)
+ */
+function findStale(registry, now, graceMs) {
+  const devices = [];
+  const states = [];
+  for (const [deviceId, entry] of Object.entries(registry)) {
+    if (now - entry.ts > graceMs) {
+      devices.push(deviceId);
+      continue;
+    }
+    for (const [code, ts] of Object.entries(entry.codes || {})) {
+      if (now - ts > graceMs) {
+        states.push({ deviceId, code, since: ts });
+      }
+    }
+  }
+  return { devices, states };
+}
+
+/**
+ * Gelöschte Geräte/Codes aus der Registry entfernen
+ *
+ * @param {object} registry last seen registry
+ * @param {{devices: string[], states: {deviceId: string, code: string}[]}} removed result of findStale
+ */
+function forget(registry, removed) {
+  for (const deviceId of removed.devices) {
+    delete registry[deviceId];
+  }
+  for (const { deviceId, code } of removed.states) {
+    if (registry[deviceId]?.codes) {
+      delete registry[deviceId].codes[code];
+    }
+  }
+}
+
+module.exports = { markSeen, findStale, forget };
@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Statistik je Gerät: min/max/Durchschnitt für heute, gestern, diese und letzte Woche
+ * sowie die Stunden mit Wärmebedarf. Gespeichert als JSON in info.statistics:
+ * { <deviceId>: { day, weekStart, today, yesterday, thisWeek, lastWeek, last: { ts, demand } } }
+ * Ein Zeitraum: { <code>: { min, max, sum, count }, heatingMs }
+ *
+ * Tages- und Wochenwechsel um Mitternacht in der Zeitzone des Geräts (info.timeZone), Wochen beginnen montags.
+ */
+
+const STAT_CODES = ["temp_current", "temp_set", "humidity_value", "pi_heating_demand"];
+const PERIODS = ["today", "yesterday", "thisWeek", "lastWeek"];
+
+/**
+ * @param {string} day YYYY-MM-DD
+ * @param {number} days days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(day, days) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {number} ts time
+ * @param {string} [timeZone] IANA time zone of the device (empty or invalid = system time zone)
+ * @returns {{day: string, weekStart: string}} local date and the Monday of its week
+ */
+function localPeriod(ts, timeZone) {
+  const options = { year: "numeric", month: "2-digit", day: "2-digit" };
+  let format;
+  try {
+    format = new Intl.DateTimeFormat("en-CA", { ...options, timeZone: timeZone || undefined });
+  } catch {
+    format = new Intl.DateTimeFormat("en-CA", options);
+  }
+  const parts = Object.fromEntries(format.formatToParts(new Date(ts)).map(p => [p.type, p.value]));
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay() || 7; // 1 = Montag
+  return { day, weekStart: addDays(day, 1 - weekday) };
+}
+
+/**
+ * Zeiträume weiterschalten; "gestern"/"letzte Woche" nur, wenn der Zeitraum direkt davor liegt
+ *
+ * @param {object|undefined} stats stored statistics of the device
+ * @param {{day: string, weekStart: string}} period current local period
+ * @returns {object} statistics with today/thisWeek for the current period
+ */
+function rollOver(stats, period) {
+  const next = { today: {}, yesterday: {}, thisWeek: {}, lastWeek: {}, ...stats };
+  if (next.day !== period.day) {
+    next.yesterday = next.day && addDays(next.day, 1) === period.day ? next.today : {};
+    next.today = {};
+    next.day = period.day;
+  }
+  if (next.weekStart !== period.weekStart) {
+    next.lastWeek = next.weekStart && addDays(next.weekStart, 7) === period.weekStart ? next.thisWeek : {};
+    next.thisWeek = {};
+    next.weekStart = period.weekStart;
+  }
+  return next;
+}
+
+/**
+ * @param {object|undefined} stats stored statistics of the device
+ * @param {number} ts time of the poll
+ * @param {Record<string, number>} values current values by code (STAT_CODES)
+ * @param {object} options sample options
+ * @param {string} [options.timeZone] IANA time zone of the device
+ * @param {number} options.maxGapMs longer gaps between two polls (adapter stopped, device offline) do not count as heating time
+ * @returns {object} updated statistics
+ */
+function addSample(stats, ts, values, options) {
+  const next = rollOver(stats, localPeriod(ts, options.timeZone));
+  const gap = next.last ? ts - next.last.ts : 0;
+  for (const key of ["today", "thisWeek"]) {
+    const agg = { ...next[key] };
+    for (const [code, val] of Object.entries(values)) {
+      const prev = agg[code];
+      agg[code] = prev
+        ? { min: Math.min(prev.min, val), max: Math.max(prev.max, val), sum: prev.sum + val, count: prev.count + 1 }
+        : { min: val, max: val, sum: val, count: 1 };
+    }
+    if (next.last?.demand > 0 && gap > 0 && gap <= options.maxGapMs) {
+      agg.heatingMs = (agg.heatingMs || 0) + gap;
+    }
+    next[key] = agg;
+  }
+  if (typeof values.pi_heating_demand === "number") {
+    next.last = { ts, demand: values.pi_heating_demand };
+  }
+  return next;
+}
+
+/**
+ * @param {object|undefined} agg one period of the statistics
+ * @returns {Record<string, number|null>} state values (<code>_min/_max/_avg, heatingHours), null = no data
+ */
+function summarize(agg) {
+  const result = {};
+  for (const code of STAT_CODES) {
+    const a = agg?.[code];
+    result[`${code}_min`] = a ? a.min : null;
+    result[`${code}_max`] = a ? a.max : null;
+    result[`${code}_avg`] = a ? Math.round((a.sum / a.count) * 10) / 10 : null;
+  }
+  result.heatingHours = agg?.pi_heating_demand ? Math.round(((agg.heatingMs || 0) / 3600000) * 10) / 10 : null;
+  return result;
+}
+
+module.exports = { localPeriod, rollOver, addSample, summarize, STAT_CODES, PERIODS };
@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Externe Fensterkontakte (fremde States, z. B. Zigbee/Homematic) je Gerät oder Gruppe.
+ * Tabelle native.windowContacts, Zeile: { target, contacts }
+ * - target: Geräte-ID oder Gruppenname (gilt dann für alle Mitglieder)
+ * - contacts: State-IDs der Kontakte, durch Komma getrennt
+ *
+ * Aktive Fenster-Pausen werden als JSON in info.activeWindowPauses gespeichert:
+ * { <deviceId>: { since, trigger, previous: { mode, temp_set } } }
+ */
+
+/**
+ * @param {object[]|undefined} rows native.windowContacts
+ * @param {(id: string) => string} sanitize id sanitizer of the adapter
+ * @param {Map<string, {members: string[]}>} groups configured groups (lib/groups)
+ * @returns {Map<string, string[]>} contact state ids by sanitized device id
+ */
+function parseWindowTable(rows, sanitize, groups) {
+  const map = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const target = typeof row?.target === "string" ? row.target.trim() : "";
+    const contacts = String(row?.contacts ?? "")
+      .split(/[,;\s]+/)
+      .filter(Boolean);
+    if (!target || !contacts.length) {
+      continue;
+    }
+    const group = groups.get(sanitize(target.replace(/^groups\./, "")));
+    for (const deviceId of group ? group.members : [sanitize(target)]) {
+      map.set(deviceId, [...new Set([...(map.get(deviceId) || []), ...contacts])]);
+    }
+  }
+  return map;
+}
+
+/**
+ * @param {ioBroker.StateValue|undefined} val value of a contact state
+ * @returns {boolean} true for true, numbers > 0 (Homematic: 1 = tilted, 2 = open) and "open"/"tilted"
+ */
+function isContactOpen(val) {
+  if (typeof val === "number") {
+    return val > 0;
+  }
+  return val === true || /^(open|opened|tilted|true)$/i.test(String(val ?? "").trim());
+}
+
+/**
+ * @param {ioBroker.StateValue} val content of info.activeWindowPauses
+ * @returns {object} active pauses by device id (invalid entries dropped)
+ */
+function parseWindowPauses(val) {
+  let parsed;
+  try {
+    parsed = val ? JSON.parse(String(val)) : {};
+  } catch {
+    return {};
+  }
+  const pauses = {};
+  for (const [deviceId, pause] of Object.entries(parsed && typeof parsed === "object" ? parsed : {})) {
+    if (pause?.previous && typeof pause.previous === "object") {
+      pauses[deviceId] = pause;
+    }
+  }
+  return pauses;
+}
+
+module.exports = { parseWindowTable, isContactOpen, parseWindowPauses };
@@ -1,6 +1,28 @@
 "use strict";
 const utils = require("@iobroker/adapter-core");
 const DanfossAPI = require("./lib/danfossApi");
+const { getProfile, writableCodes, isTemperatureCode } = require("./lib/profiles");
+const { validateSetpoint, DEFAULT_POLICY } = require("./lib/setpointValidation");
+const { parseDeviceTable, mergeDeviceTable, parseAssignedEnums } = require("./lib/deviceConfig");
+const { markSeen, findStale, forget } = require("./lib/staleTracker");
+const { remainingMinutes, restorePlan, parseBoosts, DEFAULT_BOOST_TEMP, MAX_BOOST_MIN } = require("./lib/boost");
+const { parseDateTime, formatDateTime, holidayPhase, holidayAction, HOLIDAY_PHASES } = require("./lib/holiday");
+const { parseSchedule, currentSlot, nextSlot } = require("./lib/schedule");
+const {
+  parseGroupTable,
+  resolveTargets,
+  aggregateGroup,
+  GROUP_STATUS_STATES,
+  GROUP_SOURCE_CODES
+} = require("./lib/groups");
+const { parseWindowTable, isContactOpen, parseWindowPauses } = require("./lib/windowContacts");
+const { parseSensorTable, sensorReading, toSensorRaw, EXT_SENSOR_OFF } = require("./lib/externalSensor");
+const { heatingDemand, boilerDecision, BOILER_MODES } = require("./lib/boilerControl");
+const { parsePresenceTable, presenceMode, PRESENCE_MODES } = require("./lib/presence");
+const { batteryLevel, addBatterySample, estimateDaysLeft } = require("./lib/battery");
+const { decodeFault, faultText, FAULT_TEXTS } = require("./lib/faults");
+const { localPeriod, rollOver, addSample, summarize, STAT_CODES, PERIODS } = require("./lib/statistics");
+const { parsePowerTable, addEnergy, roundPeriod, ENERGY_PERIODS } = require("./lib/energy");
 
 /** ------------------- Write-Coordination / Constants ------------------- */
 const WRITE_HOLD_MS = 60 * 1000; // 1 min: solange überschreibt der Poll lokale Writes nicht
@@ -8,84 +30,119 @@ const ANTI_RACE_PAUSE_MS = 5000; // 5 s: direkter kurzer Poll-Stopp nach lokalem
 const LAG_SUPPRESS_MS = 15000; // 15 s: unterdrücke "alte" Poll-Werte nach lokalem Write
 const TEMP_EPS = 0.05; // °C-Toleranz zum Abgleich mit Cloud
 const SETPOINT_CONFIRM_MS = 2 * 60 * 1000; // nach 2 min nochmals prüfen, ob die Cloud den Sollwert hält
+const WRITE_COALESCE_MS = 300; // Writes je Gerät so lange sammeln und als ein Command senden
+const UNLOAD_FLUSH_MS = 2000; // beim Stoppen höchstens so lange auf offene Writes warten (< common.stopTimeout)
 
-// Typ-/Einheits-Hints halten die Objekte stabil (kein Typflip bei wechselnden API-Rückgaben)
-const TYPE_HINTS = new Map([
-  // Zahlen (°C) — Danfoss Ally API Faktor ×10
-  ["temp_current", "number"],
-  ["temp_set", "number"],
-  ["upper_temp", "number"],
-  ["lower_temp", "number"],
-  ["at_home_setting", "number"],
-  ["leaving_home_setting", "number"],
-  ["pause_setting", "number"],
-  ["holiday_setting", "number"],
-  ["manual_mode_fast", "number"],
-  ["MeasuredValue", "number"], // Zigbee Faktor ×10 (Ist-Temperatur)
-
-  // Zahlen (°C) — Zigbee Thermostat Cluster Faktor ×100
-  ["OccupiedSetpoint", "number"], // ACHTUNG: /100, nicht /10!
-
-  // Zahlen (% / sonstige)
-  ["humidity_value", "number"],
-  ["battery_percentage", "number"],
-  ["pi_heating_demand", "number"], // 0–100 % Heizleistung
-  ["ext_measured_rs", "number"], // Bodensensor-Widerstand mΩ, -8000=kein Sensor
-
-  // Bool
-  ["child_lock", "boolean"],
-  ["floor_sensor", "boolean"],
-  ["heat_available", "boolean"],
-  ["load_balance_enable", "boolean"],
-  ["mounting_mode_active", "boolean"],
-  ["radiator_covered", "boolean"],
-  ["switch", "boolean"],
-  ["switch_state", "boolean"],
-  ["window_toggle", "boolean"],
-
-  // Strings (Enums/Text)
-  ["mode", "string"],
-  ["SetpointChangeSource", "string"],
-  ["work_state", "string"],
-  ["output_status", "string"],
-  ["fault", "string"],
-  ["system_status_water", "string"],
-  ["temp_mode", "string"],
-  ["window_state", "string"],
-  ["window_state_info", "string"]
-]);
-
-const UNIT_HINTS = new Map([
-  ["temp_current", "°C"],
-  ["temp_set", "°C"],
-  ["upper_temp", "°C"],
-  ["lower_temp", "°C"],
-  ["at_home_setting", "°C"],
-  ["leaving_home_setting", "°C"],
-  ["pause_setting", "°C"],
-  ["holiday_setting", "°C"],
-  ["humidity_value", "%"],
-  ["battery_percentage", "%"],
-  ["manual_mode_fast", "°C"],
-  ["MeasuredValue", "°C"],
-  ["OccupiedSetpoint", "°C"],
-  ["pi_heating_demand", "%"]
-]);
-
-// Beschreibbare States
-const WRITEABLE_CODES = new Set([
-  "temp_set", // manuelle Solltemperatur
-  "manual_mode_fast", // UI-write erlaubt, wird auf temp_set gemappt
+// Reihenfolge im gemeinsamen Command: Modus vor Sollwert, Presets danach
+const WRITE_ORDER = [
+  "mode",
+  "SetpointChangeSource",
+  "setpoint",
   "at_home_setting",
   "leaving_home_setting",
   "pause_setting",
   "holiday_setting",
-  "mode",
   "child_lock",
-  "SetpointChangeSource",
-  "switch" // Icon2: Zone Ein/Aus
+  "switch"
+];
+
+// Temperatur-Sollwerte, die vor dem Senden validiert werden
+const SETPOINT_CODES = [
+  "temp_set",
+  "manual_mode_fast",
+  "at_home_setting",
+  "leaving_home_setting",
+  "pause_setting",
+  "holiday_setting"
+];
+
+// States im Info-Channel je Gerät (<deviceId>.info.*); optional = nur wenn die Cloud den Wert liefert
+const DEVICE_INFO_STATES = {
+  online: { name: "Device online", type: "boolean", role: "indicator.reachable" },
+  lastSeen: { name: "Last seen online", type: "number", role: "value.time" },
+  offlineSince: { name: "Offline since", type: "number", role: "value.time" },
+  deviceType: { name: "Device type (cloud)", type: "string", role: "text" },
+  inferredType: { name: "Device type (inferred)", type: "string", role: "text" },
+  timeZone: { name: "Time zone", type: "string", role: "text" },
+  model: { name: "Model", type: "string", role: "text", optional: true },
+  firmware: { name: "Firmware", type: "string", role: "text", optional: true },
+  lastUpdate: { name: "Last update in the cloud", type: "number", role: "value.time", optional: true }
+};
+
+/** ------------------- Polling / Connection ------------------- */
+const MIN_POLL_SEC = 30;
+const MAX_POLL_SEC = 86400;
+const STARTUP_RETRY_SEC = 30; // erster Retry, solange noch nie eine Verbindung bestand
+const MAX_BACKOFF_SEC = 30 * 60; // Backoff-Obergrenze, solange die Cloud nicht erreichbar ist
+
+/** ------------------- Stale-Cleanup ------------------- */
+const STALE_GRACE_HOURS = 168; // 7 Tage nicht gemeldet → veraltet
+// Vom Adapter selbst gepflegte status.*-States (kommen nie von der Cloud)
+const LOCAL_STATUS_STATES = new Set([
+  "boostRemaining",
+  "externalTemperature",
+  "lowBattery",
+  "criticalBattery",
+  "batteryDaysLeft"
 ]);
 
+/** ------------------- Boost ------------------- */
+const BOOST_RETRY_MS = 60 * 1000; // Wiederherstellen fehlgeschlagen → erneut versuchen
+const BOOST_OVERRIDE_CODES = ["mode", "temp_set", "manual_mode_fast"]; // manueller Write beendet den Boost
+
+/** ------------------- Urlaubsplaner ------------------- */
+const HOLIDAY_TICK_MS = 60 * 1000; // Pläne minütlich prüfen
+const DEFAULT_RETURN_MODE = "at_home";
+
+/** ------------------- Wochenprogramm ------------------- */
+const SCHEDULE_MAX_WAIT_MS = 60 * 60 * 1000; // spätestens stündlich neu rechnen (Uhrzeit-/Sommerzeitwechsel)
+const SCHEDULE_RETRY_MS = 60 * 1000; // Slot konnte nicht geschrieben werden
+
+/** ------------------- Räume/Gruppen ------------------- */
+const GROUP_CONTROL_CODES = ["temp_set", "mode"]; // groups.<id>.control.* → an alle Mitglieder
+
+/** ------------------- Fensterkontakte ------------------- */
+const WINDOW_DELAY_SEC = 30; // so lange muss ein Kontakt offen sein, bis pausiert wird
+const WINDOW_FROST_TEMP = 7; // °C, Sollwert für windowAction "frost" (und Geräte ohne mode)
+const WINDOW_RETRY_MS = 60 * 1000; // Pause/Wiederherstellen fehlgeschlagen → erneut versuchen
+
+/** ------------------- Externe Temperatursensoren ------------------- */
+const EXT_SENSOR_CODE = "ext_measured_rs"; // External Measured Room Sensor (°C × 100, -8000 = off)
+const EXT_SENSOR_INTERVAL_MIN = 30; // Wert spätestens so oft erneut senden
+const EXT_SENSOR_STALE_MIN = 120; // ohne Update → Fallback auf den Gerätefühler
+const EXT_SENSOR_MIN_GAP_MS = 60 * 1000; // Änderungen höchstens einmal pro Minute senden
+const EXT_SENSOR_RETRY_MS = 60 * 1000;
+
+/** ------------------- Kesselsteuerung ------------------- */
+const BOILER_ON_THRESHOLD = 30; // % Wärmebedarf → Relais ein
+const BOILER_OFF_THRESHOLD = 10; // % Wärmebedarf → Relais aus
+const BOILER_MIN_ON_MIN = 5; // Mindestlaufzeit gegen Takten
+const BOILER_MIN_OFF_MIN = 5; // Mindestpause gegen Takten
+
+/** ------------------- Anwesenheit ------------------- */
+const PRESENCE_ARRIVE_DELAY_MIN = 0; // at_home sofort beim Kommen
+const PRESENCE_LEAVE_DELAY_MIN = 15; // leaving_home erst, wenn alle so lange weg sind
+const PRESENCE_RETRY_MS = 60 * 1000;
+
+/** ------------------- Batterie ------------------- */
+const BATTERY_LOW_PERCENT = 25;
+const BATTERY_CRITICAL_PERCENT = 10;
+const BATTERY_HYSTERESIS = 5; // % über der Schwelle, bevor eine Stufe wieder verlassen wird
+
+/** ------------------- Statistik ------------------- */
+const STATISTICS_PERIODS = { today: "Today", yesterday: "Yesterday", thisWeek: "This week", lastWeek: "Last week" };
+const STATISTICS_MIN_GAP_MS = 10 * 60 * 1000; // Heizzeit zählt nur über Lücken bis max(2 × Poll-Intervall, 10 min)
+
+/** ------------------- Heizenergie ------------------- */
+const ENERGY_PRICE = 0.12; // je kWh, Beispielwert Gas
+const ENERGY_CURRENCY = "€";
+const ENERGY_PERIOD_NAMES = {
+  today: "Today",
+  yesterday: "Yesterday",
+  thisMonth: "This month",
+  lastMonth: "Last month"
+};
+
 /** ------- Alias-/Normalisierung ------- */
 const CODE_ALIASES = new Map([
   ["occupied_setpoint", "OccupiedSetpoint"],
@@ -97,19 +154,6 @@ const CODE_ALIASES = new Map([
   ["setpoint_change", "SetpointChangeSource"]
 ]);
 
-const TEMP_LIKE_CODES = new Set([
-  "temp_current",
-  "temp_set",
-  "upper_temp",
-  "lower_temp",
-  "at_home_setting",
-  "leaving_home_setting",
-  "pause_setting",
-  "holiday_setting",
-  "manual_mode_fast",
-  "MeasuredValue"
-]);
-
 const MODE_ALIASES = new Map([
   ["holiday_sat", "holiday"], // Spezialfall → „holiday“
   ["manual", "manual"],
@@ -138,6 +182,17 @@ function normalizeMode(modeRaw) {
   return m;
 }
 
+/**
+ * @param write queued write that was replaced and not sent
+ * @param [by] what replaced it
+ * @returns {Error} error with superseded = true
+ */
+function supersededError(write, by = "a newer write") {
+  const err = new Error(`${write.code} write superseded by ${by}`);
+  err.superseded = true;
+  return err;
+}
+
 /**
  * ------- DEBUG HELPERS -------
  *
@@ -172,27 +227,10 @@ function statusEntriesFromRaw(raw) {
   return [];
 }
 
-function coerceTypeByHint(code, value) {
-  const hint = TYPE_HINTS.get(code);
-  if (!hint) {
-    return value;
-  }
-  if (hint === "number") {
-    return typeof value === "number" ? value : Number(value);
-  }
-  if (hint === "boolean") {
-    return typeof value === "boolean" ? value : value === "true" || value === true || value === 1;
-  }
-  if (hint === "string") {
-    return value != null ? String(value) : "";
-  }
-  return value;
-}
-
 // Vergleich nur-auf-Änderung (mit EPS für Temp)
 function isSameVal(code, a, b) {
   if (typeof a === "number" && typeof b === "number") {
-    return TEMP_LIKE_CODES.has(code) ? Math.abs(a - b) <= TEMP_EPS : a === b;
+    return isTemperatureCode(code) ? Math.abs(a - b) <= TEMP_EPS : a === b;
   }
   return a === b;
 }
@@ -206,6 +244,7 @@ class DanfossAlly extends utils.Adapter {
     });
     this.on("ready", this.onReady.bind(this));
     this.on("stateChange", this.onStateChange.bind(this));
+    this.on("message", this.onMessage.bind(this));
     this.on("unload", this.onUnload.bind(this));
     this.timeoutHandles = new Map();
     this.confirmHandles = new Map();
@@ -215,6 +254,65 @@ class DanfossAlly extends utils.Adapter {
     this._lastWriteAt = 0;
     this._recentWriteTs = new Map(); // key: `${deviceId}.${code}` -> ts (ms)
     this._initialStatusLogDone = false;
+    this._writeQueues = new Map(); // deviceId -> { entries: Map<key, write>, timer }
+    this._writeRuns = new Map(); // deviceId -> Promise des laufenden Batches
+    this._deviceTypes = new Map(); // deviceId -> Gerätetyp (für das Geräteprofil)
+
+    // Connection-Health
+    this.pollTimer = null;
+    this._pollIntervalSec = 60;
+    this._connected = false;
+    this._everConnected = false;
+    this._deviceFeaturesPending = false; // Schedules & Co. warten auf den ersten erfolgreichen Poll
+    this._consecutiveFailures = 0;
+    this._unloading = false;
+    this._setpointPolicy = DEFAULT_POLICY;
+    this._pollRun = null;
+    this._deviceOverrides = new Map(); // deviceId -> { enabled, name, room, func } aus native.devices
+    this._enumsSynced = new Set();
+    this._assignedEnums = {}; // deviceId -> { rooms, functions } vom Adapter angelegt (info.assignedEnums)
+    this._lastSeen = null; // Registry aus info.lastSeenRegistry (lib/staleTracker)
+    this._staleKnown = new Set(); // bereits geloggte veraltete Objekte
+    this._boosts = {}; // deviceId -> { until, temperature, previous } (info.activeBoosts)
+    this._boostTimers = new Map();
+    this._holidayTimer = null;
+    this._holidayRun = null;
+    this._holidayProgress = new Map(); // prefix -> { action, done: Set<deviceId> } eines laufenden Wechsels
+    this._schedules = new Map(); // deviceId -> { raw, parsed } aus <deviceId>.schedule.json
+    this._scheduleTimers = new Map();
+    this._groups = new Map(); // groupId -> { name, members } aus native.groups
+    this._windowContacts = new Map(); // deviceId -> Kontakt-State-IDs aus native.windowContacts
+    this._contactOpen = new Map(); // Kontakt-State-ID -> offen
+    this._windowPauses = {}; // deviceId -> { since, trigger, previous } (info.activeWindowPauses)
+    this._windowTimers = new Map();
+    this._windowOverrides = new Set(); // manuell übersteuert, bis alle Kontakte zu sind
+    this._extSensors = new Map(); // deviceId -> Sensor-State-ID aus native.externalSensors
+    this._extSensorSent = new Map(); // deviceId -> { raw, at } der letzten Übertragung
+    this._extSensorTimers = new Map(); // deviceId -> { due, handle }
+    this._boiler = null; // { relayId, devices, settings } aus native.boiler*
+    this._boilerTimer = null;
+    this._boilerRun = null;
+    this._presenceStates = []; // fremde State-IDs aus native.presenceStates
+    this._presenceValues = new Map(); // stateId -> letzter Wert
+    this._presenceDevices = []; // leer = alle Geräte mit mode
+    this._presenceTimer = null;
+    this._presencePending = null; // at_home / leaving_home, solange die Verzögerung läuft
+    this._batterySettings = {
+      low: BATTERY_LOW_PERCENT,
+      critical: BATTERY_CRITICAL_PERCENT,
+      hysteresis: BATTERY_HYSTERESIS
+    };
+    this._batteryNotify = true;
+    this._batteryLevels = new Map(); // deviceId -> ok / low / critical
+    this._batteryHistory = null; // deviceId -> [[ts, percent], ...] (info.batteryHistory), beim ersten Poll geladen
+    this._language = "en"; // Systemsprache für faults.faultText
+    this._statistics = null; // deviceId -> Zeiträume (info.statistics), beim ersten Poll geladen
+    this._statisticsObjects = new Set(); // "<deviceId>.<code>" mit angelegten Statistik-States
+    this._radiatorPower = new Map(); // deviceId -> Nennleistung in W (native.radiatorPower)
+    this._energyPrice = ENERGY_PRICE;
+    this._energyCurrency = ENERGY_CURRENCY;
+    this._energy = null; // deviceId -> Zähler (info.energy), beim ersten Poll geladen
+    this._energyObjects = new Set(); // Geräte, deren energy-Channel in diesem Lauf geprüft wurde
   }
 
   sanitizeId(raw) {
@@ -225,9 +323,69 @@ class DanfossAlly extends utils.Adapter {
 
   async onReady() {
     this._antiRacePauseMs = Number(this.config?.antiRacePauseMs) || ANTI_RACE_PAUSE_MS;
+    this._writeHoldMs = Number(this.config?.writeHoldMs) || WRITE_HOLD_MS;
+    this._lagSuppressMs = Number(this.config?.lagSuppressMs) || LAG_SUPPRESS_MS;
+    const coalesceMs = Number(this.config?.writeCoalesceMs);
+    this._writeCoalesceMs = Number.isFinite(coalesceMs) && coalesceMs >= 0 ? coalesceMs : WRITE_COALESCE_MS;
+    this._setpointPolicy = this.config?.setpointPolicy || DEFAULT_POLICY;
+    this._deviceOverrides = parseDeviceTable(this.config?.devices, id => this.sanitizeId(id));
+    const graceHours = Number(this.config?.staleGraceHours);
+    this._staleGraceMs = (Number.isFinite(graceHours) && graceHours > 0 ? graceHours : STALE_GRACE_HOURS) * 3600 * 1000;
+    this._staleDelete = !!this.config?.staleDelete;
+    this._groups = parseGroupTable(this.config?.groups, id => this.sanitizeId(id));
+    this._windowContacts = parseWindowTable(this.config?.windowContacts, id => this.sanitizeId(id), this._groups);
+    const windowDelaySec = Number(this.config?.windowDelaySec);
+    this._windowDelayMs =
+      (Number.isFinite(windowDelaySec) && windowDelaySec >= 0 ? windowDelaySec : WINDOW_DELAY_SEC) * 1000;
+    this._windowAction = this.config?.windowAction === "frost" ? "frost" : "pause";
+    const frostTemp = Number(this.config?.windowFrostTemp);
+    this._windowFrostTemp = Number.isFinite(frostTemp) && frostTemp > 0 ? frostTemp : WINDOW_FROST_TEMP;
+    this._extSensors = parseSensorTable(this.config?.externalSensors, id => this.sanitizeId(id));
+    this._extSensorCode = String(this.config?.externalSensorCode || "").trim() || EXT_SENSOR_CODE;
+    const extIntervalMin = Number(this.config?.externalSensorIntervalMin);
+    this._extSensorIntervalMs =
+      (Number.isFinite(extIntervalMin) && extIntervalMin > 0 ? extIntervalMin : EXT_SENSOR_INTERVAL_MIN) * 60000;
+    const extStaleMin = Number(this.config?.externalSensorStaleMin);
+    this._extSensorStaleMs =
+      (Number.isFinite(extStaleMin) && extStaleMin > 0 ? extStaleMin : EXT_SENSOR_STALE_MIN) * 60000;
+    const percent = (val, def) =>
+      val !== "" && Number.isFinite(Number(val)) && Number(val) >= 0 && Number(val) <= 100 ? Number(val) : def;
+    this._batterySettings = {
+      low: percent(this.config?.batteryLowPercent, BATTERY_LOW_PERCENT),
+      critical: percent(this.config?.batteryCriticalPercent, BATTERY_CRITICAL_PERCENT),
+      hysteresis: percent(this.config?.batteryHysteresis, BATTERY_HYSTERESIS)
+    };
+    this._batteryNotify = this.config?.batteryNotifications !== false;
+    this._radiatorPower = parsePowerTable(this.config?.radiatorPower, id => this.sanitizeId(id));
+    const price = Number(this.config?.energyPrice);
+    this._energyPrice = this.config?.energyPrice !== "" && Number.isFinite(price) && price >= 0 ? price : ENERGY_PRICE;
+    this._energyCurrency = String(this.config?.energyCurrency || "").trim() || ENERGY_CURRENCY;
+    this._presenceStates = parsePresenceTable(this.config?.presenceStates);
+    this._presenceDevices = resolveTargets(this.config?.presenceDevices, id => this.sanitizeId(id), this._groups);
+    const delayMin = (val, def) => (val !== "" && Number.isFinite(Number(val)) && Number(val) >= 0 ? Number(val) : def);
+    this._presenceArriveMs = delayMin(this.config?.presenceArriveDelayMin, PRESENCE_ARRIVE_DELAY_MIN) * 60000;
+    this._presenceLeaveMs = delayMin(this.config?.presenceLeaveDelayMin, PRESENCE_LEAVE_DELAY_MIN) * 60000;
+    const relayId = String(this.config?.boilerRelayId || "").trim();
+    if (relayId) {
+      const setting = (val, def) =>
+        val !== "" && Number.isFinite(Number(val)) && Number(val) >= 0 ? Number(val) : def;
+      this._boiler = {
+        relayId: this.sanitizeId(relayId),
+        devices: resolveTargets(this.config?.boilerDemandDevices, id => this.sanitizeId(id), this._groups),
+        settings: {
+          onThreshold: setting(this.config?.boilerOnThreshold, BOILER_ON_THRESHOLD),
+          offThreshold: setting(this.config?.boilerOffThreshold, BOILER_OFF_THRESHOLD),
+          minOnMs: setting(this.config?.boilerMinOnMin, BOILER_MIN_ON_MIN) * 60000,
+          minOffMs: setting(this.config?.boilerMinOffMin, BOILER_MIN_OFF_MIN) * 60000
+        }
+      };
+    }
+    const systemConfig = await this.getForeignObjectAsync("system.config").catch(() => null);
+    this._language = systemConfig?.common?.language || "en";
     this.log.info("Starting Danfoss Ally adapter...");
+    await this.setStateAsync("info.connection", false, true);
 
-    const { apiKey, apiSecret, tokenUrl, apiBaseUrl, scope, pollingInterval } = this.config;
+    const { apiKey, apiSecret, tokenUrl, apiBaseUrl, scope, pollingInterval, requestsPerMinute } = this.config;
     if (!apiKey || !apiSecret || !tokenUrl || !apiBaseUrl) {
       this.log.warn("Missing configuration (API key, secret or URL).");
       return;
@@ -239,43 +397,180 @@ class DanfossAlly extends utils.Adapter {
         apiSecret,
         tokenUrl,
         apiBaseUrl,
-        scope
+        scope,
+        requestsPerMinute
       },
       this.log
     );
 
+    let intervalSec = Number(pollingInterval || 60);
+    if (!Number.isFinite(intervalSec)) {
+      intervalSec = 60;
+    }
+    if (intervalSec < MIN_POLL_SEC) {
+      intervalSec = MIN_POLL_SEC;
+    }
+    if (intervalSec > MAX_POLL_SEC) {
+      intervalSec = MAX_POLL_SEC;
+    }
+    this._pollIntervalSec = intervalSec;
+
+    // Auf Schreib-States hören (inkl. Aliasse)
+    [
+      ...writableCodes().map(code => `*.control.${code}`),
+      "*.control.pause_settings",
+      "*.control.setpoint_change_source",
+      "*.control.setpointchangesource",
+      "*.control.setpoint_change",
+      "*.control.boost",
+      "*.control.boostTemperature",
+      "holiday.*",
+      "*.holiday.*",
+      "*.schedule.json",
+      "*.schedule.paused",
+      "boiler.mode"
+    ].forEach(p => this.subscribeStates(p));
+
+    this.log.debug(`Subscribed to write patterns for Danfoss Ally.`);
+
+    await this._ensureHolidayObjects("holiday", getProfile(), {});
+    await this._ensureGroupObjects();
+    await this._ensureBoilerObjects();
+    await this._ensurePresenceObjects();
+    await this._ensureInstanceEnergyObjects();
+    this._assignedEnums = parseAssignedEnums((await this.getStateAsync("info.assignedEnums"))?.val);
+    await this._pollCycle();
+    await this._restoreBoosts();
+    await this._evaluateHolidays();
+    this._holidayTimer = this.setInterval(() => this._evaluateHolidays(), HOLIDAY_TICK_MS);
+    this._deviceFeaturesPending = true;
+    await this._startDeviceFeatures();
+    if (this._deviceFeaturesPending) {
+      this.log.info(
+        "Cloud not reachable yet: window contacts, external sensors, presence switching and weekly schedules start after the first successful poll"
+      );
+    }
+  }
+
+  /**
+   * Funktionen, die die Geräteliste brauchen, einmalig nach dem ersten erfolgreichen Poll starten.
+   * Ist die Cloud beim Start nicht erreichbar, holt _onPollSuccess das nach.
+   */
+  async _startDeviceFeatures() {
+    if (!this._deviceFeaturesPending || !this._everConnected) {
+      return;
+    }
+    this._deviceFeaturesPending = false;
     try {
-      await this.api.ensureToken();
-      await this.updateDevices();
-      const MIN_POLL_SEC = 30;
-      const MAX_POLL_SEC = 86400;
+      await this._initWindowContacts();
+      await this._initExternalSensors();
+      await this._initPresence();
+      await this._initSchedules();
+    } catch (e) {
+      this.log.warn(`Starting device features failed: ${e.message}`);
+    }
+  }
 
-      let intervalSec = Number(pollingInterval || 60);
-      if (!Number.isFinite(intervalSec)) {
-        intervalSec = 60;
-      }
-      if (intervalSec < MIN_POLL_SEC) {
-        intervalSec = MIN_POLL_SEC;
-      }
-      if (intervalSec > MAX_POLL_SEC) {
-        intervalSec = MAX_POLL_SEC;
+  /**
+   * Einen Poll ausführen; läuft bereits einer, wird auf diesen gewartet
+   *
+   * @param [options] { force: true } überspringt die Anti-Race-Pause (refresh per sendTo)
+   */
+  _pollCycle(options = {}) {
+    if (!this._pollRun) {
+      this._pollRun = this._runPollCycle(options).finally(() => {
+        this._pollRun = null;
+      });
+    }
+    return this._pollRun;
+  }
+
+  /**
+   * Ein Poll-Durchlauf inkl. Verbindungsstatus und Planung des nächsten Polls.
+   * Schlägt Token oder Poll fehl, wird mit Backoff erneut versucht (auch beim Start).
+   *
+   * @param options see _pollCycle
+   */
+  async _runPollCycle(options) {
+    // ein vorgezogener Poll (refresh, Gruppen-Bestätigung) ersetzt den geplanten
+    this.clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    try {
+      await this.api.ensureToken();
+      const result = await this.updateDevices(options);
+      if (result !== "skipped") {
+        await this._onPollSuccess();
       }
+    } catch (err) {
+      await this._onPollFailure(err);
+    }
+
+    if (this._unloading) {
+      return;
+    }
 
-      this.pollInterval = this.setInterval(() => this.updateDevices(), intervalSec * 1000);
-      this.log.debug(`Polling interval set to ${intervalSec}s`);
+    const delaySec = this._nextPollDelaySec();
+    this.pollTimer = this.setTimeout(() => this._pollCycle(), delaySec * 1000);
+    this.log.debug(`Next poll in ${delaySec}s`);
+  }
 
-      // Auf Schreib-States hören (inkl. Aliasse)
-      [
-        ...Array.from(WRITEABLE_CODES, code => `*.control.${code}`),
-        "*.control.pause_settings",
-        "*.control.setpoint_change_source",
-        "*.control.setpointchangesource",
-        "*.control.setpoint_change"
-      ].forEach(p => this.subscribeStates(p));
+  /**
+   * Normales Intervall oder – bei Fehlern – exponentielles Backoff
+   */
+  _nextPollDelaySec() {
+    if (!this._consecutiveFailures) {
+      return this._pollIntervalSec;
+    }
+    const base = this._everConnected ? this._pollIntervalSec : STARTUP_RETRY_SEC;
+    const cap = Math.max(MAX_BACKOFF_SEC, this._pollIntervalSec);
+    return Math.min(cap, base * 2 ** (this._consecutiveFailures - 1));
+  }
 
-      this.log.debug(`Subscribed to write patterns for Danfoss Ally.`);
-    } catch (err) {
-      this.log.error(`Adapter startup failed: ${err.message}`);
+  /**
+   * Poll erfolgreich: info.* aktualisieren, Wiederverbindung loggen
+   */
+  async _onPollSuccess() {
+    const wasConnected = this._connected;
+    const failures = this._consecutiveFailures;
+    this._connected = true;
+    this._everConnected = true;
+    this._consecutiveFailures = 0;
+
+    await this.setStateChangedAsync("info.connection", true, true);
+    await this.setStateAsync("info.lastSuccessfulPoll", Date.now(), true);
+    await this.setStateChangedAsync("info.consecutiveFailures", 0, true);
+
+    if (!wasConnected) {
+      if (failures > 0) {
+        this.log.info(`Connection to Danfoss Ally Cloud restored after ${failures} failed attempt(s).`);
+      } else {
+        this.log.info(`Connected to Danfoss Ally Cloud. Polling interval ${this._pollIntervalSec}s`);
+      }
+    }
+    await this._startDeviceFeatures();
+  }
+
+  /**
+   * Poll/Token fehlgeschlagen: info.* aktualisieren, nur Zustandswechsel laut loggen
+   *
+   * @param err error from token request or poll
+   */
+  async _onPollFailure(err) {
+    const wasConnected = this._connected;
+    this._connected = false;
+    this._consecutiveFailures++;
+    const message = err?.response ? errDetails(err) : err?.message || String(err);
+
+    await this.setStateChangedAsync("info.connection", false, true);
+    await this.setStateAsync("info.lastError", message, true);
+    await this.setStateAsync("info.consecutiveFailures", this._consecutiveFailures, true);
+
+    const retrySec = this._nextPollDelaySec();
+    if (wasConnected || this._consecutiveFailures === 1) {
+      const what = this._everConnected ? "Danfoss Ally Cloud unreachable" : "Adapter startup failed";
+      this.log.warn(`${what}: ${message}. Retrying in ${retrySec}s`);
+    } else {
+      this.log.debug(`Poll failed (${this._consecutiveFailures}x in a row): ${message}. Retrying in ${retrySec}s`);
     }
   }
 
@@ -285,20 +580,25 @@ class DanfossAlly extends utils.Adapter {
    * - HOLD: schützt lokale Writes vor Poll-Überschreibung
    * - Lag-Suppress: ignoriert kurzzeitig evtl. „alte“ Cloud-Werte
    * - Only-if-changed: schreibt States nur bei Wertänderung
+   *
+   * @param [options] poll options
+   * @param [options.force] Anti-Race-Pause überspringen (refresh per sendTo)
    */
-  async updateDevices() {
+  async updateDevices(options = {}) {
+    const force = !!options.force;
     const pollStartedAt = Date.now();
     const initialStatusLog = !this._initialStatusLogDone;
     const pollChanges = new Map();
+    const seen = new Map(); // deviceId -> gemeldete Codes (für den Stale-Cleanup)
     let changed = 0,
       skipped = 0,
       held = 0;
 
     try {
       // Anti-Race: direkt nach einem lokalen Write kurz nicht pollen
-      if (pollStartedAt - this._lastWriteAt < this._antiRacePauseMs) {
+      if (!force && pollStartedAt - this._lastWriteAt < this._antiRacePauseMs) {
         this.log.debug(`Skipping poll (anti-race pause ${this._antiRacePauseMs}ms)`);
-        return;
+        return "skipped";
       }
 
       const devices = await this.api.getDevices();
@@ -314,29 +614,41 @@ class DanfossAlly extends utils.Adapter {
         const devId = this.sanitizeId(dev.id);
         const devPath = `${devId}`;
 
+        // In den Einstellungen ausgeschlossen → nicht pollen, keine Objekte
+        const override = this._deviceOverrides.get(devId);
+        if (override && !override.enabled) {
+          this.log.debug(`DEVICE ${devId}: excluded in settings, skipped`);
+          seen.set(devId, null); // noch im Konto → nicht veraltet
+          continue;
+        }
+        // Eigener Name aus den Einstellungen gewinnt gegen den Cloud-Namen
+        const devName = override?.name || dev.name || "Device";
+
         // Channel/Ordner für Gerät
         const deviceObj = await this.getObjectAsync(devPath);
         if (!deviceObj) {
           await this.setObjectAsync(devPath, {
             type: "device",
             common: {
-              name: dev.name || "Device"
+              name: devName
             },
             native: dev.raw || {}
           });
-        } else if ((deviceObj.common?.name || "") !== (dev.name || "Device")) {
+        } else if ((deviceObj.common?.name || "") !== devName) {
           await this.extendObjectAsync(devPath, {
             common: {
               ...(deviceObj.common || {}),
-              name: dev.name || "Device"
+              name: devName
             },
             native: dev.raw || {}
           });
         }
+        await this._syncDeviceEnums(devId, override);
 
-        this.log.debug(
-          `DEVICE ${devId}: name="${dev.name || "Device"}" type="${dev.type || "unknown"}" online=${dev.online}`
-        );
+        this.log.debug(`DEVICE ${devId}: name="${devName}" type="${dev.type || "unknown"}" online=${dev.online}`);
+        this._deviceTypes.set(devId, dev.type);
+        const profile = getProfile(dev.type);
+        await this._updateDeviceInfo(devId, dev, pollStartedAt);
 
         // Channel "status" unter dem Gerät anlegen
         await this.setObjectNotExistsAsync(`${devPath}.status`, {
@@ -360,6 +672,18 @@ class DanfossAlly extends utils.Adapter {
           this.log.debug(`STATUS ${devId}: loaded ${pairs.length} entries via direct status endpoint`);
         }
 
+        // Vom Gerät gemeldete Grenzen → min/max der Sollwert-Objekte
+        const limits = this._setpointLimits(profile, pairs);
+        const seenCodes = [];
+        seen.set(devId, seenCodes);
+        if (pairs.some(([c]) => c === "temp_set") && profile.isWritable("temp_set")) {
+          await this._ensureBoostObjects(devId, profile, limits);
+          await this._ensureScheduleObjects(devId);
+        }
+        if (pairs.some(([c]) => c === "mode") && profile.isWritable("mode")) {
+          await this._ensureHolidayObjects(`${devId}.holiday`, profile, limits);
+        }
+
         for (const [codeRaw, rawValue] of pairs) {
           if (typeof codeRaw !== "string") {
             continue;
@@ -368,113 +692,21 @@ class DanfossAlly extends utils.Adapter {
           // Code normalisieren + sanitizen
           const code = this.sanitizeId(normalizeCode(codeRaw));
 
-          // Skalierung in reale Einheiten
-          let value = rawValue;
-          // Skalierung: Ally API Faktor ×10 → °C
-          if (TEMP_LIKE_CODES.has(code) && typeof value === "number") {
-            value = value / 10;
-          }
-          // Zigbee Thermostat Cluster OccupiedSetpoint: Faktor ×100
-          if (code === "OccupiedSetpoint" && typeof value === "number") {
-            value = value / 100;
-          }
-          if (code === "humidity_value" && typeof value === "number") {
-            value = value / 10;
-          }
-
-          // Typ stabilisieren (verhindert Type-Flips)
-          value = coerceTypeByHint(code, value);
+          // Skalierung in reale Einheiten + Typ stabilisieren (laut Geräteprofil)
+          const value = profile.fromCloud(code, rawValue);
 
           // Objekt anlegen/angleichen (stabile Metadaten)
-          const forcedType =
-            TYPE_HINTS.get(code) ||
-            (typeof value === "number" ? "number" : typeof value === "boolean" ? "boolean" : "string");
-          const unit = UNIT_HINTS.get(code) || this.mapUnit(code);
-
           const id = `${devPath}.status.${code}`;
-          const existing = await this.getObjectAsync(id);
-          if (!existing) {
-            await this.setObjectAsync(id, {
-              type: "state",
-              common: {
-                name: code,
-                type: forcedType,
-                role: this.mapRole(code),
-                unit,
-                read: true,
-                write: false
-              },
-              native: {}
-            });
-          } else {
-            const c = existing.common || {};
-            const needExtend =
-              c.type !== forcedType ||
-              c.unit !== (unit || "") ||
-              c.read !== true ||
-              c.write !== false ||
-              c.role !== this.mapRole(code) ||
-              c.name !== code;
-
-            if (needExtend) {
-              await this.extendObjectAsync(id, {
-                common: {
-                  ...c,
-                  name: code,
-                  type: forcedType,
-                  role: this.mapRole(code),
-                  unit,
-                  read: true,
-                  write: false
-                }
-              });
-            }
-          }
+          await this._ensureStateObject(id, code, profile.objectCommon(code, value, false, limits));
+          seenCodes.push(code);
 
           // Writeable DPs zusätzlich unter ".control.<code>" anlegen
-          if (WRITEABLE_CODES.has(code)) {
-            const cid = `${devPath}.control.${code}`;
-            const existingC = await this.getObjectAsync(cid);
-            const forcedTypeC = TYPE_HINTS.get(code) || forcedType;
-            const unitC = UNIT_HINTS.get(code) || unit;
-
-            if (!existingC) {
-              await this.setObjectAsync(cid, {
-                type: "state",
-                common: {
-                  name: code,
-                  type: forcedTypeC,
-                  role: this.mapRole(code),
-                  unit: unitC,
-                  read: true,
-                  write: true
-                },
-                native: {}
-              });
-            } else {
-              const cc = existingC.common || {};
-              const needExtendC =
-                cc.type !== forcedTypeC ||
-                cc.unit !== (unitC || "") ||
-                cc.read !== true ||
-                cc.write !== true ||
-                cc.role !== this.mapRole(code) ||
-                cc.name !== code;
-
-              if (needExtendC) {
-                await this.extendObjectAsync(cid, {
-                  common: {
-                    ...cc,
-                    name: code,
-                    type: forcedTypeC,
-                    role: this.mapRole(code),
-                    unit: unitC,
-                    read: true,
-                    write: true
-                  }
-                });
-              }
-            }
+          if (profile.isWritable(code)) {
+            await this._ensureStateObject(
+              `${devPath}.control.${code}`,
+              code,
+              profile.objectCommon(code, value, true, limits)
+            );
 
             // control ist reiner Schreibkanal. Cloud-Rueckmeldungen stehen unter status.
             // So vermeiden wir Feedback-Loops mit externen Systemen, die control.* abonnieren.
@@ -506,12 +738,12 @@ class DanfossAlly extends utils.Adapter {
 
           // Lag-Suppress: kurz nach lokalem Write evtl. alten Cloud-Wert ignorieren
           const lastWriteTs = this._recentWriteTs.get(key) || 0;
-          if (lastWriteTs && pollStartedAt - lastWriteTs < LAG_SUPPRESS_MS) {
+          if (lastWriteTs && pollStartedAt - lastWriteTs < this._lagSuppressMs) {
             const cur = await this.getStateAsync(id);
             const same = cur && cur.val !== undefined && isSameVal(code, cur.val, value);
             if (!same) {
               this.log.debug(
-                `SUPPRESS ${key}: skip cloud=${dval(value)} for ${LAG_SUPPRESS_MS - (pollStartedAt - lastWriteTs)}ms (recent local write)`
+                `SUPPRESS ${key}: skip cloud=${dval(value)} for ${this._lagSuppressMs - (pollStartedAt - lastWriteTs)}ms (recent local write)`
               );
               continue;
             }
@@ -557,7 +789,212 @@ class DanfossAlly extends utils.Adapter {
       );
       this._initialStatusLogDone = true;
     } catch (err) {
-      this.log.error(`Error updating devices: ${err.message}`);
+      this.log.debug(`Error updating devices: ${errDetails(err)}`);
+      throw err;
+    }
+    await this._afterPoll(seen, pollStartedAt);
+  }
+
+  /**
+   * Lokale Auswertungen nach einem erfolgreichen Poll. Fehler hier werden nur geloggt
+   * und zählen nicht als Verbindungsfehler.
+   *
+   * @param seen reported codes by device id
+   * @param pollStartedAt timestamp of the poll
+   */
+  async _afterPoll(seen, pollStartedAt) {
+    const steps = [
+      ["stale check", () => this._checkStale(seen, pollStartedAt)],
+      ["groups", () => this._updateGroups()],
+      ["batteries", () => this._updateBatteries()],
+      ["faults", () => this._updateFaults()],
+      ["statistics", () => this._updateStatistics()],
+      ["energy", () => this._updateEnergy()],
+      ["boiler control", () => this._evaluateBoiler()]
+    ];
+    for (const [name, step] of steps) {
+      try {
+        await step();
+      } catch (e) {
+        this.log.warn(`Updating ${name} after the poll failed: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Info-Channel eines Geräts aktualisieren: Erreichbarkeit, Typ und Metadaten aus der Geräteliste.
+   * offlineSince bleibt beim ersten Offline-Poll stehen, bis das Gerät wieder online ist.
+   *
+   * @param deviceId sanitized device id
+   * @param dev device from DanfossAPI.getDevices
+   * @param now timestamp of the poll
+   */
+  async _updateDeviceInfo(deviceId, dev, now) {
+    await this.setObjectNotExistsAsync(`${deviceId}.info`, {
+      type: "channel",
+      common: { name: "Information" },
+      native: {}
+    });
+
+    const online = !!dev.online;
+    const prevOnline = await this.getStateAsync(`${deviceId}.info.online`);
+    const prevOffline = await this.getStateAsync(`${deviceId}.info.offlineSince`);
+    if (prevOnline && prevOnline.val !== online) {
+      this.log.info(online ? `Device ${deviceId} is online again` : `Device ${deviceId} went offline`);
+    }
+
+    const values = {
+      online,
+      lastSeen: online ? now : undefined,
+      offlineSince: online ? null : prevOffline?.val || now,
+      deviceType: dev.rawType || "",
+      inferredType: dev.type || "",
+      timeZone: dev.time_zone || "",
+      model: dev.model,
+      firmware: dev.firmware,
+      lastUpdate: dev.lastUpdate
+    };
+    for (const [key, { optional, name, ...common }] of Object.entries(DEVICE_INFO_STATES)) {
+      const val = values[key];
+      if (val === undefined || (optional && val === null)) {
+        continue;
+      }
+      const id = `${deviceId}.info.${key}`;
+      await this._ensureStateObject(id, name, { ...common, read: true, write: false });
+      await this.setStateChangedAsync(id, val, true);
+    }
+  }
+
+  /**
+   * Zuletzt-gesehen-Registry laden; beim ersten Start mit den vorhandenen Objekten befüllen,
+   * damit bereits verschwundene Geräte erst nach Ablauf der Karenzzeit als veraltet gelten
+   *
+   * @param now timestamp used for seeded entries
+   */
+  async _loadLastSeen(now) {
+    if (this._lastSeen) {
+      return this._lastSeen;
+    }
+    const state = await this.getStateAsync("info.lastSeenRegistry");
+    try {
+      const parsed = state?.val ? JSON.parse(String(state.val)) : null;
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        this._lastSeen = parsed;
+        return parsed;
+      }
+    } catch (e) {
+      this.log.debug(`info.lastSeenRegistry unreadable, rebuilding: ${e.message}`);
+    }
+
+    const registry = {};
+    const prefix = `${this.namespace}.`;
+    const objects = await this.getAdapterObjectsAsync();
+    for (const [fullId, obj] of Object.entries(objects)) {
+      const parts = fullId.slice(prefix.length).split(".");
+      if (obj.type === "device" && parts.length === 1) {
+        markSeen(registry, parts[0], [], now);
+      } else if (
+        obj.type === "state" &&
+        parts.length === 3 &&
+        parts[1] === "status" &&
+        !LOCAL_STATUS_STATES.has(parts[2])
+      ) {
+        markSeen(registry, parts[0], [parts[2]], now);
+      }
+    }
+    this._lastSeen = registry;
+    return registry;
+  }
+
+  /**
+   * Nicht mehr gemeldete Geräte/Codes nach der Karenzzeit als veraltet markieren
+   * und – falls konfiguriert – löschen. Läuft nur nach einem vollständigen Poll.
+   *
+   * @param seen deviceId -> codes of this poll (null = excluded, only the device counts as seen)
+   * @param now timestamp of the poll
+   */
+  async _checkStale(seen, now) {
+    const registry = await this._loadLastSeen(now);
+    for (const [deviceId, codes] of seen) {
+      markSeen(registry, deviceId, codes || Object.keys(registry[deviceId]?.codes || {}), now);
+    }
+
+    const stale = findStale(registry, now, this._staleGraceMs);
+    const stateIds = stale.states.map(s => `${s.deviceId}.status.${s.code}`);
+    const staleIds = [...stale.devices, ...stateIds];
+    for (const deviceId of stale.devices) {
+      if (!this._staleKnown.has(deviceId)) {
+        const since = new Date(registry[deviceId].ts).toISOString();
+        this.log.info(`Device ${deviceId} not reported by the cloud since ${since}, marked as stale`);
+      }
+    }
+    for (const { deviceId, code, since } of stale.states) {
+      if (!this._staleKnown.has(`${deviceId}.status.${code}`)) {
+        this.log.info(`${deviceId}: ${code} not reported since ${new Date(since).toISOString()}, marked as stale`);
+      }
+    }
+    this._staleKnown = new Set(staleIds);
+
+    if (this._staleDelete && staleIds.length) {
+      await this._removeStale(stale);
+      forget(registry, stale);
+      this._staleKnown.clear();
+      this.log.info(`Removed stale objects: ${staleIds.join(", ")}`);
+      await this.setStateAsync(
+        "info.lastCleanup",
+        JSON.stringify({ ts: now, devices: stale.devices, states: stateIds }),
+        true
+      );
+      await this.setStateChangedAsync("info.staleObjects", "[]", true);
+    } else {
+      await this.setStateChangedAsync("info.staleObjects", JSON.stringify(staleIds), true);
+    }
+    await this.setStateAsync("info.lastSeenRegistry", JSON.stringify(registry), true);
+  }
+
+  /**
+   * Veraltete Geräte (rekursiv) und Codes (status + control) löschen
+   *
+   * @param stale result of findStale
+   */
+  async _removeStale(stale) {
+    for (const deviceId of stale.devices) {
+      if (this._boosts[deviceId]) {
+        await this._dropBoost(deviceId, "device removed");
+      }
+      try {
+        await this.delObjectAsync(deviceId, { recursive: true });
+      } catch (e) {
+        this.log.warn(`Could not remove stale device ${deviceId}: ${e.message}`);
+      }
+      this._deviceTypes.delete(deviceId);
+      this._enumsSynced.delete(deviceId);
+      this._batteryLevels.delete(deviceId);
+      this._energyObjects.delete(deviceId);
+      [...this._statisticsObjects]
+        .filter(key => key.startsWith(`${deviceId}.`))
+        .forEach(key => this._statisticsObjects.delete(key));
+      this._schedules.delete(deviceId);
+      this.clearTimeout(this._scheduleTimers.get(deviceId));
+      this._scheduleTimers.delete(deviceId);
+      this._windowContacts.delete(deviceId);
+      this._extSensors.delete(deviceId);
+      this.clearTimeout(this._extSensorTimers.get(deviceId)?.handle);
+      this._extSensorTimers.delete(deviceId);
+      if (this._windowPauses[deviceId]) {
+        delete this._windowPauses[deviceId];
+        await this._saveWindowPauses();
+      }
+    }
+    for (const { deviceId, code } of stale.states) {
+      for (const channel of ["status", "control"]) {
+        const id = `${deviceId}.${channel}.${code}`;
+        if (await this.getObjectAsync(id)) {
+          await this.delObjectAsync(id).catch(e => this.log.warn(`Could not remove stale state ${id}: ${e.message}`));
+        }
+      }
+      this._pending.delete(`${deviceId}.${code}`);
+      this._recentWriteTs.delete(`${deviceId}.${code}`);
     }
   }
 
@@ -573,11 +1010,11 @@ class DanfossAlly extends utils.Adapter {
     const now = Date.now();
     this._pending.set(key, {
       val: localVal,
-      until: now + WRITE_HOLD_MS
+      until: now + this._writeHoldMs
     });
     this._recentWriteTs.set(key, now);
     this._lastWriteAt = now;
-    this.log.debug(`HOLD  ${key} = ${dval(localVal)} for ${Math.round(WRITE_HOLD_MS / 1000)}s`);
+    this.log.debug(`HOLD  ${key} = ${dval(localVal)} for ${Math.round(this._writeHoldMs / 1000)}s`);
   }
 
   /**
@@ -590,6 +1027,7 @@ class DanfossAlly extends utils.Adapter {
     try {
       const raw = await this.api.getDeviceStatus(deviceId);
       const statusArray = statusEntriesFromRaw(raw).map(([code, value]) => ({ code, value }));
+      const profile = this._profileFor(deviceId);
 
       const devPath = `${deviceId}`;
 
@@ -616,17 +1054,7 @@ class DanfossAlly extends utils.Adapter {
           continue;
         }
 
-        let value = entry.value;
-        if (TEMP_LIKE_CODES.has(code) && typeof value === "number") {
-          value = value / 10;
-        }
-        if (code === "OccupiedSetpoint" && typeof value === "number") {
-          value = value / 100;
-        }
-        if (code === "humidity_value" && typeof value === "number") {
-          value = value / 10;
-        }
-        value = coerceTypeByHint(code, value);
+        const value = profile.fromCloud(code, entry.value);
 
         const id = `${devPath}.status.${code}`;
         const key = `${deviceId}.${code}`;
@@ -646,12 +1074,12 @@ class DanfossAlly extends utils.Adapter {
 
         // Lag-Suppress im Soft-Refresh ebenfalls respektieren
         const lastWriteTs = this._recentWriteTs.get(key) || 0;
-        if (lastWriteTs && Date.now() - lastWriteTs < LAG_SUPPRESS_MS) {
+        if (lastWriteTs && Date.now() - lastWriteTs < this._lagSuppressMs) {
           const cur = await this.getStateAsync(id);
           const same = cur && cur.val !== undefined && isSameVal(code, cur.val, value);
           if (!same) {
             this.log.debug(
-              `SUPPRESS ${key} (soft): skip cloud=${dval(value)} for ${LAG_SUPPRESS_MS - (Date.now() - lastWriteTs)}ms`
+              `SUPPRESS ${key} (soft): skip cloud=${dval(value)} for ${this._lagSuppressMs - (Date.now() - lastWriteTs)}ms`
             );
             continue;
           }
@@ -668,6 +1096,7 @@ class DanfossAlly extends utils.Adapter {
       }
     } catch (e) {
       this.log.debug(`(soft refresh) failed for ${deviceId}: ${e.message}`);
+      throw e;
     }
   }
 
@@ -680,13 +1109,177 @@ class DanfossAlly extends utils.Adapter {
     }
 
     const handle = this.setTimeout(() => {
-      this._softRefreshOne(deviceId, codes);
+      this._softRefreshOne(deviceId, codes).catch(() => {}); // bereits geloggt
       this.timeoutHandles.delete(deviceId);
     }, 1500);
 
     this.timeoutHandles.set(deviceId, handle);
   }
 
+  /**
+   * @param deviceId sanitized device id
+   * @returns {boolean} true, wenn das Gerät in den Einstellungen ausgeschlossen ist
+   */
+  _isExcluded(deviceId) {
+    return this._deviceOverrides.get(deviceId)?.enabled === false;
+  }
+
+  /**
+   * Geräteobjekt dem konfigurierten Raum/der Funktion zuordnen (einmal pro Start).
+   * Entfernt wird nur eine Zuordnung, die der Adapter selbst angelegt hat (info.assignedEnums);
+   * manuelle Zuordnungen bleiben unangetastet.
+   *
+   * @param deviceId sanitized device id
+   * @param override settings row of the device
+   */
+  async _syncDeviceEnums(deviceId, override) {
+    if (this._enumsSynced.has(deviceId)) {
+      return;
+    }
+    this._enumsSynced.add(deviceId);
+    const fullId = `${this.namespace}.${deviceId}`;
+    const assigned = { ...this._assignedEnums[deviceId] };
+    for (const [kind, target] of [
+      ["rooms", override?.room],
+      ["functions", override?.func]
+    ]) {
+      try {
+        const previous = assigned[kind];
+        if (previous && previous !== target) {
+          const enumObj = await this.getForeignObjectAsync(previous);
+          const members = enumObj?.common?.members || [];
+          if (members.includes(fullId)) {
+            enumObj.common.members = members.filter(m => m !== fullId);
+            await this.setForeignObjectAsync(previous, enumObj);
+            this.log.debug(`ENUM ${deviceId}: removed from ${previous}`);
+          }
+          delete assigned[kind];
+        }
+        if (!target) {
+          continue;
+        }
+        const enumObj = await this.getForeignObjectAsync(target);
+        if (enumObj?.type !== "enum") {
+          this.log.warn(`${target} configured for ${deviceId} does not exist`);
+          continue;
+        }
+        const members = enumObj.common?.members || [];
+        if (!members.includes(fullId)) {
+          enumObj.common.members = [...members, fullId];
+          await this.setForeignObjectAsync(target, enumObj);
+          assigned[kind] = target;
+          this.log.debug(`ENUM ${deviceId}: added to ${target}`);
+        }
+      } catch (e) {
+        this.log.warn(`Could not update ${kind} of ${deviceId}: ${e.message}`);
+      }
+    }
+    if (JSON.stringify(assigned) !== JSON.stringify(this._assignedEnums[deviceId] || {})) {
+      if (Object.keys(assigned).length) {
+        this._assignedEnums[deviceId] = assigned;
+      } else {
+        delete this._assignedEnums[deviceId];
+      }
+      await this.setStateAsync("info.assignedEnums", JSON.stringify(this._assignedEnums), true);
+    }
+  }
+
+  /**
+   * Geräteprofil zu einer Geräte-ID (Typ aus dem letzten Poll, sonst generisch)
+   *
+   * @param deviceId sanitized device id
+   */
+  _profileFor(deviceId) {
+    return getProfile(this._deviceTypes.get(deviceId));
+  }
+
+  /**
+   * Grenzen für einen Sollwert-Write: vom Gerät gemeldete lower_temp/upper_temp, sonst Profil
+   *
+   * @param deviceId sanitized device id
+   * @param def code definition from the device profile
+   * @returns {Promise<{min?: number, max?: number, step?: number}>} limits
+   */
+  async _setpointLimitsFor(deviceId, def) {
+    const lower = await this.getStateAsync(`${deviceId}.status.lower_temp`);
+    const upper = await this.getStateAsync(`${deviceId}.status.upper_temp`);
+    const limits = { step: def?.step };
+    const min = typeof lower?.val === "number" ? lower.val : def?.min;
+    const max = typeof upper?.val === "number" ? upper.val : def?.max;
+    if (min !== undefined) {
+      limits.min = min;
+    }
+    if (max !== undefined) {
+      limits.max = max;
+    }
+    return limits;
+  }
+
+  /**
+   * Abgelehnten Write sichtbar machen: control-State zurück auf den letzten Status-Wert,
+   * Grund im State-Kommentar (c) und im Log
+   *
+   * @param deviceId sanitized device id
+   * @param code control code
+   * @param val rejected value
+   * @param reason why the value was rejected
+   */
+  async _rejectControlWrite(deviceId, code, val, reason) {
+    this.log.warn(`Rejected ${deviceId}.control.${code}=${val}: ${reason}`);
+    const cur = await this.getStateAsync(`${deviceId}.status.${code}`);
+    await this.setStateAsync(`${deviceId}.control.${code}`, {
+      val: cur?.val ?? null,
+      ack: true,
+      c: `Rejected ${val}: ${reason}`
+    });
+  }
+
+  /**
+   * lower_temp/upper_temp aus den Status-Einträgen eines Geräts (skaliert)
+   *
+   * @param profile device profile
+   * @param pairs status entries [code, rawValue]
+   */
+  _setpointLimits(profile, pairs) {
+    const limits = {};
+    for (const [codeRaw, rawValue] of pairs) {
+      const code = normalizeCode(codeRaw);
+      if (code !== "lower_temp" && code !== "upper_temp") {
+        continue;
+      }
+      const v = profile.fromCloud(code, rawValue);
+      if (Number.isFinite(v)) {
+        limits[code === "lower_temp" ? "min" : "max"] = v;
+      }
+    }
+    if (limits.min !== undefined && limits.max !== undefined && limits.min > limits.max) {
+      return {};
+    }
+    return limits;
+  }
+
+  /**
+   * State-Objekt anlegen bzw. Metadaten angleichen, wenn sie vom Profil abweichen
+   *
+   * @param id object id
+   * @param name object name (code or translations)
+   * @param common desired common from the device profile
+   */
+  async _ensureStateObject(id, name, common) {
+    const existing = await this.getObjectAsync(id);
+    if (!existing) {
+      await this.setObjectAsync(id, { type: "state", common: { name, ...common }, native: {} });
+      return;
+    }
+    const c = existing.common || {};
+    const needExtend =
+      JSON.stringify(c.name) !== JSON.stringify(name) ||
+      Object.keys(common).some(k => JSON.stringify(c[k]) !== JSON.stringify(common[k]));
+    if (needExtend) {
+      await this.extendObjectAsync(id, { common: { ...c, name, ...common } });
+    }
+  }
+
   async _hasStateObject(deviceId, code) {
     const statusObj = await this.getObjectAsync(`${deviceId}.status.${code}`);
     if (statusObj) {
@@ -742,6 +1335,7 @@ class DanfossAlly extends utils.Adapter {
    *
    * @param deviceId
    * @param commands
+   * @returns {Promise<object>} Cloud-Antwort
    */
   async sendCommands(deviceId, commands) {
     const payloadCommands = commands.map(({ code, value }) => ({
@@ -751,10 +1345,11 @@ class DanfossAlly extends utils.Adapter {
     this.log.debug(`SEND ${deviceId}: ${payloadCommands.map(c => `${c.code}=${dval(c.value)}`).join(", ")}`);
 
     try {
-      await this.api.sendCommand(deviceId, {
+      const response = await this.api.sendCommand(deviceId, {
         commands: payloadCommands
       });
       this.log.debug(`OK   ${deviceId}: ${payloadCommands.map(c => c.code).join(", ")}`);
+      return response;
     } catch (err) {
       this.log.debug(`ERR  ${deviceId}: ${payloadCommands.map(c => c.code).join(", ")} => ${errDetails(err)}`);
       throw err;
@@ -864,8 +1459,8 @@ class DanfossAlly extends utils.Adapter {
   }
 
   /**
-   * Writes aus ioBroker entgegennehmen und an die Cloud senden
-   * – ohne automatische Sequenzen (volle Kontrolle pro Code)
+   * Writes aus ioBroker entgegennehmen und in die Write-Queue des Geräts legen
+   * – ohne automatische Sequenzen; kurz nacheinander geschriebene Codes gehen als ein Command raus
    *
    * @param id
    * @param state
@@ -876,6 +1471,20 @@ class DanfossAlly extends utils.Adapter {
       return;
     }
 
+    // Fensterkontakte, externe Sensoren und Anwesenheit sind fremde States (meist ack=true)
+    if (this._contactOpen.has(id)) {
+      await this._onWindowContact(id, state.val);
+    }
+    if ([...this._extSensors.values()].includes(id)) {
+      await this._onExternalSensor(id, state);
+    }
+    if (this._presenceValues.has(id)) {
+      await this._onPresenceState(id, state.val);
+    }
+    if (!id.startsWith(`${this.namespace}.`)) {
+      return;
+    }
+
     // 2) ack=true: nur Debug (kein Write auslösen)
     if (state.ack) {
       this.log.debug(`ack=true update ignored: ${id}`);
@@ -901,6 +1510,23 @@ class DanfossAlly extends utils.Adapter {
       const rel = id.slice(nsPrefix.length); // => "<deviceId>.<section>.<code>[.<sub>...]"
       const parts = rel.split(".");
       const deviceIdRaw = parts[0];
+      // Urlaubsplan der Instanz: "holiday.<key>"
+      if (parts.length === 2 && deviceIdRaw === "holiday") {
+        await this._onHolidayWrite(null, parts[1], state.val);
+        return;
+      }
+      // Kesselsteuerung: "boiler.mode"
+      if (parts.length === 2 && deviceIdRaw === "boiler") {
+        await this._onBoilerWrite(parts[1], state.val);
+        return;
+      }
+      // Gruppe: "groups.<groupId>.control.<code>" (über die *.control.*-Patterns abonniert)
+      if (deviceIdRaw === "groups") {
+        if (parts.length === 4 && parts[2] === "control") {
+          await this._onGroupWrite(parts[1], parts[3], state.val);
+        }
+        return;
+      }
       if (!deviceIdRaw || parts.length < 3) {
         return;
       }
@@ -908,396 +1534,2524 @@ class DanfossAlly extends utils.Adapter {
       const deviceId = this.sanitizeId(deviceIdRaw);
       const section = parts[1];
 
+      if (section === "holiday" && parts.length === 3 && !this._isExcluded(deviceId)) {
+        await this._onHolidayWrite(deviceId, parts[2], state.val);
+        return;
+      }
+      if (section === "schedule" && parts.length === 3 && !this._isExcluded(deviceId)) {
+        await this._onScheduleWrite(deviceId, parts[2], state.val);
+        return;
+      }
+
       // Nur Writes auf ".control.<code>" akzeptieren
       if (section !== "control") {
         this.log.debug(`Ignoring write outside control channel: ${id}`);
         return;
       }
+      if (this._isExcluded(deviceId)) {
+        this.log.warn(`Ignoring write to ${id}: device is excluded in the settings`);
+        return;
+      }
 
       const rawCode = parts[2];
       const code = this.sanitizeId(normalizeCode(rawCode));
-      let val = state.val;
+      const val = state.val;
 
       if (code !== rawCode) {
         this.log.debug(`Normalized code '${rawCode}' → '${code}' for ${deviceId}`);
       }
 
-      // Helper: Temp vorbereiten (Clamp an lower/upper + ×10)
-      const prepareTempValue10 = async v => {
-        let target = Number(v);
-        if (!Number.isFinite(target)) {
-          return null;
-        }
+      if (code === "boost" || code === "boostTemperature") {
+        await this._onBoostWrite(deviceId, code, val);
+        return;
+      }
 
-        // FIX v0.2.16: Korrekter Pfad mit .status.-Prefix
-        const lower = await this.getStateAsync(`${deviceId}.status.lower_temp`);
-        const upper = await this.getStateAsync(`${deviceId}.status.upper_temp`);
+      // ==== Schreiblogik: Write vorbereiten und in die Geräte-Queue legen ====
+      const prepared = await this._prepareControlWrite(deviceId, code, val, state.ts || Date.now());
+      if (prepared.rejected) {
+        await this._rejectControlWrite(deviceId, code, val, prepared.error);
+        return;
+      }
+      if (prepared.error) {
+        // Unbekannter/Read-Only-Code → Hinweis
+        this.log.warn(`Ignoring write to read-only or unknown code: ${deviceId}.${code} (from '${rawCode}')`);
+        return;
+      }
+      await this._boostOverridden(deviceId, code);
+      await this._windowOverridden(deviceId, code);
+      this._queueWrite(deviceId, prepared.write);
+    } catch (e) {
+      this.log.error(`onStateChange error for ${id}: ${e.message}`);
+    }
+  }
+
+  /**
+   * sendTo-API für Skripte und andere Adapter.
+   * Antwort immer als { success: true, ... } bzw. { success: false, error }.
+   *
+   * @param obj ioBroker message
+   */
+  async onMessage(obj) {
+    if (!obj || typeof obj !== "object" || !obj.command) {
+      return;
+    }
+    this.log.debug(`MESSAGE ${obj.command} from=${obj.from || "unknown"}`);
+
+    let response;
+    try {
+      response = await this._handleMessage(obj.command, obj.message || {});
+    } catch (e) {
+      this.log.debug(`MESSAGE ${obj.command} failed: ${errDetails(e)}`);
+      response = { success: false, error: e?.response ? errDetails(e) : e.message };
+    }
+    if (obj.callback) {
+      this.sendTo(obj.from, obj.command, response, obj.callback);
+    }
+  }
+
+  /**
+   * @param command sendTo command
+   * @param msg message payload
+   * @returns {Promise<object>} response for the caller
+   */
+  async _handleMessage(command, msg) {
+    // Admin "Verbindung testen": läuft auch ohne gespeicherte Konfiguration
+    if (command === "testConnection") {
+      return this._testConnection(msg);
+    }
+    if (command === "discoverDevices") {
+      return this._discoverDeviceTable(msg);
+    }
+    if (!this.api) {
+      return { success: false, error: "Adapter is not configured" };
+    }
+
+    switch (command) {
+      case "getDevices": {
+        const devices = await this.api.getDevices();
+        return {
+          success: true,
+          devices: devices.map(d => ({
+            id: this.sanitizeId(d.id),
+            name: d.name,
+            type: d.type,
+            profile: getProfile(d.type).id,
+            online: d.online
+          }))
+        };
+      }
+
+      case "getDeviceStatus": {
+        const deviceId = await this._messageDeviceId(msg);
+        const profile = this._profileFor(deviceId);
+        const raw = await this.api.getDeviceStatus(deviceId);
+        const status = {};
+        for (const [codeRaw, value] of statusEntriesFromRaw(raw)) {
+          const code = this.sanitizeId(normalizeCode(codeRaw));
+          status[code] = profile.fromCloud(code, value);
+        }
+        return { success: true, deviceId, status, raw };
+      }
+
+      case "refresh": {
+        if (msg.deviceId) {
+          const deviceId = await this._messageDeviceId(msg);
+          await this._softRefreshOne(deviceId);
+          return { success: true, deviceId };
+        }
+        await this._pollCycle({ force: true });
+        const lastError = (await this.getStateAsync("info.lastError"))?.val;
+        return this._connected ? { success: true } : { success: false, error: lastError || "Poll failed" };
+      }
 
-        const before = target;
-        if (lower && typeof lower.val === "number") {
-          target = Math.max(target, lower.val);
+      case "setSetpoint": {
+        const code = normalizeCode(msg.code || "temp_set");
+        if (!SETPOINT_CODES.includes(code)) {
+          return { success: false, error: `Not a setpoint: ${code}` };
+        }
+        return this._messageWrite(await this._messageDeviceId(msg), code, msg.value);
+      }
+
+      case "setMode": {
+        if (!msg.mode) {
+          return { success: false, error: "Missing mode" };
+        }
+        const deviceId = await this._messageDeviceId(msg);
+        const modes = Object.keys(this._profileFor(deviceId).code("mode")?.states || {});
+        if (!modes.includes(normalizeMode(String(msg.mode)))) {
+          return { success: false, error: `Invalid mode: ${msg.mode} (allowed: ${modes.join(", ")})` };
         }
-        if (upper && typeof upper.val === "number") {
-          target = Math.min(target, upper.val);
+        return this._messageWrite(deviceId, "mode", msg.mode);
+      }
+
+      case "getSchedule": {
+        const deviceId = await this._messageDeviceId(msg);
+        const raw = this._schedules.get(deviceId)?.raw;
+        return {
+          success: true,
+          deviceId,
+          schedule: raw ? JSON.parse(raw) : null,
+          ...(await this._scheduleInfo(deviceId))
+        };
+      }
+
+      case "setSchedule": {
+        const deviceId = await this._messageDeviceId(msg);
+        if (!(await this.getObjectAsync(`${deviceId}.schedule.json`))) {
+          return { success: false, error: `Device has no temp_set: ${deviceId}` };
         }
+        await this._setSchedule(deviceId, msg.schedule);
+        return { success: true, deviceId, ...(await this._scheduleInfo(deviceId)) };
+      }
 
-        const v10 = Math.round(target * 10);
-        this.log.debug(
-          `PREP ${deviceId}: input=${dval(v)}${before !== target ? ` clamped→${dval(target)}` : ""} send×10=${v10}` +
-            `${lower && typeof lower.val === "number" ? ` (lower=${dval(lower.val)})` : ""}` +
-            `${upper && typeof upper.val === "number" ? ` (upper=${dval(upper.val)})` : ""}`
+      case "sendRawCommands": {
+        const deviceId = await this._messageDeviceId(msg);
+        const commands = msg.commands;
+        if (!Array.isArray(commands) || !commands.length || commands.some(c => typeof c?.code !== "string")) {
+          return { success: false, error: "commands must be a non-empty array of { code, value }" };
+        }
+        const response = await this.sendCommands(deviceId, commands);
+        this._softRefreshSoon(
+          deviceId,
+          commands.map(c => this.sanitizeId(normalizeCode(c.code)))
         );
-        return v10;
+        return { success: true, deviceId, commands, response };
+      }
+
+      default:
+        return { success: false, error: `Unknown command: ${command}` };
+    }
+  }
+
+  /**
+   * Token + Geräteliste mit den (noch nicht gespeicherten) Zugangsdaten aus dem Admin prüfen.
+   * Ergebnis geht per useNative in die UI-Felder _connectionResult/_discoveredDevices.
+   *
+   * @param msg credentials from the admin form
+   * @returns {Promise<object>} response for the admin sendTo button
+   */
+  async _testConnection(msg) {
+    try {
+      const { tokenText, discovered } = await this._discover(msg);
+      const result = `${tokenText}, ${discovered.length} device(s) found`;
+      this.log.info(`Connection test: ${result}`);
+      return {
+        success: true,
+        result,
+        devices: discovered,
+        native: { _connectionResult: result, _discoveredDevices: discovered }
+      };
+    } catch (e) {
+      this.log.warn(`Connection test: ${e.message}`);
+      return { success: false, error: e.message, native: { _connectionResult: e.message, _discoveredDevices: [] } };
+    }
+  }
+
+  /**
+   * Geräte-Tabelle im Admin mit den gefundenen Geräten auffüllen (Overrides bleiben erhalten)
+   *
+   * @param msg credentials and the current table ({ devices }) from the admin form
+   * @returns {Promise<object>} response for the admin sendTo button
+   */
+  async _discoverDeviceTable(msg) {
+    try {
+      const { discovered } = await this._discover(msg);
+      const devices = mergeDeviceTable(msg.devices, discovered);
+      return { success: true, result: `${discovered.length} device(s) found`, native: { devices } };
+    } catch (e) {
+      this.log.warn(`Device discovery: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Token + Geräteliste mit eigenem API-Client (Zugangsdaten aus der Nachricht, sonst gespeicherte)
+   *
+   * @param msg credentials from the admin form
+   * @returns {Promise<{tokenText: string, discovered: object[]}>} token state and discovered devices
+   */
+  async _discover(msg) {
+    const opts = {
+      apiKey: msg.apiKey || this.config.apiKey,
+      apiSecret: msg.apiSecret || this.config.apiSecret,
+      tokenUrl: msg.tokenUrl || this.config.tokenUrl,
+      apiBaseUrl: msg.apiBaseUrl || this.config.apiBaseUrl,
+      scope: msg.scope ?? this.config.scope
+    };
+    if (!opts.apiKey || !opts.apiSecret || !opts.tokenUrl || !opts.apiBaseUrl) {
+      throw new Error("Missing configuration (API key, secret or URL).");
+    }
+
+    const api = new DanfossAPI({ ...opts, requestsPerMinute: this.config.requestsPerMinute }, this.log);
+    let step = "Token";
+    try {
+      await api.ensureToken();
+      const tokenText = `Token OK (expires in ~${api.tokenExpiresIn}s)`;
+      step = "Device list";
+      const devices = await api.getDevices();
+      const discovered = devices.map(d => ({
+        id: this.sanitizeId(d.id),
+        name: d.name,
+        type: d.type,
+        rawType: d.rawType,
+        profile: getProfile(d.type).id,
+        online: !!d.online
+      }));
+      return { tokenText, discovered };
+    } catch (e) {
+      throw new Error(`${step} failed: ${e?.response ? errDetails(e) : e.message}`);
+    } finally {
+      api.dispose();
+    }
+  }
+
+  /**
+   * Geräte-ID aus einer Nachricht lesen und prüfen, dass das Gerät bekannt ist
+   *
+   * @param msg message payload ({ deviceId })
+   * @returns {Promise<string>} sanitized device id
+   */
+  async _messageDeviceId(msg) {
+    if (!msg.deviceId) {
+      throw new Error("Missing deviceId");
+    }
+    const deviceId = this.sanitizeId(msg.deviceId);
+    if (this._isExcluded(deviceId)) {
+      throw new Error(`Device is excluded in the settings: ${msg.deviceId}`);
+    }
+    const obj = await this.getObjectAsync(deviceId);
+    if (!obj || obj.type !== "device") {
+      throw new Error(`Unknown device: ${msg.deviceId}`);
+    }
+    return deviceId;
+  }
+
+  /**
+   * Write aus einer Nachricht: gleiche Prüfung und Queue wie control.*, wartet auf die Cloud
+   *
+   * @param deviceId sanitized device id
+   * @param code control code
+   * @param value value to write
+   * @returns {Promise<object>} response for the caller
+   */
+  async _messageWrite(deviceId, code, value) {
+    const prepared = await this._prepareControlWrite(deviceId, code, value, Date.now());
+    if (prepared.error) {
+      return { success: false, error: prepared.error };
+    }
+    await this._boostOverridden(deviceId, code);
+    await this._windowOverridden(deviceId, code);
+    let result;
+    try {
+      result = await this._queueWrite(deviceId, prepared.write, true);
+    } catch (e) {
+      return {
+        success: false,
+        deviceId,
+        code,
+        error: e?.response ? errDetails(e) : e.message,
+        ...(e.superseded ? { superseded: true } : {})
       };
+    }
+    return {
+      success: true,
+      deviceId,
+      code,
+      value: prepared.write.localVal,
+      commands: result.commands,
+      response: result.response
+    };
+  }
+
+  /**
+   * Adapter-eigene Writes (Boost, Urlaub) wie control.*-Writes validieren, in die Queue legen
+   * und auf die Cloud warten
+   *
+   * @param deviceId sanitized device id
+   * @param writes codes and values in real units
+   * @param [options] write options
+   * @param [options.skipInvalid] ungültige Werte auslassen statt abzubrechen
+   * @returns {Promise<object[]>} prepared writes that were sent; rejects when any of them failed
+   *   (after all writes settled, the error names the failed codes)
+   */
+  async _sendControlWrites(deviceId, writes, options = {}) {
+    const prepared = [];
+    for (const { code, value } of writes) {
+      const p = await this._prepareControlWrite(deviceId, code, value, Date.now());
+      if (p.error && !options.skipInvalid) {
+        throw new Error(p.error);
+      }
+      if (!p.error) {
+        prepared.push(p.write);
+      }
+    }
+    const results = await Promise.allSettled(prepared.map(w => this._queueWrite(deviceId, w, true)));
+    const failed = results
+      .map((r, i) => (r.status === "rejected" ? `${prepared[i].code}: ${r.reason?.message}` : null))
+      .filter(Boolean);
+    if (failed.length) {
+      throw new Error(failed.join("; "));
+    }
+    return prepared;
+  }
+
+  /**
+   * Boost-States für Geräte mit temp_set anlegen
+   *
+   * @param deviceId sanitized device id
+   * @param profile device profile
+   * @param limits reported setpoint limits
+   */
+  async _ensureBoostObjects(deviceId, profile, limits) {
+    await this._ensureStateObject(`${deviceId}.control.boost`, "Boost (minutes, 0 = stop)", {
+      type: "number",
+      role: "level.timer",
+      unit: "min",
+      min: 0,
+      max: MAX_BOOST_MIN,
+      read: true,
+      write: true
+    });
+    await this._ensureStateObject(
+      `${deviceId}.control.boostTemperature`,
+      "Boost temperature",
+      profile.objectCommon("temp_set", DEFAULT_BOOST_TEMP, true, limits)
+    );
+    await this._ensureStateObject(`${deviceId}.status.boostRemaining`, "Boost remaining (minutes)", {
+      type: "number",
+      role: "value.interval",
+      unit: "min",
+      read: true,
+      write: false
+    });
+    if (!(await this.getStateAsync(`${deviceId}.control.boostTemperature`))) {
+      await this.setStateAsync(`${deviceId}.control.boostTemperature`, DEFAULT_BOOST_TEMP, true);
+    }
+    if (!(await this.getStateAsync(`${deviceId}.status.boostRemaining`))) {
+      await this.setStateAsync(`${deviceId}.control.boost`, 0, true);
+      await this.setStateAsync(`${deviceId}.status.boostRemaining`, 0, true);
+    }
+  }
+
+  /**
+   * Write auf control.boost / control.boostTemperature
+   *
+   * @param deviceId sanitized device id
+   * @param code boost | boostTemperature
+   * @param val written value
+   */
+  async _onBoostWrite(deviceId, code, val) {
+    const id = `${deviceId}.control.${code}`;
+    if (code === "boostTemperature") {
+      const limits = await this._setpointLimitsFor(deviceId, this._profileFor(deviceId).code("temp_set"));
+      const result = validateSetpoint(val, limits, this._setpointPolicy);
+      if (!result.ok) {
+        this.log.warn(`Rejected ${deviceId}.boostTemperature=${val}: ${result.reason}`);
+        const old = this._boosts[deviceId]?.temperature ?? DEFAULT_BOOST_TEMP;
+        await this.setStateAsync(id, { val: old, ack: true, c: `Rejected ${val}: ${result.reason}` });
+        return;
+      }
+      await this.setStateAsync(id, result.value, true);
+      return;
+    }
+
+    const minutes = Number(val);
+    try {
+      if (val === null || val === "" || !Number.isFinite(minutes) || minutes < 0) {
+        throw new Error(`invalid duration: ${val}`);
+      }
+      if (minutes === 0) {
+        await this._endBoost(deviceId);
+        await this.setStateAsync(id, 0, true);
+        return;
+      }
+      await this._startBoost(deviceId, Math.min(Math.round(minutes), MAX_BOOST_MIN));
+    } catch (e) {
+      this.log.warn(`Boost for ${deviceId} failed: ${e.message}`);
+      const active = this._boosts[deviceId];
+      await this.setStateAsync(id, {
+        val: active ? remainingMinutes(active, Date.now()) : 0,
+        ack: true,
+        c: `Rejected ${val}: ${e.message}`
+      });
+    }
+  }
+
+  /**
+   * Boost starten bzw. verlängern: mode=manual + temp_set=Boost-Temperatur über die Write-Queue.
+   * Der Zustand vor dem ersten Boost wird gemerkt und bei Verlängerung nicht überschrieben.
+   *
+   * @param deviceId sanitized device id
+   * @param minutes boost duration
+   */
+  async _startBoost(deviceId, minutes) {
+    const tempState = await this.getStateAsync(`${deviceId}.control.boostTemperature`);
+    const temperature = typeof tempState?.val === "number" ? tempState.val : DEFAULT_BOOST_TEMP;
+    const mode = await this.getStateAsync(`${deviceId}.status.mode`);
+    const tempSet = await this.getStateAsync(`${deviceId}.status.temp_set`);
+    const previous = this._boosts[deviceId]?.previous || {
+      mode: typeof mode?.val === "string" ? mode.val : null,
+      temp_set: typeof tempSet?.val === "number" ? tempSet.val : null
+    };
+
+    const writes = [];
+    if (previous.mode && mode?.val !== "manual") {
+      writes.push({ code: "mode", value: "manual" });
+    }
+    writes.push({ code: "temp_set", value: temperature });
+    const prepared = await this._sendControlWrites(deviceId, writes);
+
+    const applied = prepared[prepared.length - 1].localVal;
+    this._boosts[deviceId] = { until: Date.now() + minutes * 60000, temperature: applied, previous };
+    await this._saveBoosts();
+    await this.setStateAsync(`${deviceId}.control.boost`, minutes, true);
+    this.log.info(
+      `Boost ${deviceId}: ${dval(applied)} °C for ${minutes} min (then mode=${logVal(previous.mode)}, temp_set=${logVal(previous.temp_set)})`
+    );
+    await this._boostTick(deviceId);
+  }
+
+  /**
+   * status.boostRemaining minütlich aktualisieren, bei Ablauf wiederherstellen
+   *
+   * @param deviceId sanitized device id
+   */
+  async _boostTick(deviceId) {
+    this.clearTimeout(this._boostTimers.get(deviceId));
+    this._boostTimers.delete(deviceId);
+    const boost = this._boosts[deviceId];
+    if (!boost || this._unloading) {
+      return;
+    }
+    const left = boost.until - Date.now();
+    if (left <= 0) {
+      await this._endBoost(deviceId);
+      return;
+    }
+    await this.setStateChangedAsync(`${deviceId}.status.boostRemaining`, remainingMinutes(boost, Date.now()), true);
+    // nächster Tick, sobald sich die Restminuten ändern
+    this._boostTimers.set(
+      deviceId,
+      this.setTimeout(() => this._boostTick(deviceId), left % 60000 || 60000)
+    );
+  }
+
+  /**
+   * Boost beenden und den vorherigen Modus/Sollwert wiederherstellen
+   *
+   * @param deviceId sanitized device id
+   */
+  async _endBoost(deviceId) {
+    const boost = this._boosts[deviceId];
+    this.clearTimeout(this._boostTimers.get(deviceId));
+    this._boostTimers.delete(deviceId);
+    if (!boost) {
+      return;
+    }
+
+    const plan = restorePlan(boost.previous);
+    try {
+      await this._sendControlWrites(deviceId, plan, { skipInvalid: true });
+    } catch (e) {
+      this.log.warn(`Boost ${deviceId}: restore failed (${e.message}), retrying in ${BOOST_RETRY_MS / 1000}s`);
+      this._boostTimers.set(
+        deviceId,
+        this.setTimeout(() => this._endBoost(deviceId), BOOST_RETRY_MS)
+      );
+      return;
+    }
+
+    await this._clearBoost(deviceId);
+    const restored = plan.map(p => `${p.code}=${dval(p.value)}`).join(", ");
+    this.log.info(`Boost ${deviceId} ended${restored ? `, restored ${restored}` : ""}`);
+  }
+
+  /**
+   * Manueller Write auf mode/Sollwert während eines Boosts: Boost ohne Wiederherstellen beenden
+   *
+   * @param deviceId sanitized device id
+   * @param code written code
+   */
+  async _boostOverridden(deviceId, code) {
+    if (this._boosts[deviceId] && BOOST_OVERRIDE_CODES.includes(code)) {
+      await this._dropBoost(deviceId, `${code} written`);
+    }
+  }
+
+  /**
+   * Boost verwerfen, ohne den vorherigen Zustand wiederherzustellen
+   *
+   * @param deviceId sanitized device id
+   * @param reason reason for the log
+   */
+  async _dropBoost(deviceId, reason) {
+    this.clearTimeout(this._boostTimers.get(deviceId));
+    this._boostTimers.delete(deviceId);
+    await this._clearBoost(deviceId);
+    this.log.info(`Boost ${deviceId} cancelled (${reason}), previous state not restored`);
+  }
+
+  /**
+   * @param deviceId sanitized device id
+   */
+  async _clearBoost(deviceId) {
+    delete this._boosts[deviceId];
+    await this._saveBoosts();
+    await this.setStateAsync(`${deviceId}.status.boostRemaining`, 0, true).catch(() => {});
+    await this.setStateAsync(`${deviceId}.control.boost`, 0, true).catch(() => {});
+  }
+
+  async _saveBoosts() {
+    await this.setStateAsync("info.activeBoosts", JSON.stringify(this._boosts), true);
+  }
+
+  /**
+   * Nach einem Neustart gespeicherte Boosts fortsetzen; abgelaufene sofort wiederherstellen
+   */
+  async _restoreBoosts() {
+    const state = await this.getStateAsync("info.activeBoosts");
+    this._boosts = parseBoosts(state?.val);
+    for (const [deviceId, boost] of Object.entries(this._boosts)) {
+      this.log.info(`Boost ${deviceId}: resuming, ${remainingMinutes(boost, Date.now())} min left`);
+      await this._boostTick(deviceId);
+    }
+  }
+
+  /**
+   * Urlaubsplan-Channel anlegen (Instanz: "holiday", Gerät: "<deviceId>.holiday")
+   *
+   * @param prefix channel id relative to the instance
+   * @param profile device profile (limits of holiday_setting)
+   * @param limits reported setpoint limits
+   */
+  async _ensureHolidayObjects(prefix, profile, limits) {
+    await this.setObjectNotExistsAsync(prefix, {
+      type: "channel",
+      common: { name: "Holiday planner" },
+      native: {}
+    });
+    const modes = { ...profile.code("mode")?.states };
+    delete modes.holiday;
+    const objects = {
+      start: { name: "Holiday start (date/time)", type: "string", role: "date.start", write: true },
+      end: { name: "Holiday end (date/time)", type: "string", role: "date.end", write: true },
+      temperature: {
+        ...profile.objectCommon("holiday_setting", 0, true, limits),
+        name: "Holiday temperature (empty = keep device setting)"
+      },
+      returnMode: { name: "Mode after the holiday", type: "string", role: "state", states: modes, write: true },
+      state: { name: "Holiday plan state", type: "string", role: "state", states: HOLIDAY_PHASES, write: false },
+      cancel: { name: "Cancel holiday", type: "boolean", role: "button", write: true, read: false }
+    };
+    for (const [key, { name, ...common }] of Object.entries(objects)) {
+      await this._ensureStateObject(`${prefix}.${key}`, name, { read: true, ...common });
+    }
+    if (!(await this.getStateAsync(`${prefix}.state`))) {
+      await this.setStateAsync(`${prefix}.state`, "none", true);
+      await this.setStateAsync(`${prefix}.returnMode`, DEFAULT_RETURN_MODE, true);
+    }
+  }
+
+  /**
+   * Write auf holiday.* der Instanz oder eines Geräts
+   *
+   * @param deviceId sanitized device id, null = instance plan
+   * @param key start | end | temperature | returnMode | cancel
+   * @param val written value
+   */
+  async _onHolidayWrite(deviceId, key, val) {
+    const prefix = deviceId ? `${deviceId}.holiday` : "holiday";
+    const id = `${prefix}.${key}`;
+    const invalid = async (reason, ackVal) => {
+      this.log.warn(`Rejected ${id}=${val}: ${reason}`);
+      await this.setStateAsync(id, { val: ackVal, ack: true, c: `Rejected ${val}: ${reason}` });
+    };
+
+    if (key === "start" || key === "end") {
+      const ts = parseDateTime(val);
+      if (Number.isNaN(ts)) {
+        await invalid("not a date/time (e.g. 2026-12-20T08:00)", "");
+      } else {
+        await this.setStateAsync(id, ts === null ? "" : formatDateTime(ts), true);
+      }
+    } else if (key === "temperature") {
+      if (val === null || val === "") {
+        await this.setStateAsync(id, null, true);
+      } else {
+        const profile = deviceId ? this._profileFor(deviceId) : getProfile();
+        const def = profile.code("holiday_setting");
+        const limits = deviceId ? await this._setpointLimitsFor(deviceId, def) : { min: def?.min, max: def?.max };
+        const result = validateSetpoint(val, limits, this._setpointPolicy);
+        if (result.ok) {
+          await this.setStateAsync(id, result.value, true);
+        } else {
+          await invalid(result.reason, null);
+        }
+      }
+    } else if (key === "returnMode") {
+      const mode = normalizeMode(String(val ?? ""));
+      const modes = Object.keys(getProfile().code("mode")?.states || {}).filter(m => m !== "holiday");
+      if (modes.includes(mode)) {
+        await this.setStateAsync(id, mode, true);
+      } else {
+        await invalid(`allowed: ${modes.join(", ")}`, DEFAULT_RETURN_MODE);
+      }
+    } else if (key === "cancel") {
+      await this.setStateAsync(`${prefix}.start`, "", true);
+      await this.setStateAsync(`${prefix}.end`, "", true);
+      await this.setStateAsync(id, false, true);
+      this.log.info(`Holiday plan ${prefix} cancelled`);
+    } else {
+      return;
+    }
+    await this._evaluateHolidays();
+  }
+
+  /**
+   * Alle Urlaubspläne prüfen; läuft bereits eine Prüfung, wird auf diese gewartet
+   */
+  _evaluateHolidays() {
+    if (!this._holidayRun) {
+      this._holidayRun = this._runHolidayEvaluation()
+        .catch(e => this.log.warn(`Holiday planner failed: ${e.message}`))
+        .finally(() => {
+          this._holidayRun = null;
+        });
+    }
+    return this._holidayRun;
+  }
+
+  /**
+   * Gerätepläne zuerst; der Instanzplan gilt für alle Geräte ohne eigenen Start/Ende
+   */
+  async _runHolidayEvaluation() {
+    const now = Date.now();
+    const withoutPlan = [];
+    for (const deviceId of this._deviceTypes.keys()) {
+      if (this._isExcluded(deviceId) || !(await this.getObjectAsync(`${deviceId}.holiday.state`))) {
+        continue;
+      }
+      const phase = await this._applyHolidayPlan(`${deviceId}.holiday`, [deviceId], now);
+      if (phase === "none") {
+        withoutPlan.push(deviceId);
+      }
+    }
+    await this._applyHolidayPlan("holiday", withoutPlan, now);
+  }
+
+  /**
+   * Phase eines Plans bestimmen und beim Wechsel mode/holiday_setting schreiben.
+   * Schlägt ein Write fehl, bleibt holiday.state stehen und der nächste Tick versucht es
+   * für die Geräte erneut, bei denen der Wechsel noch nicht vollständig angekommen ist.
+   *
+   * @param prefix holiday channel id
+   * @param deviceIds devices the plan applies to
+   * @param now current time
+   * @returns {Promise<string>} current phase
+   */
+  async _applyHolidayPlan(prefix, deviceIds, now) {
+    const read = async key => (await this.getStateAsync(`${prefix}.${key}`))?.val;
+    const phase = holidayPhase(
+      { start: parseDateTime(await read("start")), end: parseDateTime(await read("end")) },
+      now
+    );
+    const stored = (await read("state")) || "none";
+    const action = holidayAction(String(stored), phase);
+
+    if (action && deviceIds.length) {
+      const temperature = await read("temperature");
+      const returnMode = (await read("returnMode")) || DEFAULT_RETURN_MODE;
+      let progress = this._holidayProgress.get(prefix);
+      if (progress?.action !== action) {
+        progress = { action, done: new Set() };
+        this._holidayProgress.set(prefix, progress);
+      }
+      let failed = 0;
+      for (const deviceId of deviceIds) {
+        if (progress.done.has(deviceId)) {
+          continue;
+        }
+        const writes = [];
+        if (action === "start") {
+          if (typeof temperature === "number" && (await this._hasStateObject(deviceId, "holiday_setting"))) {
+            writes.push({ code: "holiday_setting", value: temperature });
+          }
+          writes.push({ code: "mode", value: "holiday" });
+        } else {
+          writes.push({ code: "mode", value: returnMode });
+        }
+        try {
+          await this._boostOverridden(deviceId, "mode");
+          await this._windowOverridden(deviceId, "mode");
+          await this._sendControlWrites(deviceId, writes);
+          progress.done.add(deviceId);
+        } catch (e) {
+          failed++;
+          this.log.warn(
+            `Holiday ${prefix}: ${writes.map(w => `${w.code}=${w.value}`).join(", ")} failed for ${deviceId}: ${e.message}`
+          );
+        }
+      }
+      if (failed) {
+        return phase;
+      }
+      this._holidayProgress.delete(prefix);
+      this.log.info(
+        action === "start"
+          ? `Holiday ${prefix} started for ${deviceIds.join(", ")}${typeof temperature === "number" ? ` at ${temperature} °C` : ""}`
+          : `Holiday ${prefix} ended for ${deviceIds.join(", ")}, mode=${returnMode}`
+      );
+    }
+
+    if (phase !== stored) {
+      await this.setStateAsync(`${prefix}.state`, phase, true);
+    }
+    return phase;
+  }
+
+  /**
+   * Wochenprogramm-Channel für Geräte mit temp_set anlegen
+   *
+   * @param deviceId sanitized device id
+   */
+  async _ensureScheduleObjects(deviceId) {
+    const prefix = `${deviceId}.schedule`;
+    await this.setObjectNotExistsAsync(prefix, {
+      type: "channel",
+      common: { name: "Weekly schedule" },
+      native: {}
+    });
+    const objects = {
+      json: { name: "Weekly schedule (JSON)", type: "string", role: "json", write: true },
+      paused: { name: "Pause schedule", type: "boolean", role: "switch", write: true },
+      nextSwitch: { name: "Next switching time", type: "number", role: "value.time", write: false },
+      nextTarget: {
+        name: "Next target temperature",
+        type: "number",
+        role: "value.temperature",
+        unit: "°C",
+        write: false
+      },
+      lastSwitch: { name: "Last executed slot", type: "number", role: "value.time", write: false }
+    };
+    for (const [key, { name, ...common }] of Object.entries(objects)) {
+      await this._ensureStateObject(`${prefix}.${key}`, name, { read: true, ...common });
+    }
+    if (!(await this.getStateAsync(`${prefix}.paused`))) {
+      await this.setStateAsync(`${prefix}.paused`, false, true);
+    }
+  }
+
+  /**
+   * Gespeicherte Wochenprogramme nach dem ersten Poll laden und starten.
+   * Ein während der Downtime verpasster Slot wird nachgeholt (lastSwitch).
+   */
+  async _initSchedules() {
+    for (const deviceId of this._deviceTypes.keys()) {
+      const state = await this.getStateAsync(`${deviceId}.schedule.json`);
+      if (this._isExcluded(deviceId) || !state?.val) {
+        continue;
+      }
+      try {
+        this._schedules.set(deviceId, { raw: String(state.val), parsed: parseSchedule(String(state.val)) });
+      } catch (e) {
+        this.log.warn(`Schedule of ${deviceId} is invalid: ${e.message}`);
+        continue;
+      }
+      await this._runSchedule(deviceId);
+    }
+  }
+
+  /**
+   * Write auf <deviceId>.schedule.json / .paused
+   *
+   * @param deviceId sanitized device id
+   * @param key json | paused
+   * @param val written value
+   */
+  async _onScheduleWrite(deviceId, key, val) {
+    const id = `${deviceId}.schedule.${key}`;
+    if (key === "paused") {
+      const paused = val === true || val === "true" || val === 1;
+      await this.setStateAsync(id, paused, true);
+      this.log.info(`Schedule ${deviceId} ${paused ? "paused" : "resumed"}`);
+      await this._runSchedule(deviceId, { force: !paused });
+    } else if (key === "json") {
+      try {
+        await this._setSchedule(deviceId, val);
+      } catch (e) {
+        this.log.warn(`Rejected schedule for ${deviceId}: ${e.message}`);
+        await this.setStateAsync(id, {
+          val: this._schedules.get(deviceId)?.raw ?? "",
+          ack: true,
+          c: `Rejected: ${e.message}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Neues Wochenprogramm übernehmen (leer = entfernen) und den aktuellen Slot sofort anwenden
+   *
+   * @param deviceId sanitized device id
+   * @param input schedule as JSON string or object
+   */
+  async _setSchedule(deviceId, input) {
+    if (input === null || input === undefined || input === "") {
+      this._schedules.delete(deviceId);
+      await this.setStateAsync(`${deviceId}.schedule.json`, "", true);
+      this.log.info(`Schedule ${deviceId} removed`);
+    } else {
+      const raw = typeof input === "string" ? input : JSON.stringify(input);
+      const parsed = parseSchedule(raw);
+      this._schedules.set(deviceId, { raw, parsed });
+      await this.setStateAsync(`${deviceId}.schedule.json`, raw, true);
+      this.log.info(`Schedule ${deviceId} updated`);
+    }
+    await this._runSchedule(deviceId, { force: true });
+  }
+
+  /**
+   * Fälligen Slot schreiben, nächsten Schaltpunkt anzeigen und den Timer dafür stellen
+   *
+   * @param deviceId sanitized device id
+   * @param [options] run options
+   * @param [options.force] aktuellen Slot auch schreiben, wenn er schon ausgeführt wurde
+   */
+  async _runSchedule(deviceId, options = {}) {
+    this.clearTimeout(this._scheduleTimers.get(deviceId));
+    this._scheduleTimers.delete(deviceId);
+    const prefix = `${deviceId}.schedule`;
+    const schedule = this._schedules.get(deviceId);
+    const paused = (await this.getStateAsync(`${prefix}.paused`))?.val === true;
+    if (!schedule || paused || this._unloading) {
+      await this.setStateChangedAsync(`${prefix}.nextSwitch`, null, true);
+      await this.setStateChangedAsync(`${prefix}.nextTarget`, null, true);
+      return;
+    }
+
+    const now = Date.now();
+    const current = currentSlot(schedule.parsed, now);
+    const lastSwitch = Number((await this.getStateAsync(`${prefix}.lastSwitch`))?.val) || 0;
+    let retry = false;
+    if (current && (options.force || current.at > lastSwitch)) {
+      retry = !(await this._applyScheduleSlot(deviceId, current));
+    }
+
+    const next = nextSlot(schedule.parsed, now);
+    await this.setStateChangedAsync(`${prefix}.nextSwitch`, next ? next.at : null, true);
+    await this.setStateChangedAsync(`${prefix}.nextTarget`, next ? next.temp : null, true);
+    const wait = Math.min(
+      next ? next.at - now : SCHEDULE_MAX_WAIT_MS,
+      retry ? SCHEDULE_RETRY_MS : SCHEDULE_MAX_WAIT_MS
+    );
+    this._scheduleTimers.set(
+      deviceId,
+      this.setTimeout(() => this._runSchedule(deviceId), Math.max(wait, 1000))
+    );
+  }
+
+  /**
+   * Slot über die Write-Queue senden. Während Boost oder Urlaub wird der Slot übersprungen.
+   *
+   * @param deviceId sanitized device id
+   * @param slot { at, temp }
+   * @returns {Promise<boolean>} false = write failed, retry later
+   */
+  async _applyScheduleSlot(deviceId, slot) {
+    const mode = (await this.getStateAsync(`${deviceId}.status.mode`))?.val;
+    const tempSet = (await this.getStateAsync(`${deviceId}.status.temp_set`))?.val;
+    const blockedBy =
+      (mode === "holiday" && "holiday") ||
+      (this._boosts[deviceId] && "boost") ||
+      (this._windowPauses[deviceId] && "window pause");
+    if (blockedBy) {
+      this.log.debug(`SCHEDULE ${deviceId}: skip ${dval(slot.temp)} °C (${blockedBy} active)`);
+    } else if (typeof tempSet === "number" && isSameVal("temp_set", tempSet, slot.temp)) {
+      this.log.debug(`SCHEDULE ${deviceId}: temp_set already ${dval(slot.temp)} °C`);
+    } else {
+      try {
+        await this._sendControlWrites(deviceId, [{ code: "temp_set", value: slot.temp }]);
+        this.log.info(`Schedule ${deviceId}: temp_set=${dval(slot.temp)} °C`);
+      } catch (e) {
+        this.log.warn(`Schedule ${deviceId}: temp_set=${dval(slot.temp)} failed: ${e.message}`);
+        return false;
+      }
+    }
+    await this.setStateAsync(`${deviceId}.schedule.lastSwitch`, slot.at, true);
+    return true;
+  }
+
+  /**
+   * @param deviceId sanitized device id
+   * @returns {Promise<{paused: boolean, nextSwitch: number|null, nextTarget: number|null}>} schedule states
+   */
+  async _scheduleInfo(deviceId) {
+    const read = async key => (await this.getStateAsync(`${deviceId}.schedule.${key}`))?.val ?? null;
+    return {
+      paused: (await read("paused")) === true,
+      nextSwitch: await read("nextSwitch"),
+      nextTarget: await read("nextTarget")
+    };
+  }
+
+  /**
+   * Objekte der konfigurierten Gruppen anlegen, nicht mehr konfigurierte Gruppen löschen
+   */
+  async _ensureGroupObjects() {
+    const prefix = `${this.namespace}.groups.`;
+    for (const fullId of Object.keys(await this.getAdapterObjectsAsync())) {
+      const groupId = fullId.startsWith(prefix) ? fullId.slice(prefix.length) : "";
+      if (groupId && !groupId.includes(".") && !this._groups.has(groupId)) {
+        this.log.info(`Removing group ${groupId}: no longer configured`);
+        await this.delObjectAsync(`groups.${groupId}`, { recursive: true });
+      }
+    }
+    if (!this._groups.size) {
+      return;
+    }
+
+    const profile = getProfile();
+    await this.setObjectNotExistsAsync("groups", { type: "folder", common: { name: "Rooms / groups" }, native: {} });
+    for (const [groupId, group] of this._groups) {
+      await this.extendObjectAsync(`groups.${groupId}`, {
+        type: "folder",
+        common: { name: group.name },
+        native: { members: group.members }
+      });
+      await this.setObjectNotExistsAsync(`groups.${groupId}.control`, {
+        type: "channel",
+        common: { name: "Control (all members)" },
+        native: {}
+      });
+      await this.setObjectNotExistsAsync(`groups.${groupId}.status`, {
+        type: "channel",
+        common: { name: "Aggregated status" },
+        native: {}
+      });
+      for (const code of GROUP_CONTROL_CODES) {
+        await this._ensureStateObject(
+          `groups.${groupId}.control.${code}`,
+          `${code} (all members)`,
+          profile.objectCommon(code, null, true)
+        );
+      }
+      for (const [key, { name, ...common }] of Object.entries(GROUP_STATUS_STATES)) {
+        await this._ensureStateObject(`groups.${groupId}.status.${key}`, name, { read: true, write: false, ...common });
+      }
+    }
+  }
+
+  /**
+   * Write auf groups.<groupId>.control.<code> an alle Mitglieder verteilen.
+   * Mitglieder ohne den Code oder mit ungültigem Wert werden übersprungen.
+   *
+   * @param groupId sanitized group id
+   * @param code temp_set | mode
+   * @param val written value
+   */
+  async _onGroupWrite(groupId, code, val) {
+    const group = this._groups.get(groupId);
+    const id = `groups.${groupId}.control.${code}`;
+    if (!group || !GROUP_CONTROL_CODES.includes(code)) {
+      this.log.debug(`Ignoring write to ${id}`);
+      return;
+    }
+
+    const ts = Date.now();
+    const targets = [];
+    const skipped = [];
+    for (const deviceId of group.members) {
+      if (this._isExcluded(deviceId) || !(await this.getObjectAsync(`${deviceId}.control.${code}`))) {
+        skipped.push(`${deviceId} (no ${code})`);
+        continue;
+      }
+      const prepared = await this._prepareControlWrite(deviceId, code, val, ts);
+      if (prepared.error) {
+        skipped.push(`${deviceId} (${prepared.error})`);
+        continue;
+      }
+      targets.push({ deviceId, write: { ...prepared.write, group: groupId } });
+    }
+    if (skipped.length) {
+      this.log.warn(`Group ${group.name}: ${code}=${val} skipped for ${skipped.join(", ")}`);
+    }
+    if (!targets.length) {
+      await this.setStateAsync(id, { val: null, ack: true, c: `Rejected ${val}: no member accepts ${code}` });
+      return;
+    }
+
+    for (const { deviceId } of targets) {
+      await this._boostOverridden(deviceId, code);
+      await this._windowOverridden(deviceId, code);
+    }
+    // Ergebnis je Mitglied: scheitert nur dessen Code (Einzel-Fallback), zählt es nicht als gesendet
+    const results = await Promise.allSettled(targets.map(t => this._queueWrite(t.deviceId, t.write, true)));
+    const sent = [];
+    const failed = [];
+    targets.forEach(({ deviceId }, i) => {
+      if (results[i].status === "fulfilled") {
+        sent.push(deviceId);
+      } else {
+        failed.push(`${deviceId} (${results[i].reason?.message})`);
+      }
+    });
+    if (failed.length) {
+      this.log.warn(`Group ${group.name}: ${code}=${val} failed for ${failed.join(", ")}`);
+    }
+    const value = targets[0].write.localVal;
+    const ack = { val: value, ack: true };
+    if (sent.length < group.members.length) {
+      ack.c = `Sent to ${sent.length}/${group.members.length} members`;
+    }
+    await this.setStateAsync(id, ack);
+    this.log.info(`Group ${group.name}: ${code}=${value} sent to ${sent.length}/${group.members.length} members`);
+    if (sent.length) {
+      this._confirmGroupSoon(groupId, sent, code, value);
+    }
+  }
+
+  /**
+   * Nach einem Gruppen-Write einmal pollen (statt Soft-Refresh/Confirm je Mitglied)
+   * und warnen, wenn die Cloud für einzelne Mitglieder einen anderen Wert meldet
+   *
+   * @param groupId sanitized group id
+   * @param deviceIds members the write was sent to
+   * @param code written code
+   * @param value written value
+   */
+  _confirmGroupSoon(groupId, deviceIds, code, value) {
+    const key = `groups.${groupId}`;
+    if (this.confirmHandles.has(key)) {
+      this.clearTimeout(this.confirmHandles.get(key));
+    }
+
+    const handle = this.setTimeout(async () => {
+      try {
+        await this._pollCycle({ force: true });
+        const differs = [];
+        for (const deviceId of deviceIds) {
+          const cur = await this.getStateAsync(`${deviceId}.status.${code}`);
+          if (!cur || !isSameVal(code, cur.val, value)) {
+            differs.push(`${deviceId}=${logVal(cur?.val)}`);
+          }
+        }
+        if (differs.length) {
+          this.log.warn(
+            `Cloud still reports a different ${code} for group ${groupId}: requested=${dval(value)}, ${differs.join(", ")}`
+          );
+        } else {
+          this.log.debug(`CONFIRM group ${groupId}: ${code}=${dval(value)} accepted for ${deviceIds.length} members`);
+        }
+      } catch (e) {
+        this.log.debug(`Group confirm failed for ${groupId}: ${e.message}`);
+      } finally {
+        this.confirmHandles.delete(key);
+      }
+    }, SETPOINT_CONFIRM_MS);
+
+    this.confirmHandles.set(key, handle);
+  }
+
+  /**
+   * groups.<groupId>.status.* aus den Status-States der Mitglieder berechnen (nach jedem Poll).
+   * Offline- und ausgeschlossene Mitglieder zählen nicht mit.
+   */
+  async _updateGroups() {
+    for (const [groupId, group] of this._groups) {
+      const members = [];
+      for (const deviceId of group.members) {
+        const online = await this.getStateAsync(`${deviceId}.info.online`);
+        if (this._isExcluded(deviceId) || !online || online.val === false) {
+          continue;
+        }
+        const values = {};
+        for (const code of GROUP_SOURCE_CODES) {
+          values[code] = (await this.getStateAsync(`${deviceId}.status.${code}`))?.val;
+        }
+        members.push(values);
+      }
+      for (const [key, val] of Object.entries(aggregateGroup(members))) {
+        await this.setStateChangedAsync(`groups.${groupId}.status.${key}`, val, true);
+      }
+    }
+  }
+
+  /**
+   * battery_percentage aller Geräte auswerten (nach jedem Poll): Stufen, Restlaufzeit,
+   * info.lowBatteryDevices und eine Benachrichtigung, wenn ein Gerät eine Schwelle unterschreitet
+   */
+  async _updateBatteries() {
+    if (!this._batteryHistory) {
+      try {
+        const state = await this.getStateAsync("info.batteryHistory");
+        this._batteryHistory = state?.val ? JSON.parse(String(state.val)) : {};
+      } catch (e) {
+        this.log.debug(`info.batteryHistory unreadable, starting over: ${e.message}`);
+        this._batteryHistory = {};
+      }
+    }
+    const now = Date.now();
+    const summary = [];
+    let historyChanged = false;
+    for (const deviceId of this._deviceTypes.keys()) {
+      const percent = (await this.getStateAsync(`${deviceId}.status.battery_percentage`))?.val;
+      if (this._isExcluded(deviceId) || typeof percent !== "number") {
+        continue;
+      }
+      await this._ensureBatteryObjects(deviceId);
+      const previous = this._batteryLevels.get(deviceId) ?? (await this._storedBatteryLevel(deviceId));
+      const level = batteryLevel(previous, percent, this._batterySettings);
+      this._batteryLevels.set(deviceId, level);
+
+      const samples = addBatterySample(this._batteryHistory[deviceId], now, percent);
+      if (samples !== this._batteryHistory[deviceId]) {
+        this._batteryHistory[deviceId] = samples;
+        historyChanged = true;
+      }
+      const daysLeft = estimateDaysLeft(samples, this._batterySettings.critical);
+      await this.setStateChangedAsync(`${deviceId}.status.lowBattery`, level !== "ok", true);
+      await this.setStateChangedAsync(`${deviceId}.status.criticalBattery`, level === "critical", true);
+      await this.setStateChangedAsync(`${deviceId}.status.batteryDaysLeft`, daysLeft, true);
+
+      const name = await this._deviceName(deviceId);
+      if (level !== "ok") {
+        summary.push({ id: deviceId, name, battery: percent, level, daysLeft });
+      }
+      if (level !== previous && (level === "critical" || (level === "low" && previous !== "critical"))) {
+        await this._notifyBattery(deviceId, name, level, percent);
+      } else if (level === "ok" && previous && previous !== "ok") {
+        this.log.info(`Battery ${deviceId} (${name}) ok again: ${percent} %`);
+      }
+    }
+    for (const deviceId of Object.keys(this._batteryHistory)) {
+      if (!this._deviceTypes.has(deviceId)) {
+        delete this._batteryHistory[deviceId];
+        historyChanged = true;
+      }
+    }
+    if (historyChanged) {
+      await this.setStateAsync("info.batteryHistory", JSON.stringify(this._batteryHistory), true);
+    }
+    await this.setStateChangedAsync("info.lowBatteryDevices", JSON.stringify(summary), true);
+  }
+
+  /**
+   * @param deviceId sanitized device id
+   */
+  async _ensureBatteryObjects(deviceId) {
+    const objects = {
+      lowBattery: { name: "Battery low", type: "boolean", role: "indicator.lowbat" },
+      criticalBattery: { name: "Battery critical", type: "boolean", role: "indicator.alarm" },
+      batteryDaysLeft: { name: "Estimated battery life", type: "number", role: "value", unit: "d" }
+    };
+    for (const [key, { name, ...common }] of Object.entries(objects)) {
+      await this._ensureStateObject(`${deviceId}.status.${key}`, name, { read: true, write: false, ...common });
+    }
+  }
+
+  /**
+   * Stufe nach einem Neustart aus den States übernehmen, damit nicht erneut benachrichtigt wird
+   *
+   * @param deviceId sanitized device id
+   * @returns {Promise<string|null>} stored level, null = never evaluated
+   */
+  async _storedBatteryLevel(deviceId) {
+    const low = await this.getStateAsync(`${deviceId}.status.lowBattery`);
+    if (!low || low.val === null) {
+      return null;
+    }
+    const critical = await this.getStateAsync(`${deviceId}.status.criticalBattery`);
+    return critical?.val === true ? "critical" : low.val === true ? "low" : "ok";
+  }
+
+  /**
+   * @param deviceId sanitized device id
+   * @returns {Promise<string>} name of the device object (falls back to the id)
+   */
+  async _deviceName(deviceId) {
+    const name = (await this.getObjectAsync(deviceId))?.common?.name;
+    return (typeof name === "object" ? name?.en : name) || deviceId;
+  }
+
+  /**
+   * Warnung ins Log und – falls aktiviert – Meldung an das ioBroker-Benachrichtigungssystem
+   *
+   * @param deviceId sanitized device id
+   * @param name device name
+   * @param level low or critical
+   * @param percent battery level in %
+   */
+  async _notifyBattery(deviceId, name, level, percent) {
+    const message = `${name} (${deviceId}): battery ${level === "critical" ? "critical" : "low"} at ${percent} %`;
+    this.log.warn(`Battery ${message}`);
+    if (!this._batteryNotify || typeof this.registerNotification !== "function") {
+      return;
+    }
+    try {
+      await this.registerNotification("danfoss-ally", "battery", message);
+    } catch (e) {
+      this.log.warn(`Battery notification failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * status.fault aller Geräte laut Profil dekodieren (nach jedem Poll):
+   * faults.<key> je Fehler (auch aus profile.faultFlags), faults.faultText als Klartext in der Systemsprache
+   */
+  async _updateFaults() {
+    for (const deviceId of this._deviceTypes.keys()) {
+      const fault = await this.getStateAsync(`${deviceId}.status.fault`);
+      if (this._isExcluded(deviceId) || !fault) {
+        continue;
+      }
+      const profile = this._profileFor(deviceId);
+      const decoded = decodeFault(fault.val, profile.faults);
+      for (const [key, code] of Object.entries(profile.faultFlags)) {
+        if ((await this.getStateAsync(`${deviceId}.status.${code}`))?.val === true) {
+          decoded.active.push(key);
+        }
+      }
+      const keys = [...new Set([...Object.values(profile.faults), ...Object.keys(profile.faultFlags), "unknown"])];
+      await this._ensureFaultObjects(deviceId, keys);
+
+      const active = new Set([...decoded.active, ...(decoded.unknown.length ? ["unknown"] : [])]);
+      const name = await this._deviceName(deviceId);
+      for (const key of keys) {
+        const was = (await this.getStateAsync(`${deviceId}.faults.${key}`))?.val === true;
+        if (active.has(key) !== was) {
+          const detail = key === "unknown" && active.has(key) ? ` (${decoded.unknown.join(", ")})` : "";
+          this.log.info(`Fault ${deviceId} (${name}): ${FAULT_TEXTS[key].en}${detail} ${was ? "cleared" : "active"}`);
+        }
+        await this.setStateChangedAsync(`${deviceId}.faults.${key}`, active.has(key), true);
+      }
+      await this.setStateChangedAsync(`${deviceId}.faults.faultText`, faultText(decoded, this._language), true);
+    }
+  }
+
+  /**
+   * @param deviceId sanitized device id
+   * @param keys fault keys of the device profile
+   */
+  async _ensureFaultObjects(deviceId, keys) {
+    await this.setObjectNotExistsAsync(`${deviceId}.faults`, {
+      type: "channel",
+      common: { name: "Faults" },
+      native: {}
+    });
+    for (const key of keys) {
+      await this._ensureStateObject(`${deviceId}.faults.${key}`, FAULT_TEXTS[key], {
+        type: "boolean",
+        role: "indicator.maintenance",
+        read: true,
+        write: false
+      });
+    }
+    await this._ensureStateObject(`${deviceId}.faults.faultText`, "Fault summary", {
+      type: "string",
+      role: "text",
+      read: true,
+      write: false
+    });
+  }
+
+  /**
+   * Statistik aus den Status-Werten des Polls fortschreiben (nach jedem Poll).
+   * Offline-Geräte liefern keine Werte, ihre Zeiträume werden nur weitergeschaltet.
+   */
+  async _updateStatistics() {
+    if (!this._statistics) {
+      try {
+        const state = await this.getStateAsync("info.statistics");
+        this._statistics = state?.val ? JSON.parse(String(state.val)) : {};
+      } catch (e) {
+        this.log.debug(`info.statistics unreadable, starting over: ${e.message}`);
+        this._statistics = {};
+      }
+    }
+    const now = Date.now();
+    const maxGapMs = Math.max(2 * this._pollIntervalSec * 1000, STATISTICS_MIN_GAP_MS);
+    for (const deviceId of this._deviceTypes.keys()) {
+      if (this._isExcluded(deviceId)) {
+        continue;
+      }
+      const online = (await this.getStateAsync(`${deviceId}.info.online`))?.val !== false;
+      const values = {};
+      for (const code of STAT_CODES) {
+        const val = (await this.getStateAsync(`${deviceId}.status.${code}`))?.val;
+        if (typeof val === "number" && Number.isFinite(val)) {
+          values[code] = val;
+        }
+      }
+      if (!this._statistics[deviceId] && !Object.keys(values).length) {
+        continue;
+      }
+      const timeZone = String((await this.getStateAsync(`${deviceId}.info.timeZone`))?.val || "");
+      const stats = online
+        ? addSample(this._statistics[deviceId], now, values, { timeZone, maxGapMs })
+        : rollOver(this._statistics[deviceId], localPeriod(now, timeZone));
+      this._statistics[deviceId] = stats;
+
+      const codes = STAT_CODES.filter(code => PERIODS.some(p => stats[p]?.[code]));
+      await this._ensureStatisticsObjects(deviceId, codes);
+      for (const period of PERIODS) {
+        for (const [key, val] of Object.entries(summarize(stats[period]))) {
+          if (
+            codes.some(code => key.startsWith(code)) ||
+            (key === "heatingHours" && codes.includes("pi_heating_demand"))
+          ) {
+            await this.setStateChangedAsync(`${deviceId}.statistics.${period}.${key}`, val, true);
+          }
+        }
+      }
+    }
+    for (const deviceId of Object.keys(this._statistics)) {
+      if (!this._deviceTypes.has(deviceId)) {
+        delete this._statistics[deviceId];
+      }
+    }
+    await this.setStateAsync("info.statistics", JSON.stringify(this._statistics), true);
+  }
+
+  /**
+   * Statistik-Channels eines Geräts anlegen (einmal je Code und Adapterstart)
+   *
+   * @param deviceId sanitized device id
+   * @param codes codes with data (STAT_CODES)
+   */
+  async _ensureStatisticsObjects(deviceId, codes) {
+    const missing = codes.filter(code => !this._statisticsObjects.has(`${deviceId}.${code}`));
+    if (!missing.length) {
+      return;
+    }
+    const profile = this._profileFor(deviceId);
+    await this.setObjectNotExistsAsync(`${deviceId}.statistics`, {
+      type: "channel",
+      common: { name: "Statistics" },
+      native: {}
+    });
+    for (const [period, name] of Object.entries(STATISTICS_PERIODS)) {
+      await this.setObjectNotExistsAsync(`${deviceId}.statistics.${period}`, {
+        type: "channel",
+        common: { name },
+        native: {}
+      });
+      for (const code of missing) {
+        const { role, unit } = profile.objectCommon(code, 0, false);
+        const common = {
+          type: "number",
+          role: unit === "°C" ? "value.temperature" : role, // temp_set ist sonst level.*
+          ...(unit ? { unit } : {}),
+          read: true,
+          write: false
+        };
+        for (const [agg, label] of Object.entries({ min: "Minimum", max: "Maximum", avg: "Average" })) {
+          await this._ensureStateObject(
+            `${deviceId}.statistics.${period}.${code}_${agg}`,
+            `${label} ${code} (${name})`,
+            common
+          );
+        }
+        if (code === "pi_heating_demand") {
+          await this._ensureStateObject(
+            `${deviceId}.statistics.${period}.heatingHours`,
+            `Hours with heating demand (${name})`,
+            {
+              type: "number",
+              role: "value",
+              unit: "h",
+              read: true,
+              write: false
+            }
+          );
+        }
+      }
+    }
+    missing.forEach(code => this._statisticsObjects.add(`${deviceId}.${code}`));
+  }
+
+  /**
+   * Instanz-Summen unter "energy" anlegen bzw. entfernen, wenn keine Heizkörperleistung konfiguriert ist
+   */
+  async _ensureInstanceEnergyObjects() {
+    if (this._radiatorPower.size) {
+      await this._ensureEnergyObjects("energy", "Estimated heat energy (all devices)");
+    } else if (await this.getObjectAsync("energy")) {
+      this.log.info("Removing energy totals: no radiator output configured");
+      await this.delObjectAsync("energy", { recursive: true });
+    }
+  }
+
+  /**
+   * Geschätzte Heizenergie und Kosten fortschreiben (nach jedem Poll) und zur Instanz-Summe addieren
+   */
+  async _updateEnergy() {
+    if (!this._energy) {
+      try {
+        const state = await this.getStateAsync("info.energy");
+        this._energy = state?.val ? JSON.parse(String(state.val)) : {};
+      } catch (e) {
+        this.log.debug(`info.energy unreadable, starting over: ${e.message}`);
+        this._energy = {};
+      }
+    }
+    const now = Date.now();
+    const maxGapMs = Math.max(2 * this._pollIntervalSec * 1000, STATISTICS_MIN_GAP_MS);
+    const totals = Object.fromEntries(ENERGY_PERIODS.map(p => [p, { kwh: 0, cost: 0 }]));
+    for (const deviceId of this._deviceTypes.keys()) {
+      const watts = this._radiatorPower.get(deviceId);
+      if (!watts || this._isExcluded(deviceId)) {
+        if (!this._energyObjects.has(deviceId)) {
+          this._energyObjects.add(deviceId);
+          if (await this.getObjectAsync(`${deviceId}.energy`)) {
+            await this.delObjectAsync(`${deviceId}.energy`, { recursive: true });
+          }
+        }
+        continue;
+      }
+      if (!this._energyObjects.has(deviceId)) {
+        await this._ensureEnergyObjects(`${deviceId}.energy`, "Estimated heat energy");
+        this._energyObjects.add(deviceId);
+      }
+      const online = (await this.getStateAsync(`${deviceId}.info.online`))?.val !== false;
+      const demand = (await this.getStateAsync(`${deviceId}.status.pi_heating_demand`))?.val;
+      const timeZone = String((await this.getStateAsync(`${deviceId}.info.timeZone`))?.val || "");
+      const counters = addEnergy(this._energy[deviceId], now, online && typeof demand === "number" ? demand : null, {
+        watts,
+        price: this._energyPrice,
+        timeZone,
+        maxGapMs
+      });
+      this._energy[deviceId] = counters;
+      for (const period of ENERGY_PERIODS) {
+        totals[period].kwh += counters[period].kwh || 0;
+        totals[period].cost += counters[period].cost || 0;
+        await this._setEnergyStates(`${deviceId}.energy.${period}`, counters[period]);
+      }
+    }
+    for (const deviceId of Object.keys(this._energy)) {
+      if (!this._radiatorPower.has(deviceId) || !this._deviceTypes.has(deviceId)) {
+        delete this._energy[deviceId];
+      }
+    }
+    await this.setStateAsync("info.energy", JSON.stringify(this._energy), true);
+    if (this._radiatorPower.size) {
+      for (const period of ENERGY_PERIODS) {
+        await this._setEnergyStates(`energy.${period}`, totals[period]);
+      }
+    }
+  }
+
+  /**
+   * @param prefix channel of the device or of the instance totals
+   * @param period kWh and cost of one period
+   */
+  async _setEnergyStates(prefix, period) {
+    const { kwh, cost } = roundPeriod(period);
+    await this.setStateChangedAsync(`${prefix}.kwh`, kwh, true);
+    await this.setStateChangedAsync(`${prefix}.cost`, cost, true);
+  }
+
+  /**
+   * Energie-Channel (Gerät oder Instanz-Summe) mit einem Unter-Channel je Zeitraum anlegen
+   *
+   * @param prefix channel id
+   * @param name channel name
+   */
+  async _ensureEnergyObjects(prefix, name) {
+    await this.setObjectNotExistsAsync(prefix, { type: "channel", common: { name }, native: {} });
+    for (const [period, label] of Object.entries(ENERGY_PERIOD_NAMES)) {
+      await this.setObjectNotExistsAsync(`${prefix}.${period}`, {
+        type: "channel",
+        common: { name: label },
+        native: {}
+      });
+      await this._ensureStateObject(`${prefix}.${period}.kwh`, `Heat energy (${label})`, {
+        type: "number",
+        role: "value.energy",
+        unit: "kWh",
+        read: true,
+        write: false
+      });
+      await this._ensureStateObject(`${prefix}.${period}.cost`, `Heating cost (${label})`, {
+        type: "number",
+        role: "value",
+        unit: this._energyCurrency,
+        read: true,
+        write: false
+      });
+    }
+  }
+
+  /**
+   * Fensterkontakte abonnieren, Objekte anlegen und gespeicherte Pausen nach einem Neustart übernehmen
+   */
+  async _initWindowContacts() {
+    const state = await this.getStateAsync("info.activeWindowPauses");
+    this._windowPauses = parseWindowPauses(state?.val);
+    for (const [deviceId, contacts] of this._windowContacts) {
+      if (!this._deviceTypes.has(deviceId) || this._isExcluded(deviceId)) {
+        this.log.warn(`Window contacts for ${deviceId} ignored: unknown or excluded device`);
+        this._windowContacts.delete(deviceId);
+        continue;
+      }
+      if (!(await this._hasStateObject(deviceId, "temp_set"))) {
+        this.log.warn(`Window contacts for ${deviceId} ignored: device has no temp_set`);
+        this._windowContacts.delete(deviceId);
+        continue;
+      }
+      await this._ensureWindowObjects(deviceId);
+      for (const contactId of contacts) {
+        if (!this._contactOpen.has(contactId)) {
+          const contact = await this.getForeignStateAsync(contactId);
+          this._contactOpen.set(contactId, isContactOpen(contact?.val));
+          await this.subscribeForeignStatesAsync(contactId);
+        }
+      }
+    }
+    // Pausen ohne Zuordnung (Tabelle geändert) werden beendet
+    for (const deviceId of new Set([...this._windowContacts.keys(), ...Object.keys(this._windowPauses)])) {
+      await this._evaluateWindow(deviceId);
+    }
+  }
+
+  /**
+   * Fenster-Channel eines Geräts mit zugeordneten Kontakten anlegen
+   *
+   * @param deviceId sanitized device id
+   */
+  async _ensureWindowObjects(deviceId) {
+    const prefix = `${deviceId}.window`;
+    await this.setObjectNotExistsAsync(prefix, {
+      type: "channel",
+      common: { name: "Window contacts" },
+      native: {}
+    });
+    const objects = {
+      open: { name: "Window contact open", type: "boolean", role: "sensor.window" },
+      active: { name: "Heating paused by window contact", type: "boolean", role: "indicator" },
+      trigger: { name: "Contact that triggered the pause", type: "string", role: "text" }
+    };
+    for (const [key, { name, ...common }] of Object.entries(objects)) {
+      await this._ensureStateObject(`${prefix}.${key}`, name, { read: true, write: false, ...common });
+    }
+    const pause = this._windowPauses[deviceId];
+    await this.setStateChangedAsync(`${prefix}.active`, !!pause, true);
+    await this.setStateChangedAsync(`${prefix}.trigger`, pause?.trigger ?? "", true);
+  }
+
+  /**
+   * Änderung eines Fensterkontakts (fremder State)
+   *
+   * @param contactId foreign state id
+   * @param val new value
+   */
+  async _onWindowContact(contactId, val) {
+    const open = isContactOpen(val);
+    if (this._contactOpen.get(contactId) === open) {
+      return;
+    }
+    this._contactOpen.set(contactId, open);
+    this.log.debug(`WINDOW ${contactId}: ${open ? "open" : "closed"}`);
+    for (const [deviceId, contacts] of this._windowContacts) {
+      if (contacts.includes(contactId)) {
+        await this._evaluateWindow(deviceId);
+      }
+    }
+  }
+
+  /**
+   * Kontakte eines Geräts auswerten: nach der Verzögerung pausieren, wenn alle zu sind wiederherstellen
+   *
+   * @param deviceId sanitized device id
+   */
+  async _evaluateWindow(deviceId) {
+    const open = (this._windowContacts.get(deviceId) || []).filter(c => this._contactOpen.get(c));
+    if (this._windowContacts.has(deviceId)) {
+      await this.setStateChangedAsync(`${deviceId}.window.open`, open.length > 0, true);
+    }
+    if (!open.length) {
+      this.clearTimeout(this._windowTimers.get(deviceId));
+      this._windowTimers.delete(deviceId);
+      this._windowOverrides.delete(deviceId);
+      if (this._windowPauses[deviceId]) {
+        await this._endWindowPause(deviceId);
+      }
+      return;
+    }
+    if (this._windowPauses[deviceId] || this._windowTimers.has(deviceId) || this._windowOverrides.has(deviceId)) {
+      return;
+    }
+    this._windowTimers.set(
+      deviceId,
+      this.setTimeout(() => {
+        this._windowTimers.delete(deviceId);
+        this._startWindowPause(deviceId);
+      }, this._windowDelayMs)
+    );
+  }
+
+  /**
+   * Gerät pausieren (mode=pause bzw. Frostschutz-Sollwert) und den vorherigen Zustand merken
+   *
+   * @param deviceId sanitized device id
+   */
+  async _startWindowPause(deviceId) {
+    const trigger = (this._windowContacts.get(deviceId) || []).find(c => this._contactOpen.get(c));
+    if (!trigger || this._windowPauses[deviceId] || this._unloading) {
+      return;
+    }
+    const mode = await this.getStateAsync(`${deviceId}.status.mode`);
+    const tempSet = await this.getStateAsync(`${deviceId}.status.temp_set`);
+    if (mode?.val === "holiday") {
+      this.log.debug(`WINDOW ${deviceId}: ${trigger} open, device is in holiday mode`);
+      return;
+    }
+    const previous = this._boosts[deviceId]?.previous || {
+      mode: typeof mode?.val === "string" ? mode.val : null,
+      temp_set: typeof tempSet?.val === "number" ? tempSet.val : null
+    };
+
+    const writes = [];
+    if (this._windowAction === "pause" && previous.mode) {
+      writes.push({ code: "mode", value: "pause" });
+    } else {
+      if (previous.mode && mode?.val !== "manual") {
+        writes.push({ code: "mode", value: "manual" });
+      }
+      writes.push({ code: "temp_set", value: this._windowFrostTemp });
+    }
+    try {
+      await this._sendControlWrites(deviceId, writes);
+    } catch (e) {
+      this.log.warn(`Window ${deviceId}: pause failed (${e.message}), retrying in ${WINDOW_RETRY_MS / 1000}s`);
+      this._windowTimers.set(
+        deviceId,
+        this.setTimeout(() => {
+          this._windowTimers.delete(deviceId);
+          this._startWindowPause(deviceId);
+        }, WINDOW_RETRY_MS)
+      );
+      return;
+    }
+    if (this._boosts[deviceId]) {
+      await this._dropBoost(deviceId, "window open");
+    }
+
+    this._windowPauses[deviceId] = { since: Date.now(), trigger, previous };
+    await this._saveWindowPauses();
+    await this.setStateAsync(`${deviceId}.window.active`, true, true);
+    await this.setStateAsync(`${deviceId}.window.trigger`, trigger, true);
+    this.log.info(`Window ${deviceId}: ${trigger} open, ${writes.map(w => `${w.code}=${dval(w.value)}`).join(", ")}`);
+  }
+
+  /**
+   * Alle Kontakte zu: vorherigen Modus/Sollwert wiederherstellen
+   *
+   * @param deviceId sanitized device id
+   */
+  async _endWindowPause(deviceId) {
+    const plan = restorePlan(this._windowPauses[deviceId].previous);
+    try {
+      await this._sendControlWrites(deviceId, plan, { skipInvalid: true });
+    } catch (e) {
+      this.log.warn(`Window ${deviceId}: restore failed (${e.message}), retrying in ${WINDOW_RETRY_MS / 1000}s`);
+      this._windowTimers.set(
+        deviceId,
+        this.setTimeout(() => {
+          this._windowTimers.delete(deviceId);
+          this._evaluateWindow(deviceId);
+        }, WINDOW_RETRY_MS)
+      );
+      return;
+    }
+
+    await this._clearWindowPause(deviceId);
+    const restored = plan.map(p => `${p.code}=${dval(p.value)}`).join(", ");
+    this.log.info(`Window ${deviceId}: closed${restored ? `, restored ${restored}` : ""}`);
+    if (this._schedules.has(deviceId)) {
+      await this._runSchedule(deviceId, { force: true });
+    }
+  }
+
+  /**
+   * Manueller Write auf mode/Sollwert (oder Urlaubsbeginn) während einer Fenster-Pause:
+   * Pause ohne Wiederherstellen beenden, bis alle Kontakte wieder zu sind
+   *
+   * @param deviceId sanitized device id
+   * @param code written code
+   */
+  async _windowOverridden(deviceId, code) {
+    if (this._windowPauses[deviceId] && BOOST_OVERRIDE_CODES.includes(code)) {
+      this._windowOverrides.add(deviceId);
+      await this._clearWindowPause(deviceId);
+      this.log.info(`Window pause ${deviceId} cancelled (${code} written), previous state not restored`);
+    }
+  }
+
+  /**
+   * @param deviceId sanitized device id
+   */
+  async _clearWindowPause(deviceId) {
+    delete this._windowPauses[deviceId];
+    await this._saveWindowPauses();
+    await this.setStateAsync(`${deviceId}.window.active`, false, true).catch(() => {});
+    await this.setStateAsync(`${deviceId}.window.trigger`, "", true).catch(() => {});
+  }
+
+  async _saveWindowPauses() {
+    await this.setStateAsync("info.activeWindowPauses", JSON.stringify(this._windowPauses), true);
+  }
+
+  /**
+   * Externe Temperatursensoren abonnieren und den aktuellen Wert sofort senden
+   */
+  async _initExternalSensors() {
+    for (const [deviceId, sensorId] of this._extSensors) {
+      if (!this._deviceTypes.has(deviceId) || this._isExcluded(deviceId)) {
+        this.log.warn(`External sensor ${sensorId} for ${deviceId} ignored: unknown or excluded device`);
+        this._extSensors.delete(deviceId);
+        continue;
+      }
+      await this._ensureStateObject(`${deviceId}.status.externalTemperature`, "Temperature of the external sensor", {
+        type: "number",
+        role: "value.temperature",
+        unit: "°C",
+        read: true,
+        write: false
+      });
+      await this.subscribeForeignStatesAsync(sensorId);
+      await this._externalSensorTick(deviceId);
+    }
+  }
+
+  /**
+   * Änderung eines externen Sensors (fremder State)
+   *
+   * @param sensorId foreign state id
+   * @param state new state
+   */
+  async _onExternalSensor(sensorId, state) {
+    for (const [deviceId, id] of this._extSensors) {
+      if (id === sensorId) {
+        await this._forwardExternalTemperature(deviceId, state, false);
+      }
+    }
+  }
+
+  /**
+   * Intervall: Sensorwert erneut senden (bzw. Fallback, wenn der Sensor nichts mehr liefert)
+   *
+   * @param deviceId sanitized device id
+   */
+  async _externalSensorTick(deviceId) {
+    const sensorId = this._extSensors.get(deviceId);
+    if (!sensorId || this._unloading) {
+      return;
+    }
+    const state = await this.getForeignStateAsync(sensorId);
+    await this._forwardExternalTemperature(deviceId, state, true);
+  }
 
-      // ==== Schreiblogik (einzeln, ohne Auto-Sequenzen) ====
+  /**
+   * Sensorwert spiegeln und an das Gerät senden. Ohne force nur bei einer Änderung ab 0,1 °C
+   * und höchstens einmal pro EXT_SENSOR_MIN_GAP_MS; der letzte Wert folgt dann per Timer.
+   *
+   * @param deviceId sanitized device id
+   * @param state sensor state
+   * @param force true = unabhängig von der letzten Übertragung senden (Intervall)
+   */
+  async _forwardExternalTemperature(deviceId, state, force) {
+    const now = Date.now();
+    const reading = sensorReading(state, now, this._extSensorStaleMs);
+    await this.setStateChangedAsync(`${deviceId}.status.externalTemperature`, reading.temp, true);
+    const raw = toSensorRaw(reading.temp);
+    const last = this._extSensorSent.get(deviceId);
 
-      // manual_mode_fast -> temp_set (Shortcut, kein Moduswechsel)
-      // v0.2.16: SetpointChangeSource="Externally" wird immer mitgeschickt
-      if (code === "manual_mode_fast") {
-        const v10 = await prepareTempValue10(val);
-        if (v10 == null) {
-          this.log.warn(`Ignoring invalid temperature for ${deviceId}.${code}: ${val}`);
-          return;
-        }
+    if (!force && last) {
+      if (Math.abs(last.raw - raw) < 10) {
+        return;
+      }
+      if (now - last.at < EXT_SENSOR_MIN_GAP_MS) {
+        this._scheduleExternalSensor(deviceId, last.at + EXT_SENSOR_MIN_GAP_MS - now, true);
+        return;
+      }
+    }
+    if (reading.temp === null && last?.raw !== EXT_SENSOR_OFF) {
+      this.log.warn(
+        `External sensor ${this._extSensors.get(deviceId)} for ${deviceId}: ${reading.reason}, fallback to the device sensor`
+      );
+    } else if (reading.temp !== null && last?.raw === EXT_SENSOR_OFF) {
+      this.log.info(
+        `External sensor ${this._extSensors.get(deviceId)} for ${deviceId} is back (${dval(reading.temp)} °C)`
+      );
+    }
 
-        const setpointResult = await this.sendSetpoint(deviceId, v10, {
-          includeManualModeFast: true
-        });
-        await this.setStateAsync(`${deviceId}.status.temp_set`, {
-          val: Number(val),
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.status.manual_mode_fast`, {
-          val: Number(val),
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.temp_set`, {
-          val: Number(val),
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.manual_mode_fast`, {
-          val: Number(val),
-          ack: true
-        });
-        if (setpointResult.sourceSent) {
-          await this.setStateAsync(`${deviceId}.status.SetpointChangeSource`, {
-            val: "Externally",
-            ack: true
-          }).catch(() => {});
-          await this.setStateAsync(`${deviceId}.control.SetpointChangeSource`, {
-            val: "Externally",
-            ack: true
-          }).catch(() => {});
-        }
+    try {
+      await this.sendCommands(deviceId, [{ code: this._extSensorCode, value: raw }]);
+      this._extSensorSent.set(deviceId, { raw, at: now });
+      this.log.debug(`EXTSENSOR ${deviceId}: ${this._extSensorCode}=${raw}`);
+      this._scheduleExternalSensor(deviceId, this._extSensorIntervalMs);
+    } catch (e) {
+      this.log.warn(`External sensor value for ${deviceId} not sent: ${e.message}`);
+      this._scheduleExternalSensor(deviceId, EXT_SENSOR_RETRY_MS);
+    }
+  }
 
-        this._noteWrite(deviceId, "temp_set", Number(val));
-        if (setpointResult.manualFastSent) {
-          this._noteWrite(deviceId, "manual_mode_fast", Number(val));
-        }
+  /**
+   * Nächste Übertragung planen
+   *
+   * @param deviceId sanitized device id
+   * @param delayMs delay
+   * @param [earlierOnly] bestehenden Timer nur ersetzen, wenn der neue Termin früher liegt
+   */
+  _scheduleExternalSensor(deviceId, delayMs, earlierOnly = false) {
+    const timer = this._extSensorTimers.get(deviceId);
+    const due = Date.now() + delayMs;
+    if (earlierOnly && timer && timer.due <= due) {
+      return;
+    }
+    this.clearTimeout(timer?.handle);
+    this._extSensorTimers.set(deviceId, {
+      due,
+      handle: this.setTimeout(() => {
+        this._extSensorTimers.delete(deviceId);
+        this._externalSensorTick(deviceId);
+      }, delayMs)
+    });
+  }
 
-        this._softRefreshSoon(deviceId, ["temp_set", "manual_mode_fast", "SetpointChangeSource"]);
-        this._confirmSetpointSoon(deviceId, Number(val));
-        this.log.info(
-          `Set temp_set via manual_mode_fast for ${deviceId}${setpointResult.sourceSent ? " (with SetpointChangeSource=Externally)" : ""}${setpointResult.manualFastSent ? " + manual_mode_fast" : ""}`
-        );
-        return;
+  /**
+   * Channel "boiler" der Kesselsteuerung anlegen bzw. entfernen, wenn kein Relais konfiguriert ist
+   */
+  async _ensureBoilerObjects() {
+    if (!this._boiler) {
+      if (await this.getObjectAsync("boiler")) {
+        this.log.info("Removing boiler control objects: no relay configured");
+        await this.delObjectAsync("boiler", { recursive: true });
       }
+      return;
+    }
+    await this.setObjectNotExistsAsync("boiler", {
+      type: "channel",
+      common: { name: "Boiler relay demand control" },
+      native: {}
+    });
+    const objects = {
+      mode: { name: "Control mode", type: "string", role: "state", states: BOILER_MODES, write: true },
+      demand: { name: "Highest heating demand", type: "number", role: "value.percentage", unit: "%", write: false },
+      decision: { name: "Requested relay state", type: "boolean", role: "indicator", write: false },
+      reason: { name: "Reason of the decision", type: "string", role: "text", write: false },
+      lastSwitch: { name: "Last switching of the relay", type: "number", role: "value.time", write: false }
+    };
+    for (const [key, { name, ...common }] of Object.entries(objects)) {
+      await this._ensureStateObject(`boiler.${key}`, name, { read: true, ...common });
+    }
+    if (!(await this.getStateAsync("boiler.mode"))) {
+      await this.setStateAsync("boiler.mode", "auto", true);
+    }
+  }
 
-      // temp_set (kein Moduswechsel)
-      // v0.2.16: SetpointChangeSource="Externally" wird immer mitgeschickt,
-      // da Ally TRV-Thermostate temp_set ohne dieses Flag ignorieren können.
-      if (code === "temp_set") {
-        const v10 = await prepareTempValue10(val);
-        if (v10 == null) {
-          this.log.warn(`Ignoring invalid temperature for ${deviceId}.${code}: ${val}`);
-          return;
-        }
+  /**
+   * Write auf boiler.mode (auto / on / off)
+   *
+   * @param key written state
+   * @param val written value
+   */
+  async _onBoilerWrite(key, val) {
+    if (key !== "mode" || !this._boiler) {
+      return;
+    }
+    const mode = String(val ?? "").trim();
+    if (!BOILER_MODES[mode]) {
+      const cur = await this.getStateAsync("boiler.mode");
+      this.log.warn(`Rejected boiler.mode=${val}: use ${Object.keys(BOILER_MODES).join(", ")}`);
+      await this.setStateAsync("boiler.mode", { val: cur?.val ?? "auto", ack: true, c: `Rejected ${val}` });
+      return;
+    }
+    await this.setStateAsync("boiler.mode", mode, true);
+    this.log.info(`Boiler control: mode=${mode}`);
+    await this._evaluateBoiler();
+  }
 
-        const includeManualModeFast = await this._hasStateObject(deviceId, "manual_mode_fast");
-        const setpointResult = await this.sendSetpoint(deviceId, v10, {
-          includeManualModeFast
-        });
-        await this.setStateAsync(`${deviceId}.status.temp_set`, {
-          val: Number(val),
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.temp_set`, {
-          val: Number(val),
-          ack: true
+  /**
+   * Kesselsteuerung auswerten; läuft bereits eine Auswertung, wird auf diese gewartet
+   */
+  _evaluateBoiler() {
+    if (!this._boilerRun && this._boiler) {
+      this._boilerRun = this._runBoilerEvaluation()
+        .catch(e => this.log.warn(`Boiler control failed: ${e.message}`))
+        .finally(() => {
+          this._boilerRun = null;
         });
-        if (setpointResult.manualFastSent) {
-          await this.setStateAsync(`${deviceId}.status.manual_mode_fast`, {
-            val: Number(val),
-            ack: true
-          }).catch(() => {});
-          await this.setStateAsync(`${deviceId}.control.manual_mode_fast`, {
-            val: Number(val),
-            ack: true
-          }).catch(() => {});
-        }
-        if (setpointResult.sourceSent) {
-          await this.setStateAsync(`${deviceId}.status.SetpointChangeSource`, {
-            val: "Externally",
-            ack: true
-          }).catch(() => {});
-          await this.setStateAsync(`${deviceId}.control.SetpointChangeSource`, {
-            val: "Externally",
-            ack: true
-          }).catch(() => {});
-        }
+    }
+    return this._boilerRun;
+  }
 
-        this._noteWrite(deviceId, "temp_set", Number(val));
-        if (setpointResult.manualFastSent) {
-          this._noteWrite(deviceId, "manual_mode_fast", Number(val));
-        }
+  async _runBoilerEvaluation() {
+    const { relayId, settings } = this._boiler;
+    this.clearTimeout(this._boilerTimer);
+    this._boilerTimer = null;
+    if (!this._deviceTypes.has(relayId) || this._isExcluded(relayId) || this._unloading) {
+      return;
+    }
 
-        this._softRefreshSoon(deviceId, ["temp_set", "manual_mode_fast", "SetpointChangeSource"]);
-        this._confirmSetpointSoon(deviceId, Number(val));
-        this.log.info(
-          `Set temp_set for ${deviceId}${setpointResult.sourceSent ? " (with SetpointChangeSource=Externally)" : ""}${setpointResult.manualFastSent ? " + manual_mode_fast" : ""}`
-        );
-        return;
+    const devices = [];
+    const candidates = this._boiler.devices.length ? this._boiler.devices : [...this._deviceTypes.keys()];
+    for (const deviceId of candidates) {
+      const online = await this.getStateAsync(`${deviceId}.info.online`);
+      if (deviceId === relayId || this._isExcluded(deviceId) || !online || online.val === false) {
+        continue;
       }
+      devices.push({
+        pi_heating_demand: (await this.getStateAsync(`${deviceId}.status.pi_heating_demand`))?.val,
+        output_status: (await this.getStateAsync(`${deviceId}.status.output_status`))?.val
+      });
+    }
+    const demand = heatingDemand(devices);
+    const relayOn = (await this.getStateAsync(`${relayId}.status.switch`))?.val === true;
+    const now = Date.now();
+    const decision = boilerDecision({
+      demand,
+      relayOn,
+      lastSwitch: Number((await this.getStateAsync("boiler.lastSwitch"))?.val) || 0,
+      now,
+      mode: String((await this.getStateAsync("boiler.mode"))?.val || "auto"),
+      settings
+    });
 
-      // Preset-Setpoints (keine Sequenzen)
-      if (["at_home_setting", "leaving_home_setting", "pause_setting", "holiday_setting"].includes(code)) {
-        const v10 = await prepareTempValue10(val);
-        if (v10 == null) {
-          this.log.warn(`Ignoring invalid temperature for ${deviceId}.${code}: ${val}`);
-          return;
-        }
+    await this.setStateChangedAsync("boiler.demand", demand, true);
+    await this.setStateChangedAsync("boiler.decision", decision.on, true);
+    await this.setStateChangedAsync("boiler.reason", decision.reason, true);
+    if (decision.waitMs) {
+      this._boilerTimer = this.setTimeout(() => this._evaluateBoiler(), decision.waitMs + 1000);
+    }
+    if (decision.on === relayOn) {
+      return;
+    }
 
-        await this.sendOne(deviceId, code, v10);
-        await this.setStateAsync(`${deviceId}.status.${code}`, {
-          val: Number(val),
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.${code}`, {
-          val: Number(val),
-          ack: true
-        });
-        this._noteWrite(deviceId, code, Number(val));
+    try {
+      await this._sendControlWrites(relayId, [{ code: "switch", value: decision.on }]);
+    } catch (e) {
+      this.log.warn(`Boiler relay ${relayId}: switch=${decision.on} failed: ${e.message}`);
+      return;
+    }
+    await this.setStateAsync("boiler.lastSwitch", now, true);
+    this.log.info(`Boiler relay ${relayId} switched ${decision.on ? "on" : "off"} (${decision.reason})`);
+  }
 
-        this._softRefreshSoon(deviceId, code);
-        this.log.info(`Set ${code} for ${deviceId}`);
-        return;
+  /**
+   * Channel "presence" anlegen bzw. entfernen, wenn keine Anwesenheits-States konfiguriert sind
+   */
+  async _ensurePresenceObjects() {
+    if (!this._presenceStates.length) {
+      if (await this.getObjectAsync("presence")) {
+        this.log.info("Removing presence objects: no presence states configured");
+        await this.delObjectAsync("presence", { recursive: true });
       }
+      return;
+    }
+    await this.setObjectNotExistsAsync("presence", {
+      type: "channel",
+      common: { name: "Presence switching" },
+      native: {}
+    });
+    const objects = {
+      present: { name: "Anyone at home", type: "boolean", role: "indicator" },
+      decision: { name: "Last automatic mode", type: "string", role: "text", states: PRESENCE_MODES },
+      lastSwitch: { name: "Last automatic switching", type: "number", role: "value.time" },
+      nextSwitch: { name: "Pending switching (after the delay)", type: "number", role: "value.time" }
+    };
+    for (const [key, { name, ...common }] of Object.entries(objects)) {
+      await this._ensureStateObject(`presence.${key}`, name, { read: true, write: false, ...common });
+    }
+  }
 
-      // Kindersicherung
-      if (code === "child_lock") {
-        const boolVal = val === true || val === "true" || val === 1;
-        try {
-          await this.sendOne(deviceId, "child_lock", boolVal ? 1 : 0);
-        } catch {
-          await this.sendOne(deviceId, "child_lock", !!boolVal);
-        }
-        await this.setStateAsync(`${deviceId}.status.child_lock`, {
-          val: !!boolVal,
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.child_lock`, {
-          val: !!boolVal,
-          ack: true
-        });
-        this._noteWrite(deviceId, "child_lock", !!boolVal);
+  /**
+   * Anwesenheits-States abonnieren und den aktuellen Zustand auswerten
+   */
+  async _initPresence() {
+    for (const stateId of this._presenceStates) {
+      this._presenceValues.set(stateId, (await this.getForeignStateAsync(stateId))?.val);
+      await this.subscribeForeignStatesAsync(stateId);
+    }
+    if (this._presenceStates.length) {
+      await this._evaluatePresence();
+    }
+  }
 
-        this._softRefreshSoon(deviceId, "child_lock");
-        this.log.info(`Set child_lock=${!!boolVal} for ${deviceId}`);
-        return;
-      }
+  /**
+   * @param stateId foreign presence state
+   * @param val new value
+   */
+  async _onPresenceState(stateId, val) {
+    this._presenceValues.set(stateId, val);
+    await this._evaluatePresence();
+  }
+
+  /**
+   * Anwesenheit auswerten und einen Wechsel nach der Kommen/Gehen-Verzögerung einplanen
+   */
+  async _evaluatePresence() {
+    const target = presenceMode([...this._presenceValues.values()]);
+    if (target === null) {
+      return;
+    }
+    await this.setStateChangedAsync("presence.present", target === "at_home", true);
+    const decision = (await this.getStateAsync("presence.decision"))?.val;
+    if (target === decision) {
+      // zurück vor Ablauf der Verzögerung: nichts schalten
+      this._cancelPresenceSwitch();
+      await this.setStateChangedAsync("presence.nextSwitch", null, true);
+      return;
+    }
+    if (this._presencePending === target) {
+      return;
+    }
+    this._cancelPresenceSwitch();
+    const delayMs = target === "at_home" ? this._presenceArriveMs : this._presenceLeaveMs;
+    this._presencePending = target;
+    this._presenceTimer = this.setTimeout(() => {
+      this._presenceTimer = null;
+      this._applyPresence(target).catch(e => this.log.warn(`Presence switching failed: ${e.message}`));
+    }, delayMs);
+    await this.setStateChangedAsync("presence.nextSwitch", Date.now() + delayMs, true);
+    this.log.debug(`PRESENCE: ${target} in ${Math.round(delayMs / 1000)} s`);
+  }
+
+  _cancelPresenceSwitch() {
+    this.clearTimeout(this._presenceTimer);
+    this._presenceTimer = null;
+    this._presencePending = null;
+  }
 
-      // switch (Icon2 Zone Ein/Aus)
-      if (code === "switch") {
-        const boolVal = val === true || val === "true" || val === 1;
+  /**
+   * mode der Geräte auf at_home/leaving_home setzen. Urlaub hat Vorrang; während Boost/Fenster-Pause
+   * wird nur der wiederherzustellende mode angepasst. Schlägt ein Write fehl, wird es später erneut versucht.
+   *
+   * @param target at_home or leaving_home
+   */
+  async _applyPresence(target) {
+    let failed = 0;
+    const switched = [];
+    for (const deviceId of await this._presenceDeviceIds()) {
+      const mode = (await this.getStateAsync(`${deviceId}.status.mode`))?.val;
+      const pending = this._boosts[deviceId] || this._windowPauses[deviceId];
+      if (mode === "holiday") {
+        this.log.debug(`PRESENCE ${deviceId}: skip ${target} (holiday active)`);
+      } else if (pending) {
+        if (pending.previous?.mode && pending.previous.mode !== target) {
+          pending.previous.mode = target;
+          await (this._boosts[deviceId] ? this._saveBoosts() : this._saveWindowPauses());
+          this.log.debug(`PRESENCE ${deviceId}: ${target} after ${this._boosts[deviceId] ? "boost" : "window pause"}`);
+        }
+      } else if (mode !== target) {
         try {
-          await this.sendOne(deviceId, "switch", boolVal);
+          await this._sendControlWrites(deviceId, [{ code: "mode", value: target }]);
+          switched.push(deviceId);
         } catch (e) {
-          this.log.warn(`switch write failed for ${deviceId}: ${e.message}`);
-          return;
+          failed++;
+          this.log.warn(`Presence: mode=${target} failed for ${deviceId}: ${e.message}`);
         }
-        await this.setStateAsync(`${deviceId}.status.switch`, {
-          val: boolVal,
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.switch`, {
-          val: boolVal,
-          ack: true
-        });
-        this._noteWrite(deviceId, "switch", boolVal);
-        this._softRefreshSoon(deviceId, "switch");
-        this.log.info(`Set switch=${boolVal} for ${deviceId}`);
-        return;
       }
+    }
+    if (failed) {
+      this._presenceTimer = this.setTimeout(() => {
+        this._presenceTimer = null;
+        this._applyPresence(target).catch(e => this.log.warn(`Presence switching failed: ${e.message}`));
+      }, PRESENCE_RETRY_MS);
+      return;
+    }
+    this._presencePending = null;
+    await this.setStateAsync("presence.decision", target, true);
+    await this.setStateAsync("presence.lastSwitch", Date.now(), true);
+    await this.setStateChangedAsync("presence.nextSwitch", null, true);
+    this.log.info(`Presence: ${target}${switched.length ? ` for ${switched.join(", ")}` : ", no device to switch"}`);
+  }
 
-      // Mode
-      if (code === "mode") {
-        const next = normalizeMode(String(val));
-        await this.sendOne(deviceId, "mode", next);
-        await this.setStateAsync(`${deviceId}.status.mode`, {
-          val: next,
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.mode`, {
-          val: next,
-          ack: true
-        });
-        this._noteWrite(deviceId, "mode", next);
-
-        this._softRefreshSoon(deviceId, "mode");
-        this.log.info(`Set mode=${next} for ${deviceId}`);
-        return;
+  /**
+   * @returns {Promise<string[]>} configured devices, or all devices with mode when none are configured
+   */
+  async _presenceDeviceIds() {
+    const ids = [];
+    const candidates = this._presenceDevices.length ? this._presenceDevices : [...this._deviceTypes.keys()];
+    for (const deviceId of candidates) {
+      if (
+        this._deviceTypes.has(deviceId) &&
+        !this._isExcluded(deviceId) &&
+        (await this._hasStateObject(deviceId, "mode"))
+      ) {
+        ids.push(deviceId);
       }
+    }
+    return ids;
+  }
 
-      // SetpointChangeSource
-      if (code === "SetpointChangeSource") {
-        const v = String(val).trim();
-        const allowed = new Set(["schedule", "Externally"]);
-        const src = allowed.has(v) ? v : "Externally";
+  /**
+   * Control-Write prüfen und für die Queue vorbereiten (gemeinsam für stateChange und sendTo)
+   *
+   * @param deviceId sanitized device id
+   * @param code normalized control code
+   * @param val written value
+   * @param ts write timestamp (newest write per code wins)
+   * @returns {Promise<{write?: object, error?: string, rejected?: boolean}>} prepared write or error
+   */
+  async _prepareControlWrite(deviceId, code, val, ts) {
+    const profile = this._profileFor(deviceId);
+
+    // Sollwerte: validieren (Grenzen/Auflösung laut Policy) + Skalierung laut Profil
+    if (SETPOINT_CODES.includes(code)) {
+      const limits = await this._setpointLimitsFor(deviceId, profile.code(code));
+      const result = validateSetpoint(val, limits, this._setpointPolicy);
+      if (!result.ok) {
+        return { error: result.reason, rejected: true };
+      }
 
-        await this.sendOne(deviceId, "SetpointChangeSource", src);
-        await this.setStateAsync(`${deviceId}.status.SetpointChangeSource`, {
-          val: src,
-          ack: true
-        });
-        await this.setStateAsync(`${deviceId}.control.SetpointChangeSource`, {
-          val: src,
-          ack: true
-        });
-        this._noteWrite(deviceId, "SetpointChangeSource", src);
+      const raw = profile.toCloud(code, result.value);
+      this.log.debug(
+        `PREP ${deviceId}: input=${dval(val)}${result.adjusted ? ` ${this._setpointPolicy}→${dval(result.value)}` : ""} send=${raw}` +
+          `${limits.min !== undefined ? ` (lower=${dval(limits.min)})` : ""}` +
+          `${limits.max !== undefined ? ` (upper=${dval(limits.max)})` : ""}`
+      );
 
-        this._softRefreshSoon(deviceId, "SetpointChangeSource");
-        this.log.info(`Set SetpointChangeSource=${src} for ${deviceId}`);
-        return;
+      // temp_set / manual_mode_fast → gemeinsamer Setpoint-Eintrag
+      // v0.2.16: SetpointChangeSource="Externally" wird immer mitgeschickt,
+      // da Ally TRV-Thermostate temp_set ohne dieses Flag ignorieren können.
+      if (code === "temp_set" || code === "manual_mode_fast") {
+        const includeManualModeFast =
+          code === "manual_mode_fast" || (await this._hasStateObject(deviceId, "manual_mode_fast"));
+        return {
+          write: { key: "setpoint", code, value: raw, localVal: result.value, includeManualModeFast, ts }
+        };
       }
 
-      // Unbekannter/Read-Only-Code → Hinweis
-      if (!WRITEABLE_CODES.has(code)) {
-        this.log.warn(`Ignoring write to read-only or unknown code: ${deviceId}.${code} (from '${rawCode}')`);
-      }
-    } catch (e) {
-      this.log.error(`onStateChange error for ${id}: ${e.message}`);
+      // Preset-Setpoints
+      return { write: { key: code, code, value: raw, localVal: result.value, ts } };
     }
-  }
 
-  mapRole(code) {
-    // Schreibbare Temperatur-Werte (Soll)
-    const writeableTemp = new Set([
-      "temp_set",
-      "manual_mode_fast",
-      "at_home_setting",
-      "leaving_home_setting",
-      "pause_setting",
-      "holiday_setting"
-    ]);
+    // Kindersicherung (Cloud erwartet 0/1, Fallback true/false)
+    if (code === "child_lock") {
+      const boolVal = val === true || val === "true" || val === 1;
+      return { write: { key: code, code, value: boolVal ? 1 : 0, localVal: boolVal, ts } };
+    }
 
-    // Read-Only Temperatur-Werte (Ist/Limits)
-    const roTemp = new Set(["temp_current", "lower_temp", "upper_temp"]);
+    // switch (Icon2 Zone Ein/Aus)
+    if (code === "switch") {
+      const boolVal = val === true || val === "true" || val === 1;
+      return { write: { key: code, code, value: boolVal, localVal: boolVal, ts } };
+    }
 
-    if (writeableTemp.has(code)) {
-      return "level.temperature";
+    // Mode
+    if (code === "mode") {
+      const next = normalizeMode(String(val));
+      return { write: { key: code, code, value: next, localVal: next, ts } };
     }
-    if (roTemp.has(code)) {
-      return "value.temperature";
+
+    // SetpointChangeSource
+    if (code === "SetpointChangeSource") {
+      const v = String(val).trim();
+      const allowed = new Set(["schedule", "Externally"]);
+      const src = allowed.has(v) ? v : "Externally";
+      return { write: { key: code, code, value: src, localVal: src, ts } };
     }
 
-    // Luftfeuchtigkeit
-    if (code === "humidity_value") {
-      return "value.humidity";
+    return { error: `read-only or unknown code: ${code}` };
+  }
+
+  /**
+   * Write in die Queue des Geräts legen. Alle Writes innerhalb des Coalescing-Fensters
+   * gehen gemeinsam als ein Command-Request an die Cloud.
+   *
+   * @param deviceId sanitized device id
+   * @param write prepared write ({ key, code, value, localVal, ts, ... })
+   * @param [wait] true = Promise auf das Ergebnis des Batches zurückgeben (sendTo)
+   * @returns {Promise<object>|undefined} batch result when wait is set; rejects when this write
+   *   failed or was superseded by a newer write of the same code (error.superseded)
+   */
+  _queueWrite(deviceId, write, wait = false) {
+    let queue = this._writeQueues.get(deviceId);
+    if (!queue) {
+      queue = { entries: new Map(), timer: null, waiters: [] };
+      this._writeQueues.set(deviceId, queue);
     }
+    const result = wait ? new Promise((resolve, reject) => queue.waiters.push({ write, resolve, reject })) : undefined;
 
-    // Batterie
-    if (code === "battery_percentage") {
-      return "value.battery";
+    // Pro Code gewinnt der jüngste Write
+    const prev = queue.entries.get(write.key);
+    if (prev && prev.ts > write.ts) {
+      this.log.debug(`QUEUE ${deviceId}: drop older write ${write.code}=${dval(write.localVal)}`);
+      return result;
     }
+    queue.entries.set(write.key, write);
+    this.log.debug(`QUEUE ${deviceId}: ${write.code}=${dval(write.localVal)} (${queue.entries.size} pending)`);
 
-    // Kindersicherung
-    if (code === "child_lock") {
-      return "switch.lock"; // boolean writeable
+    if (!queue.timer) {
+      queue.timer = this.setTimeout(() => this._flushWrites(deviceId), this._writeCoalesceMs);
     }
+    return result;
+  }
 
-    // Betriebsmodus / Strings → allgemeiner Status
-    if (code === "mode") {
-      return "state";
+  /**
+   * Queue eines Geräts abschicken. Batches desselben Geräts laufen nacheinander,
+   * damit sich zwei Command-Requests nicht überholen.
+   *
+   * @param deviceId sanitized device id
+   */
+  _flushWrites(deviceId) {
+    const queue = this._writeQueues.get(deviceId);
+    this._writeQueues.delete(deviceId);
+    if (!queue || !queue.entries.size) {
+      return;
     }
-    if (code === "work_state" || code === "output_status" || code === "fault") {
-      return "state";
+
+    const writes = [...queue.entries.values()].sort(
+      (a, b) => WRITE_ORDER.indexOf(a.key) - WRITE_ORDER.indexOf(b.key) || a.ts - b.ts
+    );
+    const previous = this._writeRuns.get(deviceId) || Promise.resolve();
+    const run = previous
+      .then(() => this._sendWriteBatch(deviceId, writes))
+      .then(
+        res =>
+          queue.waiters.forEach(w => {
+            const error =
+              queue.entries.get(w.write.key) !== w.write ? supersededError(w.write) : res.failed.get(w.write);
+            if (error) {
+              w.reject(error);
+            } else {
+              w.resolve(res);
+            }
+          }),
+        e => {
+          this.log.error(`Write failed for ${deviceId}: ${e.message}`);
+          queue.waiters.forEach(w => w.reject(e));
+        }
+      )
+      .finally(() => {
+        if (this._writeRuns.get(deviceId) === run) {
+          this._writeRuns.delete(deviceId);
+        }
+      });
+    this._writeRuns.set(deviceId, run);
+  }
+
+  /**
+   * Batch als ein sendCommands-Request senden; lehnt die Cloud den Batch ab,
+   * werden die Codes einzeln (mit den bisherigen Fallbacks) gesendet.
+   *
+   * @param deviceId sanitized device id
+   * @param writes writes in send order (mode vor Setpoint)
+   * @returns {Promise<{commands: object[], response?: object, applied: string[], failed: Map<object, Error>}>}
+   *   what was sent; failed = writes the cloud rejected in the single-code fallback or that were not sent
+   */
+  async _sendWriteBatch(deviceId, writes) {
+    const setpoint = writes.find(w => w.key === "setpoint");
+    // Setpoint sendet ohnehin SetpointChangeSource=Externally → eigener Source-Write entfällt
+    const dropped = writes.filter(w => w.key === "SetpointChangeSource" && setpoint);
+    dropped.forEach(w =>
+      this.log.debug(`QUEUE ${deviceId}: SetpointChangeSource=${w.value} superseded by setpoint write`)
+    );
+    const sending = writes.filter(w => !dropped.includes(w));
+    const commands = [];
+    for (const w of sending) {
+      if (w.key === "setpoint") {
+        commands.push({ code: "SetpointChangeSource", value: "Externally" }, { code: "temp_set", value: w.value });
+        if (w.includeManualModeFast) {
+          commands.push({ code: "manual_mode_fast", value: w.value });
+        }
+      } else {
+        commands.push({ code: w.code, value: w.value });
+      }
     }
 
-    // Heizleistung
-    if (code === "pi_heating_demand") {
-      return "value.percentage";
+    let results;
+    let response;
+    try {
+      response = await this.sendCommands(deviceId, commands);
+      results = sending.map(w =>
+        w.key === "setpoint"
+          ? { write: w, sourceSent: true, tempSent: true, manualFastSent: !!w.includeManualModeFast }
+          : { write: w }
+      );
+    } catch (err) {
+      if (commands.length === 1 && sending[0].key !== "child_lock") {
+        throw err;
+      }
+      this.log.debug(`Batch for ${deviceId} rejected (${errDetails(err)}); sending codes individually`);
+      results = await this._sendWritesIndividually(deviceId, sending);
     }
 
-    // Bodensensor / Wärme / Betriebszustand
-    if (
-      ["heat_available", "floor_sensor", "mounting_mode_active", "radiator_covered", "load_balance_enable"].includes(
-        code
-      )
-    ) {
-      return "indicator";
+    const failed = new Map([
+      ...dropped.map(w => [w, supersededError(w, "the setpoint write")]),
+      ...results.filter(r => r.error).map(r => [r.write, r.error])
+    ]);
+    results = results.filter(r => !r.error);
+    const applied = [];
+    for (const result of results) {
+      applied.push(await this._applyLocalWrite(deviceId, result));
     }
 
-    // Fenstererkennung
-    if (code === "window_state" || code === "window_state_info") {
-      return "sensor.window";
+    const codes = results.flatMap(r =>
+      r.write.key === "setpoint" ? ["temp_set", "manual_mode_fast", "SetpointChangeSource"] : [r.write.code]
+    );
+    // Gruppen-Writes prüft _confirmGroupSoon gemeinsam für alle Mitglieder
+    if (!writes.every(w => w.group) && !this._unloading) {
+      this._softRefreshSoon(deviceId, codes);
+      if (setpoint && results.some(r => r.write === setpoint)) {
+        this._confirmSetpointSoon(deviceId, setpoint.localVal);
+      }
     }
-    if (code === "window_toggle") {
-      return "button";
+    if (applied.length) {
+      this.log.info(`Set ${applied.join(", ")} for ${deviceId}`);
     }
+    return { commands, response, applied, failed };
+  }
 
-    // Switch (Icon2 Zone)
-    if (code === "switch") {
-      return "switch";
+  /**
+   * Fallback: jeden Write einzeln senden (wie vor dem Coalescing)
+   *
+   * @param deviceId sanitized device id
+   * @param writes writes in send order
+   * @returns results per write ({ write, error } for writes the cloud rejected)
+   */
+  async _sendWritesIndividually(deviceId, writes) {
+    const results = [];
+    let lastError = null;
+    for (const w of writes) {
+      try {
+        if (w.key === "setpoint") {
+          const r = await this.sendSetpoint(deviceId, w.value, {
+            includeManualModeFast: w.includeManualModeFast
+          });
+          results.push({ write: w, ...r });
+        } else if (w.key === "child_lock") {
+          try {
+            await this.sendOne(deviceId, "child_lock", w.value);
+          } catch {
+            await this.sendOne(deviceId, "child_lock", !!w.value);
+          }
+          results.push({ write: w });
+        } else {
+          await this.sendOne(deviceId, w.code, w.value);
+          results.push({ write: w });
+        }
+      } catch (e) {
+        lastError = e;
+        results.push({ write: w, error: e });
+        this.log.warn(`${w.code} write failed for ${deviceId}: ${e.message}`);
+      }
     }
-    if (code === "switch_state") {
-      return "indicator";
+    if (results.every(r => r.error) && lastError) {
+      throw lastError;
     }
+    return results;
+  }
 
-    // Messwerte Zigbee
-    if (code === "MeasuredValue" || code === "OccupiedSetpoint") {
-      return "value.temperature";
+  /**
+   * Lokale States nach erfolgreichem Senden setzen + HOLD
+   *
+   * @param deviceId sanitized device id
+   * @param result send result ({ write, sourceSent?, manualFastSent? })
+   * @returns short text for the info log
+   */
+  async _applyLocalWrite(deviceId, result) {
+    const { write } = result;
+    const val = write.localVal;
+
+    if (write.key !== "setpoint") {
+      await this.setStateAsync(`${deviceId}.status.${write.code}`, { val, ack: true });
+      await this.setStateAsync(`${deviceId}.control.${write.code}`, { val, ack: true });
+      this._noteWrite(deviceId, write.code, val);
+      return `${write.code}=${val}`;
     }
 
-    // Bodensensor Widerstand
-    if (code === "ext_measured_rs") {
-      return "value";
+    await this.setStateAsync(`${deviceId}.status.temp_set`, { val, ack: true });
+    await this.setStateAsync(`${deviceId}.control.temp_set`, { val, ack: true });
+    if (result.manualFastSent) {
+      await this.setStateAsync(`${deviceId}.status.manual_mode_fast`, { val, ack: true }).catch(() => {});
+      await this.setStateAsync(`${deviceId}.control.manual_mode_fast`, { val, ack: true }).catch(() => {});
+    }
+    if (result.sourceSent) {
+      await this.setStateAsync(`${deviceId}.status.SetpointChangeSource`, { val: "Externally", ack: true }).catch(
+        () => {}
+      );
+      await this.setStateAsync(`${deviceId}.control.SetpointChangeSource`, { val: "Externally", ack: true }).catch(
+        () => {}
+      );
     }
 
-    // Systemstatus
-    if (code === "system_status_water" || code === "temp_mode") {
-      return "state";
+    this._noteWrite(deviceId, "temp_set", val);
+    if (result.manualFastSent) {
+      this._noteWrite(deviceId, "manual_mode_fast", val);
     }
+    return (
+      `temp_set=${val}${write.code === "manual_mode_fast" ? " (via manual_mode_fast)" : ""}` +
+      `${result.sourceSent ? " with SetpointChangeSource=Externally" : ""}${result.manualFastSent ? " + manual_mode_fast" : ""}`
+    );
+  }
 
-    // Fallback
-    return "state";
+  onUnload(callback) {
+    this._unloading = true;
+    if (this.api) {
+      this.api.stopRetries();
+    }
+    if (this.pollTimer) {
+      this.clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+      this.log.debug("Polling timer cleared.");
+    }
+    this._flushPendingWrites(UNLOAD_FLUSH_MS)
+      .catch(err => this.log.error(`Flushing writes on unload failed: ${err.message}`))
+      .finally(() => this._cleanupOnUnload(callback));
   }
 
-  mapUnit(code) {
-    const units = {
-      temp_current: "°C",
-      temp_set: "°C",
-      manual_mode_fast: "°C",
-      at_home_setting: "°C",
-      leaving_home_setting: "°C",
-      pause_setting: "°C",
-      holiday_setting: "°C",
-      lower_temp: "°C",
-      upper_temp: "°C",
-      MeasuredValue: "°C",
-      OccupiedSetpoint: "°C",
-      humidity_value: "%",
-      battery_percentage: "%",
-      pi_heating_demand: "%"
-    };
-    return units[code] || "";
+  /**
+   * Beim Stoppen noch gesammelte Writes sofort senden statt sie zu verwerfen
+   *
+   * @param timeoutMs upper bound for the pending command requests
+   */
+  async _flushPendingWrites(timeoutMs) {
+    const pending = new Map(); // deviceId -> "code=value"-Liste für die Warnung
+    for (const [deviceId, queue] of [...this._writeQueues]) {
+      this.clearTimeout(queue.timer);
+      pending.set(
+        deviceId,
+        [...queue.entries.values()].map(w => `${w.code}=${dval(w.localVal)}`)
+      );
+      this._flushWrites(deviceId);
+    }
+    if (!this._writeRuns.size) {
+      return;
+    }
+
+    this.log.debug(`Sending pending writes for ${this._writeRuns.size} device(s) before stopping...`);
+    let timer;
+    // natives setTimeout: die Adapter-Timer laufen beim Stoppen evtl. nicht mehr
+    const done = await Promise.race([
+      Promise.allSettled([...this._writeRuns.values()]).then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+      })
+    ]);
+    clearTimeout(timer);
+    if (!done) {
+      for (const deviceId of this._writeRuns.keys()) {
+        const codes = pending.get(deviceId);
+        this.log.warn(
+          `Adapter stopped before the writes for ${deviceId} were confirmed${codes ? `: ${codes.join(", ")}` : ""}`
+        );
+      }
+    }
   }
 
-  onUnload(callback) {
+  /**
+   * Timer und Ressourcen freigeben (nach dem Senden offener Writes)
+   *
+   * @param callback unload callback of the adapter
+   */
+  _cleanupOnUnload(callback) {
     try {
-      if (this.pollInterval) {
-        this.clearInterval(this.pollInterval);
-        this.log.debug("Polling interval cleared.");
+      if (this.api) {
+        this.api.dispose();
       }
 
       if (this.timeoutHandles && this.timeoutHandles.size > 0) {
@@ -1308,6 +4062,36 @@ class DanfossAlly extends utils.Adapter {
         this.log.debug("All pending soft-refresh timers cleared.");
       }
 
+      // Writes, die erst während des Stoppens eingegangen sind
+      for (const [deviceId, queue] of this._writeQueues) {
+        this.clearTimeout(queue.timer);
+        queue.waiters.forEach(w => w.reject(new Error("Adapter stopped")));
+        const codes = [...queue.entries.values()].map(w => `${w.code}=${dval(w.localVal)}`);
+        this.log.warn(`Dropped writes for ${deviceId} while stopping: ${codes.join(", ")}`);
+      }
+      this._writeQueues.clear();
+
+      if (this._holidayTimer) {
+        this.clearInterval(this._holidayTimer);
+        this._holidayTimer = null;
+      }
+      this.clearTimeout(this._boilerTimer);
+      this._boilerTimer = null;
+      this._cancelPresenceSwitch();
+
+      for (const handle of [
+        ...this._boostTimers.values(),
+        ...this._scheduleTimers.values(),
+        ...this._windowTimers.values(),
+        ...[...this._extSensorTimers.values()].map(t => t.handle)
+      ]) {
+        this.clearTimeout(handle);
+      }
+      this._boostTimers.clear();
+      this._scheduleTimers.clear();
+      this._windowTimers.clear();
+      this._extSensorTimers.clear();
+
       if (this.confirmHandles && this.confirmHandles.size > 0) {
         for (const handle of this.confirmHandles.values()) {
           this.clearTimeout(handle);
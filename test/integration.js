@@ -0,0 +1,1331 @@
+"use strict";
+const path = require("node:path");
+const { expect } = require("chai");
+const { tests } = require("@iobroker/testing");
+const MockAllyServer = require("./lib/mockAllyServer");
+const { TRV_ID, ICON2_ID, RELAY_ID } = require("./lib/fixtures");
+
+const NS = "danfoss-ally.0";
+const POLL_SEC = 30; // kleinstes erlaubtes Intervall
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Legacy-Verschlüsselung von js-controller für encryptedNative (XOR mit system.config.native.secret)
+ *
+ * @param key system secret
+ * @param value plain text
+ */
+function encrypt(key, value) {
+  let result = "";
+  for (let i = 0; i < value.length; ++i) {
+    result += String.fromCharCode(key[i % key.length].charCodeAt(0) ^ value.charCodeAt(i));
+  }
+  return result;
+}
+
+/**
+ * Adapter gegen den Mock-Server konfigurieren und starten
+ *
+ * @param harness test harness
+ * @param server running mock server
+ * @param extraNative additional native config (hidden timing overrides)
+ */
+async function startAgainstMock(harness, server, extraNative = {}) {
+  const systemConfig = await harness.objects.getObjectAsync("system.config");
+  const secret = systemConfig?.native?.secret || "Zgfr56gFe87jJOM";
+  await harness.changeAdapterConfig("danfoss-ally", {
+    native: {
+      apiKey: encrypt(secret, server.clientId),
+      apiSecret: encrypt(secret, server.clientSecret),
+      tokenUrl: server.tokenUrl,
+      apiBaseUrl: server.apiBaseUrl,
+      pollingInterval: POLL_SEC,
+      requestsPerMinute: 600,
+      ...extraNative
+    }
+  });
+  await harness.startAdapterAndWait(true);
+}
+
+/**
+ * Warten, bis ein State den erwarteten Wert hat
+ *
+ * @param harness test harness
+ * @param id state id relative to the instance
+ * @param expected expected value
+ * @param timeoutMs give up after this time
+ */
+async function waitForState(harness, id, expected, timeoutMs = 10000) {
+  const until = Date.now() + timeoutMs;
+  let state;
+  while (Date.now() < until) {
+    state = await harness.states.getStateAsync(`${NS}.${id}`);
+    if (state && state.val === expected) {
+      return state;
+    }
+    await sleep(200);
+  }
+  throw new Error(`${id} expected ${expected}, got ${state?.val}`);
+}
+
+/**
+ * Control-State schreiben wie ein Skript (ack=false)
+ *
+ * @param harness test harness
+ * @param id state id relative to the instance
+ * @param val value
+ */
+function writeControl(harness, id, val) {
+  return harness.states.setStateAsync(`${NS}.${id}`, { val, ack: false });
+}
+
+/**
+ * sendTo an die Instanz und auf die Antwort warten
+ *
+ * @param harness test harness (enableSendTo() vorher aufrufen)
+ * @param command sendTo command
+ * @param message message payload
+ */
+function sendToAdapter(harness, command, message) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No response to ${command}`)), 15000);
+    harness.sendTo(NS, command, message, response => {
+      clearTimeout(timer);
+      resolve(response);
+    });
+  });
+}
+
+tests.integration(path.join(__dirname, ".."), {
+  defineAdditionalTests({ suite }) {
+    let server;
+
+    before(async () => {
+      server = await new MockAllyServer().start();
+    });
+
+    after(async () => {
+      await server.stop();
+    });
+
+    suite("Polling", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server);
+      });
+
+      it("creates scaled status states for TRV, Icon2 and Boiler Relay", async () => {
+        const tempCurrent = await harness.states.getStateAsync(`${NS}.${TRV_ID}.status.temp_current`);
+        expect(tempCurrent).to.include({ val: 21.5, ack: true });
+
+        const humidity = await harness.states.getStateAsync(`${NS}.${ICON2_ID}.status.humidity_value`);
+        expect(humidity.val).to.equal(45.5);
+        const occupied = await harness.states.getStateAsync(`${NS}.${ICON2_ID}.status.OccupiedSetpoint`);
+        expect(occupied.val).to.equal(22);
+
+        // Relay hat in der Liste keinen Status → Einzelstatus-Endpoint
+        const relaySwitch = await harness.states.getStateAsync(`${NS}.${RELAY_ID}.status.switch`);
+        expect(relaySwitch.val).to.equal(false);
+        expect(server.countRequests("GET", `/devices/${RELAY_ID}/status`)).to.be.at.least(1);
+      });
+
+      it("creates control states only for writeable codes", async () => {
+        const control = await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.control.temp_set`);
+        expect(control.common).to.include({ type: "number", unit: "°C", write: true });
+        const status = await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.status.temp_current`);
+        expect(status.common.write).to.equal(false);
+        expect(await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.control.temp_current`)).to.equal(null);
+      });
+
+      it("adds enum states and the reported setpoint limits", async function () {
+        this.timeout(2 * POLL_SEC * 1000);
+        const mode = await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.control.mode`);
+        expect(mode.common.states).to.include.keys("manual", "at_home", "leaving_home", "pause", "holiday");
+        const tempSet = await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.control.temp_set`);
+        expect(tempSet.common).to.include({ min: 5, max: 28, step: 0.5 });
+
+        // Gerät meldet neue Grenzen → Objekt folgt beim nächsten Poll
+        server.setStatus(TRV_ID, "upper_temp", 300);
+        await waitForState(harness, `${TRV_ID}.status.upper_temp`, 30, (POLL_SEC + 5) * 1000);
+        const updated = await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.control.temp_set`);
+        expect(updated.common.max).to.equal(30);
+      });
+
+      it("reports the connection and picks up cloud changes on the next poll", async function () {
+        this.timeout(2 * POLL_SEC * 1000);
+        const connection = await harness.states.getStateAsync(`${NS}.info.connection`);
+        expect(connection.val).to.equal(true);
+        expect((await harness.states.getStateAsync(`${NS}.info.lastSuccessfulPoll`)).val).to.be.a("number");
+
+        server.setStatus(TRV_ID, "temp_current", 199);
+        await waitForState(harness, `${TRV_ID}.status.temp_current`, 19.9, (POLL_SEC + 5) * 1000);
+      });
+
+      it("writes the device info channel and tracks offline devices", async function () {
+        this.timeout(2 * POLL_SEC * 1000);
+        const info = async (id, key) => (await harness.states.getStateAsync(`${NS}.${id}.info.${key}`))?.val;
+        expect(await info(TRV_ID, "online")).to.equal(true);
+        expect(await info(TRV_ID, "deviceType")).to.equal("Danfoss Ally Radiator Thermostat");
+        expect(await info(TRV_ID, "timeZone")).to.equal("Europe/Berlin");
+        expect(await info(TRV_ID, "model")).to.equal("014G2460");
+        expect(await info(TRV_ID, "firmware")).to.equal("01.08.0008");
+        expect(await info(TRV_ID, "lastUpdate")).to.equal(1760000000000);
+        expect(await info(TRV_ID, "offlineSince")).to.equal(null);
+        expect(await info(ICON2_ID, "deviceType")).to.equal("unknown");
+        expect(await info(ICON2_ID, "inferredType")).to.equal("Danfoss Icon2");
+        expect(await harness.objects.getObjectAsync(`${NS}.${ICON2_ID}.info.model`)).to.equal(null);
+
+        const lastSeen = await info(TRV_ID, "lastSeen");
+        expect(lastSeen).to.be.a("number");
+        server.devices.get(TRV_ID).online = false;
+        try {
+          await waitForState(harness, `${TRV_ID}.info.online`, false, (POLL_SEC + 5) * 1000);
+          expect(await info(TRV_ID, "offlineSince")).to.be.above(lastSeen);
+          expect(await info(TRV_ID, "lastSeen")).to.equal(lastSeen);
+        } finally {
+          server.devices.get(TRV_ID).online = true;
+        }
+      });
+
+      it("marks the connection as failed while the cloud returns errors and recovers", async function () {
+        this.timeout(4 * POLL_SEC * 1000);
+        // 1 + 3 Retries des Schedulers → der Poll schlägt fehl
+        server.failNext({ method: "GET", path: /^\/devices$/, status: 500, times: 4 });
+        await waitForState(harness, "info.connection", false, (POLL_SEC + 15) * 1000);
+        expect((await harness.states.getStateAsync(`${NS}.info.consecutiveFailures`)).val).to.equal(1);
+        expect((await harness.states.getStateAsync(`${NS}.info.lastError`)).val).to.match(/HTTP 500/);
+
+        await waitForState(harness, "info.connection", true, (POLL_SEC + 15) * 1000);
+        expect((await harness.states.getStateAsync(`${NS}.info.consecutiveFailures`)).val).to.equal(0);
+      });
+    });
+
+    suite("Control writes", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server);
+      });
+
+      it("sends temp_set, SetpointChangeSource and manual_mode_fast as one command", async () => {
+        const cmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 22.5);
+
+        expect((await cmd).commands).to.deep.equal([
+          { code: "SetpointChangeSource", value: "Externally" },
+          { code: "temp_set", value: 225 },
+          { code: "manual_mode_fast", value: 225 }
+        ]);
+        await waitForState(harness, `${TRV_ID}.status.temp_set`, 22.5);
+        await waitForState(harness, `${TRV_ID}.status.SetpointChangeSource`, "Externally");
+      });
+
+      it("coalesces back-to-back writes into one command with mode before the setpoint", async () => {
+        const before = server.commands.length;
+        const cmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 20);
+        await writeControl(harness, `${TRV_ID}.control.mode`, "manual");
+
+        expect((await cmd).commands.map(c => c.code)).to.deep.equal([
+          "mode",
+          "SetpointChangeSource",
+          "temp_set",
+          "manual_mode_fast"
+        ]);
+        await waitForState(harness, `${TRV_ID}.status.mode`, "manual");
+        await waitForState(harness, `${TRV_ID}.status.temp_set`, 20);
+        await sleep(1000);
+        expect(server.commands.length).to.equal(before + 1);
+      });
+
+      it("acks the source the cloud received when a setpoint replaces a SetpointChangeSource write", async () => {
+        const cmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await writeControl(harness, `${TRV_ID}.control.SetpointChangeSource`, "schedule");
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 21);
+
+        expect((await cmd).commands.filter(c => c.code === "SetpointChangeSource")).to.deep.equal([
+          { code: "SetpointChangeSource", value: "Externally" }
+        ]);
+        await waitForState(harness, `${TRV_ID}.status.temp_set`, 21);
+        await sleep(500);
+        for (const channel of ["control", "status"]) {
+          const state = await harness.states.getStateAsync(`${NS}.${TRV_ID}.${channel}.SetpointChangeSource`);
+          expect(state).to.include({ val: "Externally", ack: true });
+        }
+      });
+
+      it("falls back to single commands when the cloud rejects the batch", async () => {
+        server.failNext({ method: "POST", path: `/devices/${TRV_ID}/commands`, status: 400 });
+        const single = server.waitForCommand(c => c.deviceId === TRV_ID && c.commands[0].code === "pause_setting");
+        await writeControl(harness, `${TRV_ID}.control.mode`, "pause");
+        await writeControl(harness, `${TRV_ID}.control.pause_setting`, 7);
+
+        expect((await single).commands).to.deep.equal([{ code: "pause_setting", value: 70 }]);
+        await waitForState(harness, `${TRV_ID}.status.mode`, "pause");
+        await waitForState(harness, `${TRV_ID}.status.pause_setting`, 7);
+      });
+
+      it("clamps setpoints to the reported device limits", async () => {
+        const cmd = server.waitForCommand(c => c.deviceId === TRV_ID && c.commands.some(x => x.code === "temp_set"));
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 35);
+        const sent = (await cmd).commands.find(x => x.code === "temp_set");
+        expect(sent.value).to.equal(280);
+        // HOLD und control.* halten den tatsächlich gesendeten Wert
+        await waitForState(harness, `${TRV_ID}.control.temp_set`, 28);
+      });
+
+      it("rounds setpoints to the 0.5 °C grid", async () => {
+        const cmd = server.waitForCommand(c => c.deviceId === TRV_ID && c.commands.some(x => x.code === "temp_set"));
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 21.37);
+        expect((await cmd).commands.find(x => x.code === "temp_set").value).to.equal(215);
+      });
+
+      it("sends mode, child_lock and switch writes", async () => {
+        let cmd = server.waitForCommand(c => c.commands[0].code === "mode");
+        await writeControl(harness, `${TRV_ID}.control.mode`, "at_home");
+        expect((await cmd).commands[0].value).to.equal("at_home");
+        await waitForState(harness, `${TRV_ID}.status.mode`, "at_home");
+
+        cmd = server.waitForCommand(c => c.commands[0].code === "child_lock");
+        await writeControl(harness, `${TRV_ID}.control.child_lock`, true);
+        expect((await cmd).commands[0].value).to.equal(1);
+        await waitForState(harness, `${TRV_ID}.status.child_lock`, true);
+
+        cmd = server.waitForCommand(c => c.deviceId === ICON2_ID && c.commands[0].code === "switch");
+        await writeControl(harness, `${ICON2_ID}.control.switch`, false);
+        expect((await cmd).commands[0].value).to.equal(false);
+        expect(server.getStatus(ICON2_ID, "switch")).to.equal(false);
+      });
+
+      it("sends preset temperatures scaled ×10", async () => {
+        const cmd = server.waitForCommand(c => c.commands[0].code === "leaving_home_setting");
+        await writeControl(harness, `${TRV_ID}.control.leaving_home_setting`, 16.5);
+        expect((await cmd).commands[0].value).to.equal(165);
+      });
+
+      it("sends writes still in the coalescing window when the adapter stops", async () => {
+        const cmd = server.waitForCommand(c => c.commands[0].code === "at_home_setting");
+        await writeControl(harness, `${TRV_ID}.control.at_home_setting`, 20.5);
+        await sleep(50);
+        await harness.stopAdapter();
+        expect((await cmd).commands[0].value).to.equal(205);
+      });
+    });
+
+    suite("Setpoint validation with the reject policy", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server, { setpointPolicy: "reject" });
+      });
+
+      it("rejects out of range setpoints and reports the reason on the control state", async () => {
+        const before = server.commands.length;
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 35);
+        const state = await waitForState(harness, `${TRV_ID}.control.temp_set`, 21);
+        expect(state.ack).to.equal(true);
+        expect(state.c).to.match(/Rejected 35: .*maximum of 28/);
+
+        await writeControl(harness, `${TRV_ID}.control.at_home_setting`, 20.3);
+        expect((await waitForState(harness, `${TRV_ID}.control.at_home_setting`, 21)).c).to.match(/resolution/);
+        await sleep(1000);
+        expect(server.commands.length).to.equal(before);
+      });
+    });
+
+    suite("sendTo API", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server);
+        await harness.enableSendTo();
+      });
+
+      it("lists devices and reads a device status", async () => {
+        const list = await sendToAdapter(harness, "getDevices", {});
+        expect(list.success).to.equal(true);
+        expect(list.devices.map(d => d.id)).to.have.members([TRV_ID, ICON2_ID, RELAY_ID]);
+        expect(list.devices.find(d => d.id === TRV_ID)).to.include({ profile: "allyTrv", online: true });
+
+        const status = await sendToAdapter(harness, "getDeviceStatus", { deviceId: TRV_ID });
+        expect(status.success).to.equal(true);
+        expect(status.status).to.include({ temp_current: 21.5, mode: "manual" });
+      });
+
+      it("awaits setpoint and mode writes until the cloud accepted them", async () => {
+        const set = await sendToAdapter(harness, "setSetpoint", { deviceId: TRV_ID, value: 21.37 });
+        expect(set).to.include({ success: true, value: 21.5 });
+        expect(set.commands).to.deep.include({ code: "temp_set", value: 215 });
+        expect(server.getStatus(TRV_ID, "temp_set")).to.equal(215);
+
+        const mode = await sendToAdapter(harness, "setMode", { deviceId: TRV_ID, mode: "at_home" });
+        expect(mode.success).to.equal(true);
+        expect(server.getStatus(TRV_ID, "mode")).to.equal("at_home");
+      });
+
+      it("reports the own result of each write in a shared command", async () => {
+        // Batch und alle Sollwert-Varianten scheitern, der einzeln gesendete mode kommt durch
+        const path = `/devices/${TRV_ID}/commands`;
+        server.failNext({ method: "POST", path, code: "temp_set", status: 400, times: 3 });
+        server.failNext({ method: "POST", path, code: "manual_mode_fast", status: 400 });
+        const set = sendToAdapter(harness, "setSetpoint", { deviceId: TRV_ID, value: 19 });
+        await writeControl(harness, `${TRV_ID}.control.mode`, "pause");
+        expect(await set).to.include({ success: false, code: "temp_set" });
+        expect((await set).error).to.match(/HTTP 400/);
+        await waitForState(harness, `${TRV_ID}.status.mode`, "pause");
+
+        const older = sendToAdapter(harness, "setSetpoint", { deviceId: TRV_ID, value: 20 });
+        await sleep(50);
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 20.5);
+        expect(await older).to.include({ success: false, superseded: true });
+        await waitForState(harness, `${TRV_ID}.status.temp_set`, 20.5);
+      });
+
+      it("sends raw commands unchanged", async () => {
+        const res = await sendToAdapter(harness, "sendRawCommands", {
+          deviceId: ICON2_ID,
+          commands: [{ code: "switch", value: false }]
+        });
+        expect(res.success).to.equal(true);
+        expect(server.getStatus(ICON2_ID, "switch")).to.equal(false);
+      });
+
+      it("reports errors as structured results", async () => {
+        expect(await sendToAdapter(harness, "setSetpoint", { deviceId: "nope", value: 21 })).to.deep.equal({
+          success: false,
+          error: "Unknown device: nope"
+        });
+        expect((await sendToAdapter(harness, "setSetpoint", { deviceId: TRV_ID, value: "abc" })).error).to.match(
+          /not a number/
+        );
+        server.failNext({ method: "POST", path: `/devices/${TRV_ID}/commands`, status: 400 });
+        const failed = await sendToAdapter(harness, "sendRawCommands", {
+          deviceId: TRV_ID,
+          commands: [{ code: "child_lock", value: 1 }]
+        });
+        expect(failed.success).to.equal(false);
+        expect(failed.error).to.match(/HTTP 400/);
+        expect((await sendToAdapter(harness, "setMode", { deviceId: TRV_ID, mode: "party" })).error).to.match(
+          /^Invalid mode: party/
+        );
+        expect((await sendToAdapter(harness, "foo", {})).error).to.equal("Unknown command: foo");
+      });
+
+      it("tests entered credentials and previews discovered devices", async () => {
+        const creds = {
+          apiKey: server.clientId,
+          apiSecret: server.clientSecret,
+          tokenUrl: server.tokenUrl,
+          apiBaseUrl: server.apiBaseUrl,
+          scope: ""
+        };
+        const ok = await sendToAdapter(harness, "testConnection", creds);
+        expect(ok.success).to.equal(true);
+        expect(ok.native._connectionResult).to.match(/^Token OK .*3 device\(s\) found$/);
+        expect(ok.native._discoveredDevices.find(d => d.id === ICON2_ID)).to.include({
+          type: "Danfoss Icon2",
+          profile: "icon2"
+        });
+
+        const wrong = await sendToAdapter(harness, "testConnection", { ...creds, apiSecret: "wrong" });
+        expect(wrong.success).to.equal(false);
+        expect(wrong.error).to.match(/^Token failed: Token request failed: 401/);
+        expect(wrong.native._discoveredDevices).to.deep.equal([]);
+      });
+
+      it("refreshes a single device or runs a full poll", async () => {
+        server.setStatus(TRV_ID, "temp_current", 188);
+        expect((await sendToAdapter(harness, "refresh", { deviceId: TRV_ID })).success).to.equal(true);
+        await waitForState(harness, `${TRV_ID}.status.temp_current`, 18.8, 2000);
+
+        // Status, Gerät und Geräteliste (Fallbacks von getDeviceStatus) nicht erreichbar
+        server.failNext({ method: "GET", path: "/devices", status: 404, times: 3 });
+        const failed = await sendToAdapter(harness, "refresh", { deviceId: TRV_ID });
+        expect(failed.success).to.equal(false);
+        expect(failed.error).to.match(/HTTP 404/);
+
+        server.setStatus(ICON2_ID, "temp_current", 199);
+        expect(await sendToAdapter(harness, "refresh", {})).to.deep.equal({ success: true });
+        await waitForState(harness, `${ICON2_ID}.status.temp_current`, 19.9, 2000);
+      });
+    });
+
+    suite("Device settings", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await harness.objects.setObjectAsync("enum.rooms.bathroom", {
+          type: "enum",
+          common: { name: "Bathroom", members: [] },
+          native: {}
+        });
+        await harness.objects.setObjectAsync("enum.rooms.kitchen", {
+          type: "enum",
+          common: { name: "Kitchen", members: [`${NS}.${TRV_ID}`] },
+          native: {}
+        });
+        await harness.objects.setObjectAsync("enum.functions.heating", {
+          type: "enum",
+          common: { name: "Heating", members: [`${NS}.${TRV_ID}`] },
+          native: {}
+        });
+        // aus einem früheren Lauf: Funktion vom Adapter zugeordnet, in den Einstellungen inzwischen geleert
+        await harness.states.setStateAsync(`${NS}.info.assignedEnums`, {
+          val: JSON.stringify({ [TRV_ID]: { functions: "enum.functions.heating" } }),
+          ack: true
+        });
+        await startAgainstMock(harness, server, {
+          devices: [
+            { id: TRV_ID, enabled: true, name: "Bad Heizkörper", room: "enum.rooms.bathroom", func: "" },
+            { id: RELAY_ID, enabled: false, name: "", room: "", func: "" }
+          ]
+        });
+        await harness.enableSendTo();
+      });
+
+      it("skips excluded devices and keeps the own name", async function () {
+        this.timeout(2 * POLL_SEC * 1000);
+        expect(await harness.objects.getObjectAsync(`${NS}.${RELAY_ID}`)).to.equal(null);
+        expect(server.countRequests("GET", `/devices/${RELAY_ID}/status`)).to.equal(0);
+        expect((await harness.objects.getObjectAsync(`${NS}.${TRV_ID}`)).common.name).to.equal("Bad Heizkörper");
+
+        // Name-Sync beim nächsten Poll überschreibt den eigenen Namen nicht
+        const since = Date.now();
+        await server.waitForRequest(r => r.path === "/devices" && r.at >= since, (POLL_SEC + 5) * 1000);
+        await sleep(500);
+        expect((await harness.objects.getObjectAsync(`${NS}.${TRV_ID}`)).common.name).to.equal("Bad Heizkörper");
+      });
+
+      it("adds the device to the configured room and keeps the manual one", async () => {
+        expect((await harness.objects.getObjectAsync("enum.rooms.bathroom")).common.members).to.include(
+          `${NS}.${TRV_ID}`
+        );
+        expect((await harness.objects.getObjectAsync("enum.rooms.kitchen")).common.members).to.include(
+          `${NS}.${TRV_ID}`
+        );
+      });
+
+      it("removes its own assignment when the function is cleared", async () => {
+        expect((await harness.objects.getObjectAsync("enum.functions.heating")).common.members).to.not.include(
+          `${NS}.${TRV_ID}`
+        );
+        await waitForState(
+          harness,
+          "info.assignedEnums",
+          JSON.stringify({ [TRV_ID]: { rooms: "enum.rooms.bathroom" } })
+        );
+      });
+
+      it("rejects writes to excluded devices", async () => {
+        const res = await sendToAdapter(harness, "setMode", { deviceId: RELAY_ID, mode: "manual" });
+        expect(res).to.deep.equal({ success: false, error: `Device is excluded in the settings: ${RELAY_ID}` });
+      });
+
+      it("merges discovered devices into the table", async () => {
+        const res = await sendToAdapter(harness, "discoverDevices", {
+          apiKey: server.clientId,
+          apiSecret: server.clientSecret,
+          tokenUrl: server.tokenUrl,
+          apiBaseUrl: server.apiBaseUrl,
+          devices: [{ id: RELAY_ID, enabled: false, name: "Kessel", room: "", func: "" }]
+        });
+        expect(res.success).to.equal(true);
+        expect(res.native.devices.map(d => d.id)).to.deep.equal([TRV_ID, ICON2_ID, RELAY_ID]);
+        expect(res.native.devices[2]).to.include({ enabled: false, name: "Kessel" });
+        expect(res.native.devices[0]).to.include({ enabled: true, name: "", cloudName: "Bathroom" });
+      });
+    });
+
+    suite("Stale cleanup", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        // Karenzzeit ~7 s, damit der nächste Poll aufräumt
+        await startAgainstMock(harness, server, { staleGraceHours: 0.002, staleDelete: true });
+      });
+
+      it("removes devices and states the cloud stopped reporting", async function () {
+        this.timeout(3 * POLL_SEC * 1000);
+        expect(await harness.objects.getObjectAsync(`${NS}.${ICON2_ID}`)).to.not.equal(null);
+        server.devices.delete(ICON2_ID);
+        delete server.devices.get(TRV_ID).status.child_lock;
+
+        let cleanup;
+        const until = Date.now() + 2 * POLL_SEC * 1000;
+        while (!cleanup?.val && Date.now() < until) {
+          await sleep(500);
+          cleanup = await harness.states.getStateAsync(`${NS}.info.lastCleanup`);
+        }
+        expect(JSON.parse(cleanup.val)).to.deep.include({
+          devices: [ICON2_ID],
+          states: [`${TRV_ID}.status.child_lock`]
+        });
+
+        expect(await harness.objects.getObjectAsync(`${NS}.${ICON2_ID}`)).to.equal(null);
+        expect(await harness.objects.getObjectAsync(`${NS}.${ICON2_ID}.status.temp_current`)).to.equal(null);
+        expect(await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.status.child_lock`)).to.equal(null);
+        expect(await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.control.child_lock`)).to.equal(null);
+        expect(await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.status.temp_set`)).to.not.equal(null);
+        expect((await harness.states.getStateAsync(`${NS}.info.staleObjects`)).val).to.equal("[]");
+      });
+    });
+
+    suite("Boost", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server);
+      });
+
+      it("boosts the setpoint and restores it when the timer expires", async function () {
+        this.timeout(120000);
+        const tempObj = await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.control.boostTemperature`);
+        expect(tempObj.common).to.include({ unit: "°C", max: 28 });
+        expect(await harness.objects.getObjectAsync(`${NS}.${RELAY_ID}.control.boost`)).to.equal(null);
+
+        await writeControl(harness, `${TRV_ID}.control.boostTemperature`, 24);
+        await waitForState(harness, `${TRV_ID}.control.boostTemperature`, 24);
+        const boostCmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await writeControl(harness, `${TRV_ID}.control.boost`, 1);
+        // TRV steht bereits auf manual → nur der Sollwert
+        expect((await boostCmd).commands).to.deep.include({ code: "temp_set", value: 240 });
+        await waitForState(harness, `${TRV_ID}.status.boostRemaining`, 1);
+        expect(JSON.parse((await harness.states.getStateAsync(`${NS}.info.activeBoosts`)).val)).to.have.key(TRV_ID);
+
+        const restoreCmd = await server.waitForCommand(c => c.deviceId === TRV_ID, 75000);
+        expect(restoreCmd.commands).to.deep.include.members([
+          { code: "mode", value: "manual" },
+          { code: "temp_set", value: 210 }
+        ]);
+        await waitForState(harness, `${TRV_ID}.status.boostRemaining`, 0);
+        expect((await harness.states.getStateAsync(`${NS}.${TRV_ID}.control.boost`)).val).to.equal(0);
+      });
+    });
+
+    suite("Boost after a restart", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+      });
+
+      it("restores a boost that expired while the adapter was stopped", async function () {
+        this.timeout(90000);
+        // Zustand wie nach einem Neustart mitten im Boost
+        const boosts = {
+          [ICON2_ID]: { until: Date.now() - 1000, temperature: 25, previous: { mode: "at_home", temp_set: 22 } }
+        };
+        await harness.states.setStateAsync(`${NS}.info.activeBoosts`, { val: JSON.stringify(boosts), ack: true });
+        server.setStatus(ICON2_ID, "mode", "manual");
+
+        const restoreCmd = server.waitForCommand(c => c.deviceId === ICON2_ID, 60000);
+        await startAgainstMock(harness, server);
+        expect((await restoreCmd).commands).to.deep.equal([{ code: "mode", value: "at_home" }]);
+        await waitForState(harness, "info.activeBoosts", "{}");
+        expect((await harness.states.getStateAsync(`${NS}.${ICON2_ID}.status.boostRemaining`)).val).to.equal(0);
+      });
+    });
+
+    suite("Holiday planner", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server);
+      });
+
+      it("switches a device into holiday mode and back", async function () {
+        this.timeout(120000);
+        expect((await harness.states.getStateAsync(`${NS}.${TRV_ID}.holiday.state`)).val).to.equal("none");
+        await writeControl(harness, `${TRV_ID}.holiday.temperature`, 12);
+        await writeControl(harness, `${TRV_ID}.holiday.end`, Date.now() + 20000);
+        await waitForState(harness, `${TRV_ID}.holiday.state`, "none");
+
+        const startCmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await writeControl(harness, `${TRV_ID}.holiday.start`, Date.now() - 1000);
+        expect((await startCmd).commands).to.deep.equal([
+          { code: "mode", value: "holiday" },
+          { code: "holiday_setting", value: 120 }
+        ]);
+        await waitForState(harness, `${TRV_ID}.holiday.state`, "active");
+        expect((await harness.states.getStateAsync(`${NS}.${TRV_ID}.holiday.start`)).val).to.match(/^\d{4}-\d\d-\d\dT/);
+
+        // Ende wird beim nächsten Tick (spätestens nach einer Minute) erkannt
+        const endCmd = await server.waitForCommand(c => c.deviceId === TRV_ID, 75000);
+        expect(endCmd.commands).to.deep.equal([{ code: "mode", value: "at_home" }]);
+        await waitForState(harness, `${TRV_ID}.holiday.state`, "finished");
+      });
+
+      it("applies the instance plan to devices without an own plan and cancels it", async () => {
+        await writeControl(harness, "holiday.returnMode", "auto");
+        await writeControl(harness, "holiday.end", Date.now() + 3600 * 1000);
+        const startCmd = server.waitForCommand(c => c.deviceId === ICON2_ID);
+        await writeControl(harness, "holiday.start", Date.now() - 1000);
+        expect((await startCmd).commands).to.deep.equal([{ code: "mode", value: "holiday" }]);
+        await waitForState(harness, "holiday.state", "active");
+        // TRV hat einen eigenen (beendeten) Plan
+        expect(server.getStatus(TRV_ID, "mode")).to.equal("at_home");
+
+        const endCmd = server.waitForCommand(c => c.deviceId === ICON2_ID);
+        await writeControl(harness, "holiday.cancel", true);
+        expect((await endCmd).commands).to.deep.equal([{ code: "mode", value: "auto" }]);
+        await waitForState(harness, "holiday.state", "none");
+      });
+
+      it("retries only the devices whose holiday writes did not all get through", async function () {
+        this.timeout(120000);
+        await writeControl(harness, `${TRV_ID}.holiday.cancel`, true);
+        await waitForState(harness, `${TRV_ID}.holiday.state`, "none");
+        await writeControl(harness, "holiday.temperature", 12);
+        await writeControl(harness, "holiday.end", Date.now() + 3600 * 1000);
+        // TRV: Batch und der einzeln gesendete mode scheitern, holiday_setting kommt durch
+        server.failNext({ method: "POST", path: `/devices/${TRV_ID}/commands`, code: "mode", status: 400, times: 2 });
+        const iconCmd = server.waitForCommand(c => c.deviceId === ICON2_ID);
+        await writeControl(harness, "holiday.start", Date.now() - 1000);
+        await iconCmd;
+        await sleep(1000);
+        expect(server.getStatus(TRV_ID, "holiday_setting")).to.equal(120);
+        expect(server.getStatus(TRV_ID, "mode")).to.not.equal("holiday");
+        expect((await harness.states.getStateAsync(`${NS}.holiday.state`)).val).to.not.equal("active");
+
+        const iconCommands = server.commands.filter(c => c.deviceId === ICON2_ID).length;
+        const retry = await server.waitForCommand(c => c.deviceId === TRV_ID, 75000);
+        expect(retry.commands).to.deep.include({ code: "mode", value: "holiday" });
+        await waitForState(harness, "holiday.state", "active");
+        expect(server.commands.filter(c => c.deviceId === ICON2_ID).length).to.equal(iconCommands);
+      });
+
+      it("rejects invalid plan values", async () => {
+        await writeControl(harness, "holiday.start", "next friday");
+        const start = await waitForState(harness, "holiday.start", "");
+        expect(start.c).to.match(/not a date/);
+        await writeControl(harness, `${TRV_ID}.holiday.temperature`, 40);
+        // clamp-Policy: auf upper_temp begrenzt
+        await waitForState(harness, `${TRV_ID}.holiday.temperature`, 28);
+      });
+    });
+
+    suite("Weekly schedule", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server);
+        await harness.enableSendTo();
+      });
+
+      it("applies the current slot and shows the next switching time", async () => {
+        const cmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        const res = await sendToAdapter(harness, "setSchedule", {
+          deviceId: TRV_ID,
+          schedule: { days: { daily: [{ time: "00:00", temp: 19.5 }] } }
+        });
+        expect(res.success).to.equal(true);
+        expect((await cmd).commands).to.deep.include({ code: "temp_set", value: 195 });
+
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        expect(res).to.include({ paused: false, nextSwitch: midnight.getTime(), nextTarget: 19.5 });
+        const read = await sendToAdapter(harness, "getSchedule", { deviceId: TRV_ID });
+        expect(read.schedule).to.deep.equal({ days: { daily: [{ time: "00:00", temp: 19.5 }] } });
+
+        const noTemp = await sendToAdapter(harness, "setSchedule", { deviceId: RELAY_ID, schedule: {} });
+        expect(noTemp).to.include({ success: false });
+      });
+
+      it("clears the next switching time while paused", async () => {
+        await writeControl(harness, `${TRV_ID}.schedule.paused`, true);
+        await waitForState(harness, `${TRV_ID}.schedule.nextSwitch`, null);
+        await writeControl(harness, `${TRV_ID}.schedule.paused`, false);
+        await waitForState(harness, `${TRV_ID}.schedule.nextTarget`, 19.5);
+      });
+
+      it("rejects invalid schedules and keeps the previous one", async () => {
+        const previous = (await harness.states.getStateAsync(`${NS}.${TRV_ID}.schedule.json`)).val;
+        await writeControl(harness, `${TRV_ID}.schedule.json`, '{"days":{"monday":[]}}');
+        const state = await waitForState(harness, `${TRV_ID}.schedule.json`, previous);
+        expect(state.c).to.match(/^Rejected: unknown day "monday"/);
+      });
+    });
+
+    suite("Rooms / groups", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server, {
+          groups: [{ name: "Living", devices: `${TRV_ID}, ${ICON2_ID}, ${RELAY_ID}` }]
+        });
+      });
+
+      it("aggregates the status of the members", async () => {
+        await waitForState(harness, "groups.Living.status.temp_current_mean", 22);
+        const read = async key => (await harness.states.getStateAsync(`${NS}.groups.Living.status.${key}`)).val;
+        expect(await read("temp_current_min")).to.equal(21.5);
+        expect(await read("temp_current_max")).to.equal(22.5);
+        expect(await read("pi_heating_demand_max")).to.equal(35);
+        expect(await read("windowOpen")).to.equal(false);
+        expect(await read("battery_min")).to.equal(80);
+      });
+
+      it("fans a setpoint out to all members with temp_set", async () => {
+        const trvCmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        const iconCmd = server.waitForCommand(c => c.deviceId === ICON2_ID);
+        await writeControl(harness, "groups.Living.control.temp_set", 20);
+        expect((await trvCmd).commands).to.deep.include({ code: "temp_set", value: 200 });
+        expect((await iconCmd).commands).to.deep.include({ code: "temp_set", value: 200 });
+        await waitForState(harness, `${ICON2_ID}.control.temp_set`, 20);
+        await sleep(500);
+        const ack = await harness.states.getStateAsync(`${NS}.groups.Living.control.temp_set`);
+        expect(ack).to.include({ val: 20, ack: true, c: "Sent to 2/3 members" });
+      });
+
+      it("does not count a member whose setpoint failed while its other codes got through", async () => {
+        const path = `/devices/${TRV_ID}/commands`;
+        server.failNext({ method: "POST", path, code: "temp_set", status: 400, times: 3 });
+        server.failNext({ method: "POST", path, code: "manual_mode_fast", status: 400 });
+        await writeControl(harness, `${TRV_ID}.control.mode`, "at_home");
+        await writeControl(harness, "groups.Living.control.temp_set", 19);
+        await waitForState(harness, `${ICON2_ID}.control.temp_set`, 19);
+        await waitForState(harness, `${TRV_ID}.status.mode`, "at_home");
+        await sleep(500);
+        const ack = await harness.states.getStateAsync(`${NS}.groups.Living.control.temp_set`);
+        expect(ack).to.include({ val: 19, ack: true, c: "Sent to 1/3 members" });
+      });
+
+      it("keeps a single poll chain after the group confirmation poll", async function () {
+        this.timeout(5 * 60 * 1000);
+        const since = Date.now();
+        await writeControl(harness, "groups.Living.control.temp_set", 21);
+        // Bestätigungs-Poll nach SETPOINT_CONFIRM_MS (2 min), danach die regulären Polls beobachten
+        const confirmed = since + 2 * 60 * 1000 + 5000;
+        await sleep(confirmed - since + (2 * POLL_SEC + 5) * 1000);
+        const polls = server.requests
+          .filter(r => r.method === "GET" && r.path === "/devices" && r.at >= confirmed)
+          .map(r => r.at);
+        expect(polls.length).to.be.at.least(2);
+        for (let i = 1; i < polls.length; i++) {
+          expect(polls[i] - polls[i - 1]).to.be.at.least((POLL_SEC - 2) * 1000);
+        }
+      });
+    });
+
+    suite("Window contacts", getHarness => {
+      let harness;
+      const CONTACT = "0_userdata.0.bathroomWindow";
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await harness.objects.setObjectAsync(CONTACT, {
+          type: "state",
+          common: { name: "Bathroom window", type: "boolean", role: "sensor.window", read: true, write: true },
+          native: {}
+        });
+        await harness.states.setStateAsync(CONTACT, { val: false, ack: true });
+        await startAgainstMock(harness, server, {
+          windowContacts: [{ target: TRV_ID, contacts: CONTACT }],
+          windowDelaySec: 1
+        });
+      });
+
+      it("pauses the heating while the window is open and restores it afterwards", async function () {
+        this.timeout(30000);
+        const pauseCmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await harness.states.setStateAsync(CONTACT, { val: true, ack: true });
+        await waitForState(harness, `${TRV_ID}.window.open`, true);
+        expect((await pauseCmd).commands).to.deep.equal([{ code: "mode", value: "pause" }]);
+        await waitForState(harness, `${TRV_ID}.window.active`, true);
+        expect((await harness.states.getStateAsync(`${NS}.${TRV_ID}.window.trigger`)).val).to.equal(CONTACT);
+        expect(JSON.parse((await harness.states.getStateAsync(`${NS}.info.activeWindowPauses`)).val)).to.have.key(
+          TRV_ID
+        );
+
+        const restoreCmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await harness.states.setStateAsync(CONTACT, { val: false, ack: true });
+        expect((await restoreCmd).commands).to.deep.include.members([
+          { code: "mode", value: "manual" },
+          { code: "temp_set", value: 210 }
+        ]);
+        await waitForState(harness, `${TRV_ID}.window.active`, false);
+        expect((await harness.states.getStateAsync(`${NS}.${TRV_ID}.window.trigger`)).val).to.equal("");
+      });
+
+      it("keeps a manual write made while the window is open", async function () {
+        this.timeout(30000);
+        const pauseCmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await harness.states.setStateAsync(CONTACT, { val: true, ack: true });
+        await pauseCmd;
+        await waitForState(harness, `${TRV_ID}.window.active`, true);
+
+        const manualCmd = server.waitForCommand(c => c.deviceId === TRV_ID);
+        await writeControl(harness, `${TRV_ID}.control.mode`, "at_home");
+        await manualCmd;
+        await waitForState(harness, `${TRV_ID}.window.active`, false);
+
+        await harness.states.setStateAsync(CONTACT, { val: false, ack: true });
+        await waitForState(harness, `${TRV_ID}.window.open`, false);
+        await sleep(2000);
+        expect(server.getStatus(TRV_ID, "mode")).to.equal("at_home");
+      });
+    });
+
+    suite("External temperature sensors", getHarness => {
+      let harness;
+      const FRESH = "0_userdata.0.bathroomTemperature";
+      const STALE = "0_userdata.0.livingTemperature";
+      let trvSent;
+      let iconSent;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        for (const id of [FRESH, STALE]) {
+          await harness.objects.setObjectAsync(id, {
+            type: "state",
+            common: { name: id, type: "number", role: "value.temperature", unit: "°C", read: true, write: true },
+            native: {}
+          });
+        }
+        await harness.states.setStateAsync(FRESH, { val: 19.84, ack: true });
+        await harness.states.setStateAsync(STALE, { val: 20.5, ack: true, ts: Date.now() - 3 * 3600 * 1000 });
+        trvSent = server.waitForCommand(c => c.deviceId === TRV_ID, 60000);
+        iconSent = server.waitForCommand(c => c.deviceId === ICON2_ID, 60000);
+        await startAgainstMock(harness, server, {
+          externalSensors: [
+            { id: TRV_ID, sensor: FRESH },
+            { id: ICON2_ID, sensor: STALE }
+          ]
+        });
+      });
+
+      it("sends the sensor value and mirrors it", async () => {
+        expect((await trvSent).commands).to.deep.equal([{ code: "ext_measured_rs", value: 1984 }]);
+        await waitForState(harness, `${TRV_ID}.status.externalTemperature`, 19.84);
+      });
+
+      it("falls back to the device sensor when the sensor is stale", async () => {
+        expect((await iconSent).commands).to.deep.equal([{ code: "ext_measured_rs", value: -8000 }]);
+        await waitForState(harness, `${ICON2_ID}.status.externalTemperature`, null);
+      });
+
+      it("reads the reported external sensor value as °C", async function () {
+        this.timeout(2 * POLL_SEC * 1000);
+        await waitForState(harness, `${TRV_ID}.status.ext_measured_rs`, 19.84, (POLL_SEC + 5) * 1000);
+        await waitForState(harness, `${ICON2_ID}.status.ext_measured_rs`, null);
+        const obj = await harness.objects.getObjectAsync(`${NS}.${TRV_ID}.status.ext_measured_rs`);
+        expect(obj.common).to.include({ role: "value.temperature", unit: "°C", write: false });
+      });
+    });
+
+    suite("Boiler relay", getHarness => {
+      let harness;
+      let switchedOn;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        switchedOn = server.waitForCommand(c => c.deviceId === RELAY_ID, 60000);
+        await startAgainstMock(harness, server, { boilerRelayId: RELAY_ID, boilerMinOnMin: 0 });
+      });
+
+      it("switches the relay on when a thermostat demands heat", async function () {
+        this.timeout(60000);
+        expect((await switchedOn).commands).to.deep.equal([{ code: "switch", value: true }]);
+        await waitForState(harness, "boiler.decision", true);
+        await waitForState(harness, "boiler.reason", "demand 35 % ≥ 30 %");
+      });
+
+      it("switches the relay off in manual mode", async function () {
+        this.timeout(30000);
+        const switchedOff = server.waitForCommand(c => c.deviceId === RELAY_ID && c.commands[0]?.value === false);
+        await writeControl(harness, "boiler.mode", "off");
+        expect((await switchedOff).commands).to.deep.equal([{ code: "switch", value: false }]);
+        await waitForState(harness, "boiler.reason", "manual off");
+      });
+    });
+
+    suite("Presence switching", getHarness => {
+      let harness;
+      const PRESENCE = "0_userdata.0.anyoneHome";
+      let leftTrv;
+      let leftIcon;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await harness.objects.setObjectAsync(PRESENCE, {
+          type: "state",
+          common: { name: PRESENCE, type: "boolean", role: "indicator", read: true, write: true },
+          native: {}
+        });
+        await harness.states.setStateAsync(PRESENCE, { val: false, ack: true });
+        const left = deviceId => c => c.deviceId === deviceId && c.commands.some(x => x.value === "leaving_home");
+        leftTrv = server.waitForCommand(left(TRV_ID), 60000);
+        leftIcon = server.waitForCommand(left(ICON2_ID), 60000);
+        await startAgainstMock(harness, server, {
+          presenceStates: [{ state: PRESENCE }],
+          presenceLeaveDelayMin: 0
+        });
+      });
+
+      it("switches all devices with mode to leaving_home when nobody is present", async function () {
+        this.timeout(60000);
+        expect((await leftTrv).commands).to.deep.include({ code: "mode", value: "leaving_home" });
+        expect((await leftIcon).commands).to.deep.include({ code: "mode", value: "leaving_home" });
+        await waitForState(harness, "presence.decision", "leaving_home");
+        await waitForState(harness, "presence.present", false);
+      });
+
+      it("switches back to at_home on arrival", async function () {
+        this.timeout(30000);
+        const arrived = server.waitForCommand(
+          c => c.deviceId === TRV_ID && c.commands.some(x => x.value === "at_home")
+        );
+        await harness.states.setStateAsync(PRESENCE, { val: true, ack: true });
+        expect((await arrived).commands).to.deep.include({ code: "mode", value: "at_home" });
+        await waitForState(harness, "presence.decision", "at_home");
+      });
+    });
+
+    suite("Battery monitoring", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        harness.enableSendTo();
+        await startAgainstMock(harness, server, { batteryLowPercent: 85 });
+      });
+
+      it("flags devices below the low threshold and lists them", async function () {
+        this.timeout(30000);
+        await waitForState(harness, `${TRV_ID}.status.lowBattery`, true, 20000);
+        await waitForState(harness, `${ICON2_ID}.status.lowBattery`, false);
+        const list = JSON.parse((await harness.states.getStateAsync(`${NS}.info.lowBatteryDevices`)).val);
+        expect(list.map(d => [d.id, d.battery, d.level])).to.deep.equal([[TRV_ID, 80, "low"]]);
+      });
+
+      it("raises the level to critical after the next poll", async function () {
+        this.timeout(3 * POLL_SEC * 1000);
+        server.setStatus(TRV_ID, "battery_percentage", 8);
+        // Refresh kann in den noch laufenden Start-Poll fallen → spätestens der nächste Poll
+        expect(await sendToAdapter(harness, "refresh", {})).to.deep.equal({ success: true });
+        await waitForState(harness, `${TRV_ID}.status.criticalBattery`, true, 2 * POLL_SEC * 1000);
+        const list = JSON.parse((await harness.states.getStateAsync(`${NS}.info.lowBatteryDevices`)).val);
+        expect(list[0]).to.include({ id: TRV_ID, battery: 8, level: "critical" });
+      });
+    });
+
+    suite("Local errors after a poll", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        // kaputter Batterieverlauf aus einem früheren Lauf → _updateBatteries wirft
+        await harness.states.setStateAsync(`${NS}.info.batteryHistory`, {
+          val: JSON.stringify({ [TRV_ID]: [5] }),
+          ack: true
+        });
+        await startAgainstMock(harness, server);
+      });
+
+      it("keeps the connection and runs the other steps", async function () {
+        this.timeout(2 * POLL_SEC * 1000);
+        const since = Date.now();
+        await server.waitForRequest(r => r.path === "/devices" && r.at >= since, (POLL_SEC + 5) * 1000);
+        await sleep(1000);
+        await waitForState(harness, "info.connection", true);
+        await waitForState(harness, "info.consecutiveFailures", 0);
+        await waitForState(harness, `${TRV_ID}.faults.unknown`, false);
+      });
+    });
+
+    suite("Fault decoding", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        server.setStatus(TRV_ID, "fault", String(0x1000 + 0x2000));
+        server.setStatus(TRV_ID, "mounting_mode_active", true);
+        await startAgainstMock(harness, server);
+      });
+
+      it("sets one indicator per fault and a summary", async function () {
+        this.timeout(30000);
+        await waitForState(harness, `${TRV_ID}.faults.motorBlocked`, true, 20000);
+        await waitForState(harness, `${TRV_ID}.faults.lowBattery`, true);
+        await waitForState(harness, `${TRV_ID}.faults.motor`, false);
+        await waitForState(harness, `${TRV_ID}.faults.notCalibrated`, true);
+        const text = (await harness.states.getStateAsync(`${NS}.${TRV_ID}.faults.faultText`)).val;
+        expect([
+          "Motor blocked, Low battery, Not calibrated",
+          "Motor blockiert, Batterie schwach, Nicht kalibriert"
+        ]).to.include(text);
+      });
+
+      it("reports devices without a fault as ok", async () => {
+        await waitForState(harness, `${RELAY_ID}.faults.unknown`, false);
+        const text = (await harness.states.getStateAsync(`${NS}.${RELAY_ID}.faults.faultText`)).val;
+        expect(["No fault", "Kein Fehler"]).to.include(text);
+      });
+    });
+
+    suite("Statistics", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server);
+      });
+
+      it("keeps today and this week per device and persists them", async function () {
+        this.timeout(30000);
+        await waitForState(harness, `${TRV_ID}.statistics.today.temp_current_max`, 21.5, 20000);
+        await waitForState(harness, `${TRV_ID}.statistics.thisWeek.pi_heating_demand_avg`, 35);
+        await waitForState(harness, `${TRV_ID}.statistics.today.heatingHours`, 0);
+        await waitForState(harness, `${TRV_ID}.statistics.yesterday.temp_set_min`, null);
+        const stored = JSON.parse((await harness.states.getStateAsync(`${NS}.info.statistics`)).val);
+        expect(stored[TRV_ID].today.temp_set).to.deep.equal({ min: 21, max: 21, sum: 21, count: 1 });
+      });
+    });
+
+    suite("Heat energy", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server, { radiatorPower: [{ id: TRV_ID, watts: 1500 }], energyPrice: 0.3 });
+      });
+
+      it("creates counters for configured radiators and instance totals", async function () {
+        this.timeout(30000);
+        await waitForState(harness, `${TRV_ID}.energy.today.kwh`, 0, 20000);
+        await waitForState(harness, "energy.thisMonth.cost", 0);
+        const stored = JSON.parse((await harness.states.getStateAsync(`${NS}.info.energy`)).val);
+        expect(stored[TRV_ID].last.demand).to.equal(35);
+        expect(await harness.objects.getObjectAsync(`${NS}.${ICON2_ID}.energy`)).to.equal(null);
+      });
+
+      it("integrates the heating demand over the next poll", async function () {
+        this.timeout(3 * POLL_SEC * 1000);
+        await harness.states.setStateAsync(`${NS}.${TRV_ID}.energy.today.kwh`, { val: -1, ack: true });
+        // 1500 W × 35 % × 30 s ≈ 0,004 kWh
+        await sleep((POLL_SEC + 5) * 1000);
+        const kwh = (await harness.states.getStateAsync(`${NS}.${TRV_ID}.energy.today.kwh`)).val;
+        expect(kwh).to.be.within(0.003, 0.006);
+        const total = (await harness.states.getStateAsync(`${NS}.energy.today.kwh`)).val;
+        expect(total).to.equal(kwh);
+      });
+    });
+
+    suite("Startup while the cloud is unreachable", getHarness => {
+      let harness;
+      let scheduleCmd;
+      const SCHEDULE = JSON.stringify({ days: { daily: [{ time: "00:00", temp: 18.5 }] } });
+      const CONTACT = "0_userdata.0.bathroomWindow";
+      const SENSOR = "0_userdata.0.bathroomTemperature";
+      const PRESENCE = "0_userdata.0.anyoneHome";
+      let sensorCmd;
+      let leftCmd;
+
+      before(async function () {
+        // wartet auf info.connection, also auf den Retry nach STARTUP_RETRY_SEC
+        this.timeout(3 * POLL_SEC * 1000);
+        server.reset();
+        harness = getHarness();
+        // gespeichert aus einem früheren Lauf
+        await harness.objects.setObjectAsync(`${NS}.${TRV_ID}.schedule.json`, {
+          type: "state",
+          common: { name: "Weekly schedule (JSON)", type: "string", role: "json", read: true, write: true },
+          native: {}
+        });
+        await harness.states.setStateAsync(`${NS}.${TRV_ID}.schedule.json`, { val: SCHEDULE, ack: true });
+        await harness.objects.setObjectAsync(CONTACT, {
+          type: "state",
+          common: { name: "Bathroom window", type: "boolean", role: "sensor.window", read: true, write: true },
+          native: {}
+        });
+        await harness.states.setStateAsync(CONTACT, { val: false, ack: true });
+        await harness.objects.setObjectAsync(SENSOR, {
+          type: "state",
+          common: { name: SENSOR, type: "number", role: "value.temperature", unit: "°C", read: true, write: true },
+          native: {}
+        });
+        await harness.states.setStateAsync(SENSOR, { val: 21.3, ack: true });
+        await harness.objects.setObjectAsync(PRESENCE, {
+          type: "state",
+          common: { name: PRESENCE, type: "boolean", role: "indicator", read: true, write: true },
+          native: {}
+        });
+        await harness.states.setStateAsync(PRESENCE, { val: false, ack: true });
+        const sent = (deviceId, match) => c => c.deviceId === deviceId && c.commands.some(match);
+        scheduleCmd = server.waitForCommand(
+          sent(TRV_ID, x => x.code === "temp_set"),
+          3 * POLL_SEC * 1000
+        );
+        sensorCmd = server.waitForCommand(
+          sent(ICON2_ID, x => x.code === "ext_measured_rs"),
+          3 * POLL_SEC * 1000
+        );
+        leftCmd = server.waitForCommand(
+          sent(ICON2_ID, x => x.value === "leaving_home"),
+          3 * POLL_SEC * 1000
+        );
+        // 1 + 3 Retries des Schedulers → der erste Poll schlägt fehl
+        server.failNext({ method: "GET", path: /^\/devices$/, status: 500, times: 4 });
+        await startAgainstMock(harness, server, {
+          windowContacts: [{ target: TRV_ID, contacts: CONTACT }],
+          windowDelaySec: 1,
+          externalSensors: [{ id: ICON2_ID, sensor: SENSOR }],
+          presenceStates: [{ state: PRESENCE }],
+          presenceLeaveDelayMin: 0
+        });
+      });
+
+      it("starts the stored weekly schedule after the first successful poll", async () => {
+        expect(server.countRequests("GET", "/devices")).to.be.at.least(5);
+        expect((await scheduleCmd).commands).to.deep.include({ code: "temp_set", value: 185 });
+        await waitForState(harness, `${TRV_ID}.schedule.nextTarget`, 18.5);
+      });
+
+      it("pauses the heating for window contacts configured before the cloud was reachable", async function () {
+        this.timeout(30000);
+        const pauseCmd = server.waitForCommand(c => c.deviceId === TRV_ID && c.commands.some(x => x.value === "pause"));
+        await harness.states.setStateAsync(CONTACT, { val: true, ack: true });
+        expect((await pauseCmd).commands).to.deep.equal([{ code: "mode", value: "pause" }]);
+        await waitForState(harness, `${TRV_ID}.window.active`, true);
+      });
+
+      it("forwards external sensors configured before the cloud was reachable", async () => {
+        expect((await sensorCmd).commands).to.deep.equal([{ code: "ext_measured_rs", value: 2130 }]);
+        await waitForState(harness, `${ICON2_ID}.status.externalTemperature`, 21.3);
+      });
+
+      it("switches presence only once the devices are known", async () => {
+        expect((await leftCmd).commands).to.deep.include({ code: "mode", value: "leaving_home" });
+        await waitForState(harness, "presence.decision", "leaving_home");
+      });
+    });
+
+    suite("HOLD keeps local writes the cloud has not confirmed", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        // nur HOLD aktiv: Lag-Suppress praktisch aus
+        await startAgainstMock(harness, server, { writeHoldMs: 5 * 60 * 1000, lagSuppressMs: 1 });
+      });
+
+      it("does not overwrite the written setpoint on the next poll", async function () {
+        this.timeout(3 * POLL_SEC * 1000);
+        server.freeze(TRV_ID);
+        await writeControl(harness, `${TRV_ID}.control.temp_set`, 24);
+        await waitForState(harness, `${TRV_ID}.status.temp_set`, 24);
+
+        const writtenAt = Date.now();
+        await server.waitForRequest(r => r.path === "/devices" && r.at > writtenAt, 2 * POLL_SEC * 1000);
+        await sleep(2000);
+        const state = await harness.states.getStateAsync(`${NS}.${TRV_ID}.status.temp_set`);
+        expect(state.val).to.equal(24);
+        expect(server.getStatus(TRV_ID, "temp_set")).to.equal(210);
+      });
+    });
+
+    suite("Lag-Suppress ignores stale cloud values after a write", getHarness => {
+      let harness;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        // nur Lag-Suppress aktiv: HOLD läuft sofort ab
+        await startAgainstMock(harness, server, { writeHoldMs: 1, lagSuppressMs: 5 * 60 * 1000 });
+      });
+
+      it("keeps the local value through soft refresh and poll", async function () {
+        this.timeout(3 * POLL_SEC * 1000);
+        server.freeze(TRV_ID);
+        const writtenAt = Date.now();
+        await writeControl(harness, `${TRV_ID}.control.at_home_setting`, 23);
+        await waitForState(harness, `${TRV_ID}.status.at_home_setting`, 23);
+
+        await server.waitForRequest(r => r.path === `/devices/${TRV_ID}/status` && r.at > writtenAt, 10000);
+        await server.waitForRequest(r => r.path === "/devices" && r.at > writtenAt, 2 * POLL_SEC * 1000);
+        await sleep(2000);
+        const state = await harness.states.getStateAsync(`${NS}.${TRV_ID}.status.at_home_setting`);
+        expect(state.val).to.equal(23);
+      });
+    });
+
+    suite("Anti-Race skips polls right after a write", getHarness => {
+      let harness;
+      const pauseMs = POLL_SEC * 1000 + 15000;
+
+      before(async function () {
+        this.timeout(60000);
+        server.reset();
+        harness = getHarness();
+        await startAgainstMock(harness, server, { antiRacePauseMs: pauseMs });
+      });
+
+      it("does not poll the device list during the anti-race pause", async function () {
+        this.timeout(pauseMs + 30000);
+        await writeControl(harness, `${TRV_ID}.control.mode`, "pause");
+        await server.waitForCommand(c => c.commands[0].code === "mode");
+        const writtenAt = Date.now();
+
+        // Mindestens ein regulärer Poll fällt in dieses Fenster und muss übersprungen werden
+        await sleep(POLL_SEC * 1000 + 5000);
+        expect(server.countRequests("GET", "/devices", writtenAt)).to.equal(0);
+        expect((await harness.states.getStateAsync(`${NS}.info.connection`)).val).to.equal(true);
+      });
+    });
+  }
+});
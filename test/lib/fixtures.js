@@ -0,0 +1,87 @@
+"use strict";
+
+// Rohwerte wie von der Ally Cloud geliefert (Temperaturen ×10, OccupiedSetpoint ×100)
+
+const TRV_ID = "bf1a2b3c4d5e6f7a8trv";
+const ICON2_ID = "bf9e8d7c6b5a4f3e2icon";
+const RELAY_ID = "bf5a5a5a5a5a5a5arelay";
+
+/**
+ * Frische Geräte-Fixtures (jeder Aufruf liefert neue Objekte)
+ */
+function createDevices() {
+  return [
+    {
+      id: TRV_ID,
+      name: "Bathroom",
+      device_type: "Danfoss Ally Radiator Thermostat",
+      online: true,
+      time_zone: "Europe/Berlin",
+      model: "014G2460",
+      firmware_version: "01.08.0008",
+      update_time: 1760000000,
+      status: {
+        temp_current: 215,
+        temp_set: 210,
+        upper_temp: 280,
+        lower_temp: 50,
+        at_home_setting: 210,
+        leaving_home_setting: 170,
+        pause_setting: 50,
+        holiday_setting: 100,
+        manual_mode_fast: 210,
+        mode: "manual",
+        SetpointChangeSource: "schedule",
+        work_state: "Heat",
+        battery_percentage: 80,
+        child_lock: false,
+        window_state: "close",
+        pi_heating_demand: 35,
+        fault: "0"
+      }
+    },
+    {
+      id: ICON2_ID,
+      name: "Living Room",
+      device_type: "unknown",
+      online: true,
+      time_zone: "Europe/Berlin",
+      status: {
+        temp_current: 225,
+        temp_set: 220,
+        upper_temp: 350,
+        lower_temp: 50,
+        humidity_value: 455,
+        MeasuredValue: 225,
+        OccupiedSetpoint: 2200,
+        mode: "at_home",
+        output_status: "inactive",
+        temp_mode: "heat",
+        system_status_water: "normal",
+        at_home_setting: 220,
+        leaving_home_setting: 180,
+        switch: true,
+        battery_percentage: 90
+      }
+    },
+    {
+      // Relay wird in der Liste ohne Status geliefert → Adapter nutzt /status
+      id: RELAY_ID,
+      name: "",
+      online: true,
+      time_zone: "Europe/Berlin",
+      listWithoutStatus: true,
+      status: {
+        switch: false,
+        fault: 0
+      }
+    }
+  ];
+}
+
+module.exports = {
+  TRV_ID,
+  ICON2_ID,
+  RELAY_ID,
+  createDevices
+};
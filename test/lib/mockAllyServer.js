@@ -0,0 +1,393 @@
+"use strict";
+const http = require("node:http");
+const { EventEmitter } = require("node:events");
+const { createDevices } = require("./fixtures");
+
+/**
+ * Lokaler Ersatz für die Danfoss Ally Cloud
+ * - POST /oauth2/token (Client Credentials, Basic Auth)
+ * - GET  /ally/devices, /ally/devices/{id}, /ally/devices/{id}/status
+ * - POST /ally/devices/{id}/commands
+ * Geräte sind zustandsbehaftet, Fehler (401/429/5xx) und langsame Antworten lassen sich injizieren.
+ */
+class MockAllyServer extends EventEmitter {
+  /**
+   * @param opts server options
+   * @param opts.clientId expected OAuth2 client id
+   * @param opts.clientSecret expected OAuth2 client secret
+   * @param opts.tokenTtl token lifetime in seconds
+   */
+  constructor(opts = {}) {
+    super();
+    this.clientId = opts.clientId || "test-client";
+    this.clientSecret = opts.clientSecret || "test-secret";
+    this.tokenTtl = opts.tokenTtl || 3600;
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    this._tokenSeq = 0;
+    this.reset();
+  }
+
+  /**
+   * Listen on a random local port
+   */
+  async start() {
+    await new Promise(resolve => this._server.listen(0, "127.0.0.1", resolve));
+    const { port } = this._server.address();
+    this.baseUrl = `http://127.0.0.1:${port}`;
+    this.tokenUrl = `${this.baseUrl}/oauth2/token`;
+    this.apiBaseUrl = `${this.baseUrl}/ally`;
+    return this;
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    this._server.closeAllConnections();
+    await new Promise(resolve => this._server.close(() => resolve()));
+  }
+
+  /**
+   * Geräte, Tokens, Logs und Fehlerregeln zurücksetzen
+   */
+  reset() {
+    this.devices = new Map(createDevices().map(d => [d.id, d]));
+    this.tokens = new Set();
+    this.requests = []; // { method, path, at }
+    this.commands = []; // { deviceId, commands, at }
+    this._failures = [];
+    this._frozen = new Set();
+    this.paging = null;
+  }
+
+  /**
+   * GET /devices seitenweise ausliefern
+   *
+   * @param size devices per page (overrides page_size of the request)
+   * @param style "last_row_key", "next_cursor", "page" or "loop" (next devices on every request, but always the same cursor)
+   */
+  enablePaging(size, style = "last_row_key") {
+    this.paging = { size, style, served: 0 };
+  }
+
+  /**
+   * Fehler für passende Requests injizieren
+   *
+   * @param rule failure rule
+   * @param rule.method HTTP method (optional)
+   * @param rule.path RegExp or string prefix matched against the request path (optional)
+   * @param rule.code only command requests that contain this code (optional)
+   * @param rule.status HTTP status to answer with (omit for a slow but normal response)
+   * @param rule.body response body
+   * @param rule.headers extra response headers (e.g. Retry-After)
+   * @param rule.delayMs delay before answering
+   * @param rule.times how many requests the rule applies to (default 1)
+   */
+  failNext(rule) {
+    this._failures.push({ times: 1, ...rule });
+  }
+
+  /**
+   * Alle ausgegebenen Tokens ungültig machen (nächster API-Call bekommt 401)
+   */
+  revokeTokens() {
+    this.tokens.clear();
+  }
+
+  /**
+   * Commands für ein Gerät annehmen, aber nicht übernehmen (Cloud bestätigt nicht)
+   *
+   * @param deviceId device id
+   * @param frozen true = ignore commands
+   */
+  freeze(deviceId, frozen = true) {
+    if (frozen) {
+      this._frozen.add(deviceId);
+    } else {
+      this._frozen.delete(deviceId);
+    }
+  }
+
+  /**
+   * @param deviceId device id
+   * @param code status code
+   * @param value raw cloud value
+   */
+  setStatus(deviceId, code, value) {
+    this.devices.get(deviceId).status[code] = value;
+  }
+
+  /**
+   * @param deviceId device id
+   * @param code status code
+   */
+  getStatus(deviceId, code) {
+    return this.devices.get(deviceId)?.status[code];
+  }
+
+  /**
+   * Anzahl passender Requests seit `since`
+   *
+   * @param method HTTP method
+   * @param path exact path (without /ally prefix)
+   * @param since timestamp (ms)
+   */
+  countRequests(method, path, since = 0) {
+    return this.requests.filter(r => r.method === method && r.path === path && r.at >= since).length;
+  }
+
+  /**
+   * Auf einen Request warten, der `predicate` erfüllt
+   *
+   * @param predicate filter for { method, path, at }
+   * @param timeoutMs reject after this time
+   */
+  waitForRequest(predicate, timeoutMs = 60000) {
+    return this._waitFor("request", predicate, timeoutMs);
+  }
+
+  /**
+   * Auf einen Command-Request warten, der `predicate` erfüllt
+   *
+   * @param predicate filter for { deviceId, commands, at }
+   * @param timeoutMs reject after this time
+   */
+  waitForCommand(predicate, timeoutMs = 30000) {
+    return this._waitFor("command", predicate, timeoutMs);
+  }
+
+  /**
+   * @param event emitted event name
+   * @param predicate filter
+   * @param timeoutMs reject after this time
+   */
+  _waitFor(event, predicate, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const onEvent = entry => {
+        if (predicate(entry)) {
+          clearTimeout(timer);
+          this.off(event, onEvent);
+          resolve(entry);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.off(event, onEvent);
+        reject(new Error(`Timeout waiting for ${event}`));
+      }, timeoutMs);
+      this.on(event, onEvent);
+    });
+  }
+
+  /**
+   * @param req incoming request
+   * @param res server response
+   */
+  async _handle(req, res) {
+    const body = await readBody(req);
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.replace(/^\/ally/, "");
+    const entry = { method: req.method, path, at: Date.now() };
+    this.requests.push(entry);
+    this.emit("request", entry);
+
+    const failure = this._takeFailure(req.method, path, body);
+    if (failure?.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+    }
+    if (failure?.status) {
+      return send(res, failure.status, failure.body ?? { title: `Injected ${failure.status}` }, failure.headers);
+    }
+
+    if (req.method === "POST" && url.pathname === "/oauth2/token") {
+      return this._token(req, res, body);
+    }
+    if (!url.pathname.startsWith("/ally/")) {
+      return send(res, 404, { title: "Not found" });
+    }
+
+    const auth = req.headers.authorization || "";
+    if (!this.tokens.has(auth.replace(/^Bearer /, ""))) {
+      return send(res, 401, { title: "Unauthorized" });
+    }
+
+    const match = path.match(/^\/devices(?:\/([^/]+))?(?:\/(status|commands))?$/);
+    if (!match) {
+      return send(res, 404, { title: "Not found" });
+    }
+    const [, rawId, sub] = match;
+
+    if (!rawId && req.method === "GET") {
+      const all = [...this.devices.values()].map(d => toApiDevice(d));
+      if (!this.paging) {
+        return send(res, 200, { result: all, success: true });
+      }
+      return send(res, 200, this._page(all, url.searchParams));
+    }
+
+    const device = this.devices.get(decodeURIComponent(rawId));
+    if (!device) {
+      return send(res, 404, { title: "Device not found" });
+    }
+
+    if (!sub && req.method === "GET") {
+      return send(res, 200, { result: toApiDevice(device, true), success: true });
+    }
+    if (sub === "status" && req.method === "GET") {
+      return send(res, 200, { result: toStatusArray(device.status), success: true });
+    }
+    if (sub === "commands" && req.method === "POST") {
+      return this._commands(res, device, body);
+    }
+    return send(res, 405, { title: "Method not allowed" });
+  }
+
+  /**
+   * @param all all devices in API shape
+   * @param query request query parameters
+   */
+  _page(all, query) {
+    const { size, style } = this.paging;
+    let start = 0;
+    if (style === "page") {
+      start = (Number(query.get("page") || 1) - 1) * size;
+    } else if (style === "loop") {
+      start = this.paging.served++ * size;
+    } else {
+      const cursor = query.get(style === "next_cursor" ? "cursor" : "last_row_key");
+      start = cursor ? Number(cursor.replace(/^row-/, "")) : 0;
+    }
+
+    const devices = all.slice(start, start + size);
+    const hasMore = start + size < all.length;
+    const result = { devices, has_more: hasMore, total: all.length };
+    if (style === "last_row_key" || style === "loop") {
+      result.last_row_key = `row-${style === "loop" ? size : start + size}`;
+    }
+    if (style === "next_cursor" && hasMore) {
+      result.next_cursor = `row-${start + size}`;
+    }
+    return { result, success: true };
+  }
+
+  /**
+   * @param method HTTP method
+   * @param path request path
+   * @param body raw request body
+   */
+  _takeFailure(method, path, body) {
+    const idx = this._failures.findIndex(
+      f =>
+        (!f.method || f.method === method) &&
+        (!f.path || (f.path instanceof RegExp ? f.path.test(path) : path.startsWith(f.path))) &&
+        (!f.code || commandCodes(body).includes(f.code))
+    );
+    if (idx === -1) {
+      return null;
+    }
+    const failure = this._failures[idx];
+    if (--failure.times <= 0) {
+      this._failures.splice(idx, 1);
+    }
+    return failure;
+  }
+
+  /**
+   * @param req incoming request
+   * @param res server response
+   * @param body raw request body
+   */
+  _token(req, res, body) {
+    const [user, pass] = Buffer.from((req.headers.authorization || "").replace(/^Basic /, ""), "base64")
+      .toString()
+      .split(":");
+    const params = new URLSearchParams(body);
+    if (params.get("grant_type") !== "client_credentials") {
+      return send(res, 400, { error: "unsupported_grant_type" });
+    }
+    if (user !== this.clientId || pass !== this.clientSecret) {
+      return send(res, 401, { error: "invalid_client" });
+    }
+    const token = `mock-token-${++this._tokenSeq}`;
+    this.tokens.add(token);
+    return send(res, 200, { access_token: token, token_type: "Bearer", expires_in: this.tokenTtl });
+  }
+
+  /**
+   * @param res server response
+   * @param device fixture device
+   * @param body raw request body
+   */
+  _commands(res, device, body) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return send(res, 400, { title: "Invalid JSON" });
+    }
+    if (!Array.isArray(payload?.commands) || !payload.commands.length) {
+      return send(res, 400, { title: "commands missing" });
+    }
+    const entry = { deviceId: device.id, commands: payload.commands, at: Date.now() };
+    this.commands.push(entry);
+    this.emit("command", entry);
+
+    if (!this._frozen.has(device.id)) {
+      for (const { code, value } of payload.commands) {
+        device.status[code] = value;
+      }
+    }
+    return send(res, 200, { result: true, success: true });
+  }
+}
+
+/**
+ * @param status status map
+ */
+function toStatusArray(status) {
+  return Object.entries(status).map(([code, value]) => ({ code, value }));
+}
+
+/**
+ * @param device fixture device
+ * @param withStatus always include status
+ */
+function toApiDevice(device, withStatus = false) {
+  const { listWithoutStatus, status, ...rest } = device;
+  return { ...rest, status: listWithoutStatus && !withStatus ? [] : toStatusArray(status) };
+}
+
+/**
+ * @param res server response
+ * @param status HTTP status
+ * @param data JSON body
+ * @param headers extra headers
+ */
+function send(res, status, data, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * @param body raw request body
+ * @returns {string[]} codes of a command request (empty for other requests)
+ */
+function commandCodes(body) {
+  try {
+    return JSON.parse(body).commands.map(c => c.code);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param req incoming request
+ */
+function readBody(req) {
+  return new Promise(resolve => {
+    let data = "";
+    req.on("data", chunk => (data += chunk));
+    req.on("end", () => resolve(data));
+  });
+}
+
+module.exports = MockAllyServer;
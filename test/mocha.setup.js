@@ -0,0 +1,6 @@
+"use strict";
+
+// Don't silently swallow unhandled rejections
+process.on("unhandledRejection", e => {
+  throw e;
+});
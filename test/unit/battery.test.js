@@ -0,0 +1,41 @@
+"use strict";
+const { expect } = require("chai");
+const { batteryLevel, addBatterySample, estimateDaysLeft } = require("../../lib/battery");
+
+const settings = { low: 25, critical: 10, hysteresis: 5 };
+const DAY = 86400000;
+
+describe("battery monitoring", () => {
+  it("switches levels with hysteresis", () => {
+    expect(batteryLevel(null, 80, settings)).to.equal("ok");
+    expect(batteryLevel("ok", 25, settings)).to.equal("low");
+    expect(batteryLevel("low", 28, settings)).to.equal("low");
+    expect(batteryLevel("low", 31, settings)).to.equal("ok");
+    expect(batteryLevel("low", 9, settings)).to.equal("critical");
+    expect(batteryLevel("critical", 14, settings)).to.equal("critical");
+    expect(batteryLevel("critical", 16, settings)).to.equal("low");
+  });
+
+  it("keeps one sample per interval and starts over after a battery change", () => {
+    let samples = addBatterySample(undefined, 0, 80);
+    expect(addBatterySample(samples, 3600000, 79)).to.equal(samples);
+    samples = addBatterySample(samples, DAY, 79);
+    expect(samples).to.deep.equal([
+      [0, 80],
+      [DAY, 79]
+    ]);
+    expect(addBatterySample(samples, 2 * DAY, 100)).to.deep.equal([[2 * DAY, 100]]);
+  });
+
+  it("estimates the days until the critical level from the trend", () => {
+    const samples = [0, 1, 2, 3, 4].map(d => [d * DAY, 50 - d]);
+    expect(estimateDaysLeft(samples, 10)).to.equal(36);
+    expect(estimateDaysLeft(samples.slice(0, 2), 10)).to.equal(null);
+    expect(
+      estimateDaysLeft(
+        [0, 1, 2, 3].map(d => [d * DAY, 60]),
+        10
+      )
+    ).to.equal(null);
+  });
+});
@@ -0,0 +1,41 @@
+"use strict";
+const { expect } = require("chai");
+const { heatingDemand, boilerDecision } = require("../../lib/boilerControl");
+
+const settings = { onThreshold: 30, offThreshold: 10, minOnMs: 300000, minOffMs: 300000 };
+
+describe("boiler relay control", () => {
+  it("takes the highest demand", () => {
+    expect(heatingDemand([{ pi_heating_demand: 35 }, { pi_heating_demand: 80 }, {}])).to.equal(80);
+    expect(heatingDemand([{ output_status: "active" }, { pi_heating_demand: 20 }])).to.equal(100);
+    expect(heatingDemand([{ output_status: "inactive" }])).to.equal(0);
+    expect(heatingDemand([{}])).to.equal(null);
+  });
+
+  it("switches with hysteresis", () => {
+    const base = { lastSwitch: 0, now: 10000000, mode: "auto", settings };
+    expect(boilerDecision({ ...base, demand: 35, relayOn: false })).to.include({ on: true });
+    expect(boilerDecision({ ...base, demand: 20, relayOn: false })).to.include({ on: false });
+    expect(boilerDecision({ ...base, demand: 20, relayOn: true })).to.include({ on: true });
+    expect(boilerDecision({ ...base, demand: 10, relayOn: true })).to.deep.equal({
+      on: false,
+      reason: "demand 10 % ≤ 10 %"
+    });
+    expect(boilerDecision({ ...base, demand: null, relayOn: true }).reason).to.equal("no demand data ≤ 10 %");
+  });
+
+  it("keeps minimum on/off times and honours manual modes", () => {
+    const now = 10000000;
+    const blocked = boilerDecision({ demand: 0, relayOn: true, lastSwitch: now - 60000, now, mode: "auto", settings });
+    expect(blocked).to.deep.equal({
+      on: true,
+      reason: "demand 0 % ≤ 10 %, minimum on time (4 min left)",
+      waitMs: 240000
+    });
+    const off = boilerDecision({ demand: 90, relayOn: false, lastSwitch: now - 600000, now, mode: "auto", settings });
+    expect(off.on).to.equal(true);
+
+    const manual = boilerDecision({ demand: 90, relayOn: true, lastSwitch: now, now, mode: "off", settings });
+    expect(manual).to.deep.equal({ on: false, reason: "manual off" });
+  });
+});
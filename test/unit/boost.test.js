@@ -0,0 +1,29 @@
+"use strict";
+const { expect } = require("chai");
+const { remainingMinutes, restorePlan, parseBoosts } = require("../../lib/boost");
+
+describe("boost", () => {
+  it("rounds the remaining time up to full minutes", () => {
+    expect(remainingMinutes({ until: 90000 }, 0)).to.equal(2);
+    expect(remainingMinutes({ until: 60000 }, 0)).to.equal(1);
+    expect(remainingMinutes({ until: 1000 }, 5000)).to.equal(0);
+  });
+
+  it("restores the setpoint only in manual mode or without a mode", () => {
+    expect(restorePlan({ mode: "manual", temp_set: 21 })).to.deep.equal([
+      { code: "mode", value: "manual" },
+      { code: "temp_set", value: 21 }
+    ]);
+    expect(restorePlan({ mode: "at_home", temp_set: 21 })).to.deep.equal([{ code: "mode", value: "at_home" }]);
+    expect(restorePlan({ mode: null, temp_set: 19.5 })).to.deep.equal([{ code: "temp_set", value: 19.5 }]);
+    expect(restorePlan({})).to.deep.equal([]);
+  });
+
+  it("drops invalid persisted boosts", () => {
+    expect(parseBoosts('{"a":{"until":5,"previous":{}},"b":{"until":"x"},"c":null}')).to.deep.equal({
+      a: { until: 5, previous: {} }
+    });
+    expect(parseBoosts("not json")).to.deep.equal({});
+    expect(parseBoosts("")).to.deep.equal({});
+  });
+});
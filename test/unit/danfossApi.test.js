@@ -0,0 +1,148 @@
+"use strict";
+const { expect } = require("chai");
+const DanfossAPI = require("../../lib/danfossApi");
+const MockAllyServer = require("../lib/mockAllyServer");
+const { TRV_ID, ICON2_ID, RELAY_ID } = require("../lib/fixtures");
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe("DanfossAPI against the mock Ally cloud", () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await new MockAllyServer().start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    api = new DanfossAPI(
+      {
+        apiKey: server.clientId,
+        apiSecret: server.clientSecret,
+        tokenUrl: server.tokenUrl,
+        apiBaseUrl: server.apiBaseUrl,
+        requestsPerMinute: 600
+      },
+      log
+    );
+  });
+
+  afterEach(() => {
+    api.dispose();
+  });
+
+  it("acquires a token and reuses it", async () => {
+    const token = await api.ensureToken();
+    expect(token).to.match(/^mock-token-/);
+    expect(await api.ensureToken()).to.equal(token);
+    expect(server.countRequests("POST", "/oauth2/token")).to.equal(1);
+  });
+
+  it("rejects wrong credentials with the token error details", async () => {
+    api.apiSecret = "wrong";
+    let error;
+    try {
+      await api.ensureToken();
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.match(/Token request failed: 401/);
+  });
+
+  it("maps devices and infers types for all fixture shapes", async () => {
+    const devices = await api.getDevices();
+    const byId = new Map(devices.map(d => [d.id, d]));
+
+    expect(byId.get(TRV_ID)).to.include({ name: "Bathroom", type: "Danfoss Ally Radiator Thermostat", online: true });
+    expect(byId.get(TRV_ID).status.temp_current).to.equal(215);
+    expect(byId.get(TRV_ID)).to.include({ model: "014G2460", firmware: "01.08.0008", lastUpdate: 1760000000000 });
+    expect(byId.get(ICON2_ID)).to.include({ rawType: "unknown", model: null, lastUpdate: null });
+    expect(byId.get(ICON2_ID).type).to.equal("Danfoss Icon2");
+    expect(byId.get(ICON2_ID).humidity).to.equal(45.5);
+    // Skalierung aus dem Geräteprofil
+    expect(byId.get(TRV_ID)).to.include({ temperature: 21.5, humidity: null });
+    expect(byId.get(RELAY_ID)).to.include({ temperature: null, humidity: null });
+    expect(byId.get(RELAY_ID).status).to.deep.equal({});
+  });
+
+  it("keeps real zero readings", async () => {
+    server.setStatus(ICON2_ID, "temp_current", 0);
+    server.setStatus(ICON2_ID, "humidity_value", 0);
+    const icon = (await api.getDevices()).find(d => d.id === ICON2_ID);
+    expect(icon).to.include({ temperature: 0, humidity: 0 });
+  });
+
+  for (const style of ["last_row_key", "next_cursor", "page"]) {
+    it(`follows ${style} pagination and merges all pages`, async () => {
+      server.enablePaging(2, style);
+      const devices = await api.getDevices();
+      expect(devices.map(d => d.id)).to.deep.equal([TRV_ID, ICON2_ID, RELAY_ID]);
+      expect(server.countRequests("GET", "/devices")).to.equal(2);
+    });
+  }
+
+  it("stops paging when the cursor repeats", async () => {
+    server.enablePaging(1, "loop");
+    const devices = await api.getDevices();
+    // Seite 2 liefert noch ein neues Gerät, aber denselben Cursor → Abbruch vor Seite 3
+    expect(devices.map(d => d.id)).to.deep.equal([TRV_ID, ICON2_ID]);
+    expect(server.countRequests("GET", "/devices")).to.equal(2);
+  });
+
+  it("reads the status of a single device", async () => {
+    const status = await api.getDeviceStatus(RELAY_ID);
+    expect(status).to.deep.equal([
+      { code: "switch", value: false },
+      { code: "fault", value: 0 }
+    ]);
+  });
+
+  it("sends commands and the cloud applies them", async () => {
+    await api.sendCommand(TRV_ID, { commands: [{ code: "temp_set", value: 225 }] });
+    expect(server.commands).to.have.length(1);
+    expect(server.getStatus(TRV_ID, "temp_set")).to.equal(225);
+  });
+
+  it("refreshes the token once on 401", async () => {
+    await api.ensureToken();
+    server.revokeTokens();
+    const devices = await api.getDevices();
+    expect(devices).to.have.length(3);
+    expect(server.countRequests("POST", "/oauth2/token")).to.equal(2);
+  });
+
+  it("retries 429 after Retry-After", async () => {
+    server.failNext({ method: "GET", path: "/devices", status: 429, headers: { "Retry-After": "0.2" } });
+    const started = Date.now();
+    const devices = await api.getDevices();
+    expect(devices).to.have.length(3);
+    expect(Date.now() - started).to.be.at.least(190);
+    expect(server.countRequests("GET", "/devices")).to.equal(2);
+  });
+
+  it("retries 5xx with backoff and gives up after maxRetries", async () => {
+    server.failNext({ method: "GET", path: "/devices", status: 503 });
+    expect(await api.getDevices()).to.have.length(3);
+
+    api._scheduler.maxRetries = 1;
+    server.failNext({ method: "GET", path: "/devices", status: 500, times: 2 });
+    let error;
+    try {
+      await api.getDevices();
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.response?.status).to.equal(500);
+  });
+
+  it("survives slow responses below the client timeout", async () => {
+    server.failNext({ method: "GET", path: `/devices/${TRV_ID}/status`, delayMs: 300 });
+    const status = await api.getDeviceStatus(TRV_ID);
+    expect(status.find(s => s.code === "mode").value).to.equal("manual");
+  });
+});
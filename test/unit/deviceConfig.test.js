@@ -0,0 +1,50 @@
+"use strict";
+const { expect } = require("chai");
+const { parseDeviceTable, mergeDeviceTable, parseAssignedEnums } = require("../../lib/deviceConfig");
+
+const sanitize = id => id.replace(/[^\w-]/g, "_");
+
+describe("device settings table", () => {
+  it("parses rows into overrides by sanitized id", () => {
+    const map = parseDeviceTable(
+      [
+        { id: "a.b", enabled: false, name: " Kessel ", room: "enum.rooms.cellar" },
+        { id: "c", name: 5 },
+        { name: "no id" },
+        null
+      ],
+      sanitize
+    );
+    expect([...map.keys()]).to.deep.equal(["a_b", "c"]);
+    expect(map.get("a_b")).to.deep.equal({ enabled: false, name: "Kessel", room: "enum.rooms.cellar", func: "" });
+    expect(map.get("c")).to.deep.equal({ enabled: true, name: "", room: "", func: "" });
+    expect(parseDeviceTable(undefined, sanitize).size).to.equal(0);
+  });
+
+  it("merges discovered devices and keeps existing overrides", () => {
+    const rows = [
+      { id: "gone", cloudName: "Old", enabled: true, name: "", room: "", func: "" },
+      { id: "trv", cloudName: "Bathroom", enabled: false, name: "Bad", room: "enum.rooms.bath", func: "" }
+    ];
+    const merged = mergeDeviceTable(rows, [
+      { id: "trv", name: "Bathroom 2", type: "Danfoss Ally Radiator Thermostat" },
+      { id: "icon", name: "Living", type: "Danfoss Icon2" }
+    ]);
+    expect(merged.map(r => r.id)).to.deep.equal(["trv", "icon", "gone"]);
+    expect(merged[0]).to.include({ cloudName: "Bathroom 2", enabled: false, name: "Bad", room: "enum.rooms.bath" });
+    expect(merged[1]).to.include({ enabled: true, name: "", type: "Danfoss Icon2" });
+  });
+
+  it("parses the enums the adapter assigned and drops invalid entries", () => {
+    const val = JSON.stringify({
+      a: { rooms: "enum.rooms.bathroom", functions: "enum.functions.heating" },
+      b: { rooms: "enum.functions.heating", functions: 5 },
+      c: null
+    });
+    expect(parseAssignedEnums(val)).to.deep.equal({
+      a: { rooms: "enum.rooms.bathroom", functions: "enum.functions.heating" }
+    });
+    expect(parseAssignedEnums("{broken")).to.deep.equal({});
+    expect(parseAssignedEnums(null)).to.deep.equal({});
+  });
+});
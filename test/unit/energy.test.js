@@ -0,0 +1,39 @@
+"use strict";
+const { expect } = require("chai");
+const { parsePowerTable, addEnergy, roundPeriod } = require("../../lib/energy");
+
+const sanitize = id => id.replace(/[^\w-]/g, "_");
+const HOUR = 3600000;
+const options = { watts: 1000, price: 0.4, timeZone: "Europe/Berlin", maxGapMs: HOUR };
+
+describe("heat energy", () => {
+  it("parses rows into nominal outputs by sanitized device id", () => {
+    const map = parsePowerTable(
+      [{ id: "trv.1", watts: "1200" }, { id: "trv.1", watts: 500 }, { id: "trv2", watts: 0 }, { watts: 800 }],
+      sanitize
+    );
+    expect([...map.entries()]).to.deep.equal([["trv_1", 1200]]);
+  });
+
+  it("integrates the demand of the last poll into kWh and cost", () => {
+    const start = Date.UTC(2026, 9, 19, 8);
+    let counters = addEnergy(undefined, start, 50, options);
+    counters = addEnergy(counters, start + HOUR / 2, 100, options); // 1000 W × 50 % × 0,5 h
+    counters = addEnergy(counters, start + HOUR, 0, options); // 1000 W × 100 % × 0,5 h
+    counters = addEnergy(counters, start + 2 * HOUR, 0, options);
+    expect(roundPeriod(counters.today)).to.deep.equal({ kwh: 0.75, cost: 0.3 });
+    expect(roundPeriod(counters.thisMonth)).to.deep.equal({ kwh: 0.75, cost: 0.3 });
+    expect(roundPeriod(counters.yesterday)).to.deep.equal({ kwh: 0, cost: 0 });
+  });
+
+  it("skips long gaps and rolls over days and months", () => {
+    const evening = Date.UTC(2026, 9, 31, 21); // 22:00 in Berlin
+    let counters = addEnergy(undefined, evening, 100, options);
+    counters = addEnergy(counters, evening + HOUR, 100, options);
+    counters = addEnergy(counters, evening + 5 * HOUR, 100, options); // Lücke: zählt nicht
+    expect(counters.day).to.equal("2026-11-01");
+    expect(roundPeriod(counters.yesterday).kwh).to.equal(1);
+    expect(roundPeriod(counters.lastMonth).kwh).to.equal(1);
+    expect(roundPeriod(counters.today).kwh).to.equal(0);
+  });
+});
@@ -0,0 +1,36 @@
+"use strict";
+const { expect } = require("chai");
+const { parseSensorTable, sensorReading, toSensorRaw, EXT_SENSOR_OFF } = require("../../lib/externalSensor");
+
+const sanitize = id => id.replace(/[^\w-]/g, "_");
+
+describe("external temperature sensors", () => {
+  it("parses rows into sensors by sanitized device id", () => {
+    const map = parseSensorTable(
+      [
+        { id: "trv.1", sensor: " zigbee.0.abc.temperature " },
+        { id: "trv.1", sensor: "other" },
+        { id: "trv2", sensor: "" },
+        { sensor: "x" }
+      ],
+      sanitize
+    );
+    expect([...map.entries()]).to.deep.equal([["trv_1", "zigbee.0.abc.temperature"]]);
+  });
+
+  it("falls back for missing, implausible or stale values", () => {
+    const now = 10000000;
+    const staleMs = 60000;
+    expect(sensorReading({ val: "19.84", ts: now - 1000 }, now, staleMs)).to.deep.equal({ temp: 19.84 });
+    expect(sensorReading(null, now, staleMs)).to.include({ temp: null, reason: "no value" });
+    expect(sensorReading({ val: 85, ts: now }, now, staleMs).reason).to.equal("implausible value 85");
+    expect(sensorReading({ val: "n/a", ts: now }, now, staleMs).temp).to.equal(null);
+    expect(sensorReading({ val: 20, ts: now - 120000 }, now, staleMs).reason).to.match(/^no update since /);
+  });
+
+  it("scales to the cloud value", () => {
+    expect(toSensorRaw(19.84)).to.equal(1984);
+    expect(toSensorRaw(-0.5)).to.equal(-50);
+    expect(toSensorRaw(null)).to.equal(EXT_SENSOR_OFF);
+  });
+});
@@ -0,0 +1,43 @@
+"use strict";
+const { expect } = require("chai");
+const { decodeFault, faultText } = require("../../lib/faults");
+const { getProfile } = require("../../lib/profiles");
+
+const trv = getProfile("Danfoss Ally Radiator Thermostat");
+
+describe("fault decoding", () => {
+  it("decodes the bitmask per device type", () => {
+    expect(decodeFault("0", trv.faults)).to.deep.equal({ active: [], unknown: [] });
+    expect(decodeFault(0x1000 + 0x2000, trv.faults)).to.deep.equal({
+      active: ["motorBlocked", "lowBattery"],
+      unknown: []
+    });
+    expect(decodeFault("0x0021", trv.faults)).to.deep.equal({ active: ["topSensor", "motor"], unknown: [] });
+    expect(decodeFault("16", trv.faults)).to.deep.equal({ active: [], unknown: ["bit 4"] });
+    expect(decodeFault(2, getProfile("Danfoss Ally Boiler Relay").faults)).to.deep.equal({
+      active: [],
+      unknown: ["bit 1"]
+    });
+    expect(decodeFault(1, getProfile("Danfoss Icon2").faults)).to.deep.equal({ active: [], unknown: ["bit 0"] });
+  });
+
+  it("shows faults the cloud reports as separate status codes", () => {
+    expect(trv.faultFlags).to.deep.equal({ notCalibrated: "mounting_mode_active" });
+    expect(getProfile("Danfoss Icon2").faultFlags).to.deep.equal({});
+    expect(faultText({ active: ["notCalibrated"], unknown: [] }, "de")).to.equal("Nicht kalibriert");
+  });
+
+  it("keeps plain text faults as unknown", () => {
+    expect(decodeFault("E12", trv.faults)).to.deep.equal({ active: [], unknown: ["E12"] });
+    expect(decodeFault("none", trv.faults)).to.deep.equal({ active: [], unknown: [] });
+    expect(decodeFault(undefined, trv.faults)).to.deep.equal({ active: [], unknown: [] });
+  });
+
+  it("builds the summary in the system language", () => {
+    expect(faultText({ active: [], unknown: [] }, "de")).to.equal("Kein Fehler");
+    expect(faultText({ active: ["motorBlocked"], unknown: ["bit 4"] }, "en")).to.equal(
+      "Motor blocked, Unknown fault (bit 4)"
+    );
+    expect(faultText({ active: ["lowBattery"], unknown: [] }, "xx")).to.equal("Low battery");
+  });
+});
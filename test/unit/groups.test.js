@@ -0,0 +1,59 @@
+"use strict";
+const { expect } = require("chai");
+const { parseGroupTable, resolveTargets, aggregateGroup, isWindowOpen } = require("../../lib/groups");
+
+const sanitize = id => id.replace(/[^\w-]/g, "_");
+
+describe("room groups", () => {
+  it("parses rows into groups by sanitized name", () => {
+    const map = parseGroupTable(
+      [
+        { name: " Living Room ", devices: "trv1, trv2;trv.3 trv1" },
+        { name: "Living Room", devices: "other" },
+        { name: "Empty", devices: "" },
+        { devices: "trv4" },
+        null
+      ],
+      sanitize
+    );
+    expect([...map.keys()]).to.deep.equal(["Living_Room"]);
+    expect(map.get("Living_Room")).to.deep.equal({ name: "Living Room", members: ["trv1", "trv2", "trv_3"] });
+    expect(parseGroupTable(undefined, sanitize).size).to.equal(0);
+  });
+
+  it("resolves device ids and group names", () => {
+    const groups = new Map([["living", { name: "living", members: ["trv_1", "trv_2"] }]]);
+    expect(resolveTargets("living, trv.1; icon", sanitize, groups)).to.deep.equal(["trv_1", "trv_2", "icon"]);
+    expect(resolveTargets("groups.living", sanitize, groups)).to.deep.equal(["trv_1", "trv_2"]);
+    expect(resolveTargets("", sanitize, groups)).to.deep.equal([]);
+  });
+
+  it("aggregates the member status", () => {
+    const result = aggregateGroup([
+      { temp_current: 21.5, pi_heating_demand: 35, window_state: "close", battery_percentage: 80 },
+      { temp_current: 20, pi_heating_demand: 60, window_state: "open", battery_percentage: 45 },
+      { temp_current: 22.4, battery_percentage: null }
+    ]);
+    expect(result).to.deep.equal({
+      temp_current_mean: 21.3,
+      temp_current_min: 20,
+      temp_current_max: 22.4,
+      pi_heating_demand_max: 60,
+      windowOpen: true,
+      battery_min: 45
+    });
+  });
+
+  it("reports null for values no member delivers", () => {
+    expect(aggregateGroup([{ temp_current: 19 }, {}])).to.deep.equal({
+      temp_current_mean: 19,
+      temp_current_min: 19,
+      temp_current_max: 19,
+      pi_heating_demand_max: null,
+      windowOpen: null,
+      battery_min: null
+    });
+    expect(isWindowOpen("opened")).to.equal(true);
+    expect(isWindowOpen("close")).to.equal(false);
+  });
+});
@@ -0,0 +1,34 @@
+"use strict";
+const { expect } = require("chai");
+const { parseDateTime, formatDateTime, holidayPhase, holidayAction } = require("../../lib/holiday");
+
+describe("holiday planner", () => {
+  it("parses date/time strings and timestamps", () => {
+    const ts = new Date(2026, 11, 20, 8, 0).getTime();
+    expect(parseDateTime("2026-12-20T08:00")).to.equal(ts);
+    expect(parseDateTime(ts)).to.equal(ts);
+    expect(parseDateTime("")).to.equal(null);
+    expect(parseDateTime(null)).to.equal(null);
+    expect(parseDateTime("next friday")).to.be.NaN;
+    expect(formatDateTime(ts)).to.equal("2026-12-20T08:00");
+    expect(parseDateTime(formatDateTime(ts + 5000))).to.equal(ts + 5000);
+  });
+
+  it("derives the phase from start and end", () => {
+    const plan = { start: 100, end: 200 };
+    expect(holidayPhase(plan, 50)).to.equal("planned");
+    expect(holidayPhase(plan, 100)).to.equal("active");
+    expect(holidayPhase(plan, 200)).to.equal("finished");
+    expect(holidayPhase({ start: 100, end: null }, 150)).to.equal("none");
+    expect(holidayPhase({ start: 200, end: 100 }, 150)).to.equal("none");
+  });
+
+  it("acts only on transitions into and out of the active phase", () => {
+    expect(holidayAction("planned", "active")).to.equal("start");
+    expect(holidayAction("none", "active")).to.equal("start");
+    expect(holidayAction("active", "active")).to.equal(null);
+    expect(holidayAction("active", "finished")).to.equal("end");
+    expect(holidayAction("active", "none")).to.equal("end");
+    expect(holidayAction("planned", "finished")).to.equal(null);
+  });
+});
@@ -0,0 +1,29 @@
+"use strict";
+const { expect } = require("chai");
+const { parsePresenceTable, isPresent, presenceMode } = require("../../lib/presence");
+
+describe("presence switching", () => {
+  it("parses rows into unique state ids", () => {
+    expect(
+      parsePresenceTable([{ state: " javascript.0.anna " }, { state: "javascript.0.anna" }, { state: "" }, {}])
+    ).to.deep.equal(["javascript.0.anna"]);
+    expect(parsePresenceTable(undefined)).to.deep.equal([]);
+  });
+
+  it("reads booleans, counters and texts", () => {
+    expect(isPresent(true)).to.equal(true);
+    expect(isPresent(false)).to.equal(false);
+    expect(isPresent(2)).to.equal(true);
+    expect(isPresent(0)).to.equal(false);
+    expect(isPresent("1")).to.equal(true);
+    expect(isPresent("home")).to.equal(true);
+    expect(isPresent("away")).to.equal(false);
+    expect(isPresent(null)).to.equal(null);
+  });
+
+  it("is at home when anyone is present", () => {
+    expect(presenceMode([false, 1])).to.equal("at_home");
+    expect(presenceMode([false, 0, null])).to.equal("leaving_home");
+    expect(presenceMode([null, undefined])).to.equal(null);
+  });
+});
@@ -0,0 +1,74 @@
+"use strict";
+const { expect } = require("chai");
+const { getProfile, writableCodes, isTemperatureCode } = require("../../lib/profiles");
+
+describe("device profiles", () => {
+  it("picks the profile by inferred device type and falls back to generic", () => {
+    expect(getProfile("Danfoss Ally Radiator Thermostat").id).to.equal("allyTrv");
+    expect(getProfile("Danfoss Icon2").id).to.equal("icon2");
+    expect(getProfile("Danfoss Ally Boiler Relay").id).to.equal("boilerRelay");
+    expect(getProfile("Icon2 RT").id).to.equal("icon2");
+    expect(getProfile("Something new").id).to.equal("generic");
+    expect(getProfile(undefined).id).to.equal("generic");
+  });
+
+  it("scales cloud values per code", () => {
+    const p = getProfile("Danfoss Icon2");
+    expect(p.fromCloud("temp_set", 215)).to.equal(21.5);
+    expect(p.fromCloud("OccupiedSetpoint", 2200)).to.equal(22);
+    expect(p.fromCloud("humidity_value", 455)).to.equal(45.5);
+    expect(p.fromCloud("battery_percentage", 80)).to.equal(80);
+    expect(p.toCloud("temp_set", 22.5)).to.equal(225);
+    expect(p.toCloud("OccupiedSetpoint", 21)).to.equal(2100);
+    expect(p.fromCloud("ext_measured_rs", 2130)).to.equal(21.3);
+    expect(p.fromCloud("ext_measured_rs", -8000)).to.equal(null);
+    expect(p.toCloud("ext_measured_rs", 19.84)).to.equal(1984);
+    expect(p.isWritable("ext_measured_rs")).to.equal(false);
+  });
+
+  it("keeps types stable", () => {
+    const p = getProfile();
+    expect(p.fromCloud("fault", 0)).to.equal("0");
+    expect(p.fromCloud("child_lock", 1)).to.equal(true);
+    expect(p.fromCloud("temp_current", "215")).to.equal(215);
+    expect(p.fromCloud("unknown_code", 7)).to.equal(7);
+  });
+
+  it("builds object metadata from the profile", () => {
+    const trv = getProfile("Danfoss Ally Radiator Thermostat");
+    expect(trv.objectCommon("temp_set", 21, true)).to.deep.equal({
+      type: "number",
+      role: "level.temperature",
+      unit: "°C",
+      min: 5,
+      max: 35,
+      step: 0.5,
+      read: true,
+      write: true
+    });
+    expect(trv.objectCommon("unknown_code", true, false)).to.deep.equal({
+      type: "boolean",
+      role: "state",
+      read: true,
+      write: false
+    });
+    expect(getProfile("Danfoss Ally Boiler Relay").objectCommon("switch", false, true).role).to.equal("switch.power");
+  });
+
+  it("applies reported limits to writable setpoint controls only", () => {
+    const trv = getProfile("Danfoss Ally Radiator Thermostat");
+    expect(trv.objectCommon("temp_set", 21, true, { min: 5, max: 28 })).to.include({ min: 5, max: 28, step: 0.5 });
+    expect(trv.objectCommon("temp_set", 30, false, { min: 5, max: 28 })).to.include({ min: 5, max: 35 });
+    expect(trv.objectCommon("pause_setting", 4, true, { min: 7, max: 28 })).to.include({ min: 5, max: 35 });
+    expect(trv.objectCommon("temp_current", 21, false, { min: 5, max: 28 })).to.not.have.property("max");
+    expect(getProfile().objectCommon("mode", "manual", true).states).to.include({ manual: "Manual" });
+  });
+
+  it("knows writable and temperature codes", () => {
+    expect(getProfile().isWritable("temp_set")).to.equal(true);
+    expect(getProfile().isWritable("temp_current")).to.equal(false);
+    expect(writableCodes()).to.include.members(["temp_set", "mode", "child_lock", "switch"]);
+    expect(isTemperatureCode("OccupiedSetpoint")).to.equal(true);
+    expect(isTemperatureCode("battery_percentage")).to.equal(false);
+  });
+});
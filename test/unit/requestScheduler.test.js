@@ -0,0 +1,156 @@
+"use strict";
+const { expect } = require("chai");
+const { RequestScheduler, PRIORITY, parseRetryAfter, isRetryableError } = require("../../lib/requestScheduler");
+
+const log = { debug() {} };
+
+function httpError(status, headers = {}) {
+  const err = new Error(`HTTP ${status}`);
+  err.response = { status, headers };
+  return err;
+}
+
+describe("RequestScheduler", () => {
+  let scheduler;
+
+  afterEach(() => {
+    scheduler?.dispose();
+  });
+
+  it("runs commands before queued status requests", async () => {
+    scheduler = new RequestScheduler({ maxConcurrent: 1 }, log);
+    const order = [];
+    const task = label => async () => {
+      order.push(label);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    };
+
+    await Promise.all([
+      scheduler.schedule(task("status-1")),
+      scheduler.schedule(task("status-2")),
+      scheduler.schedule(task("status-3")),
+      scheduler.schedule(task("command"), { priority: PRIORITY.COMMAND })
+    ]);
+
+    expect(order).to.deep.equal(["status-1", "command", "status-2", "status-3"]);
+  });
+
+  it("queues requests above the per-minute budget", async () => {
+    scheduler = new RequestScheduler({ requestsPerMinute: 2 }, log);
+    let started = 0;
+    const task = async () => started++;
+
+    scheduler.schedule(task);
+    scheduler.schedule(task);
+    scheduler.schedule(task).catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(started).to.equal(2);
+    expect(scheduler.queueLength).to.equal(1);
+  });
+
+  it("retries 429 and pauses the whole queue until Retry-After", async () => {
+    scheduler = new RequestScheduler({}, log);
+    let calls = 0;
+    const started = Date.now();
+    const result = await scheduler.schedule(async () => {
+      if (calls++ === 0) {
+        throw httpError(429, { "retry-after": "0.1" });
+      }
+      return "ok";
+    });
+
+    expect(result).to.equal("ok");
+    expect(calls).to.equal(2);
+    expect(Date.now() - started).to.be.at.least(95);
+    expect(scheduler._blockedUntil).to.be.above(started);
+  });
+
+  it("does not retry client errors", async () => {
+    scheduler = new RequestScheduler({}, log);
+    let calls = 0;
+    let error;
+    try {
+      await scheduler.schedule(async () => {
+        calls++;
+        throw httpError(400);
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.response.status).to.equal(400);
+    expect(calls).to.equal(1);
+  });
+
+  it("backs off exponentially with jitter", () => {
+    scheduler = new RequestScheduler({ baseDelayMs: 1000, maxDelayMs: 4000 }, log);
+    for (let i = 0; i < 20; i++) {
+      expect(scheduler._backoffDelay(1)).to.be.within(500, 1000);
+      expect(scheduler._backoffDelay(2)).to.be.within(1000, 2000);
+      expect(scheduler._backoffDelay(5)).to.be.within(2000, 4000);
+    }
+  });
+
+  it("stops retrying once retries are stopped", async () => {
+    scheduler = new RequestScheduler({ baseDelayMs: 60000 }, log);
+    let calls = 0;
+    const pending = scheduler.schedule(async () => {
+      calls++;
+      throw httpError(503);
+    });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    scheduler.stopRetries();
+    let error;
+    try {
+      await pending;
+    } catch (err) {
+      error = err;
+    }
+    expect(error.response.status).to.equal(503);
+    expect(calls).to.equal(1);
+
+    const next = scheduler.schedule(async () => {
+      calls++;
+      throw httpError(503);
+    });
+    let nextError;
+    try {
+      await next;
+    } catch (err) {
+      nextError = err;
+    }
+    expect(nextError.response.status).to.equal(503);
+    expect(calls).to.equal(2);
+  });
+
+  it("rejects queued jobs on dispose", async () => {
+    scheduler = new RequestScheduler({ requestsPerMinute: 1 }, log);
+    await scheduler.schedule(async () => {});
+    const pending = scheduler.schedule(async () => {});
+    scheduler.dispose();
+    let error;
+    try {
+      await pending;
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal("Request scheduler stopped");
+  });
+});
+
+describe("parseRetryAfter / isRetryableError", () => {
+  it("parses seconds and HTTP dates", () => {
+    const now = Date.parse("2025-01-01T00:00:00Z");
+    expect(parseRetryAfter("3", now)).to.equal(3000);
+    expect(parseRetryAfter("Wed, 01 Jan 2025 00:00:10 GMT", now)).to.equal(10000);
+    expect(parseRetryAfter(undefined, now)).to.equal(null);
+    expect(parseRetryAfter("soon", now)).to.equal(null);
+  });
+
+  it("treats 429 and 5xx as retryable", () => {
+    expect(isRetryableError(httpError(429))).to.equal(true);
+    expect(isRetryableError(httpError(503))).to.equal(true);
+    expect(isRetryableError(httpError(404))).to.equal(false);
+    expect(isRetryableError(new Error("socket hang up"))).to.equal(false);
+  });
+});
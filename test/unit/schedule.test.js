@@ -0,0 +1,61 @@
+"use strict";
+const { expect } = require("chai");
+const { parseSchedule, currentSlot, nextSlot, dateKey } = require("../../lib/schedule");
+
+// 2026-10-19 ist ein Montag
+const at = (day, h, m = 0) => new Date(2026, 9, day, h, m).getTime();
+
+describe("weekly schedule", () => {
+  it("applies groups first and lets single days override them", () => {
+    const { days } = parseSchedule({
+      days: {
+        fri: [{ time: "06:00", temp: 22 }],
+        weekdays: [
+          { time: "22:00", temp: 17 },
+          { time: "6:30", temp: 21 }
+        ],
+        daily: [{ time: "08:00", temp: 19 }]
+      }
+    });
+    expect(days[1]).to.deep.equal([
+      { minutes: 390, temp: 21 },
+      { minutes: 1320, temp: 17 }
+    ]);
+    expect(days[5]).to.deep.equal([{ minutes: 360, temp: 22 }]);
+    expect(days[0]).to.deep.equal([{ minutes: 480, temp: 19 }]);
+  });
+
+  it("resolves exceptions as another weekday or own slots", () => {
+    const schedule = parseSchedule(
+      JSON.stringify({
+        days: { weekdays: [{ time: "06:00", temp: 21 }], sun: [{ time: "09:00", temp: 20 }] },
+        exceptions: { "2026-10-21": "sun", "2026-10-22": [{ time: "12:00", temp: "18.5" }] }
+      })
+    );
+    expect(currentSlot(schedule, at(21, 8))).to.deep.equal({ at: at(20, 6), temp: 21 });
+    expect(currentSlot(schedule, at(21, 10))).to.deep.equal({ at: at(21, 9), temp: 20 });
+    expect(nextSlot(schedule, at(21, 10))).to.deep.equal({ at: at(22, 12), temp: 18.5 });
+    expect(dateKey(new Date(at(22, 12)))).to.equal("2026-10-22");
+  });
+
+  it("carries the last slot over into the following days", () => {
+    const schedule = parseSchedule({ days: { sat: [{ time: "10:00", temp: 23 }] } });
+    expect(currentSlot(schedule, at(19, 12))).to.deep.equal({ at: at(17, 10), temp: 23 });
+    expect(nextSlot(schedule, at(19, 12))).to.deep.equal({ at: at(24, 10), temp: 23 });
+    expect(currentSlot(parseSchedule({ days: {} }), at(19, 12))).to.equal(null);
+    expect(nextSlot(parseSchedule({ days: {} }), at(19, 12))).to.equal(null);
+  });
+
+  it("rejects invalid schedules with a readable message", () => {
+    expect(() => parseSchedule("{")).to.throw(SyntaxError);
+    expect(() => parseSchedule({})).to.throw('"days"');
+    expect(() => parseSchedule({ days: { monday: [] } })).to.throw('unknown day "monday"');
+    expect(() => parseSchedule({ days: { mon: {} } })).to.throw("mon: slots must be an array");
+    expect(() => parseSchedule({ days: { mon: [{ time: "24:00", temp: 20 }] } })).to.throw("mon[0]: invalid time");
+    expect(() => parseSchedule({ days: { mon: [{ time: "06:00" }] } })).to.throw("mon[0]: invalid temp");
+    expect(() => parseSchedule({ days: {}, exceptions: { "24.12.2026": "sun" } })).to.throw("YYYY-MM-DD");
+    expect(() => parseSchedule({ days: {}, exceptions: { "2026-12-24": "holiday" } })).to.throw(
+      'unknown day "holiday"'
+    );
+  });
+});
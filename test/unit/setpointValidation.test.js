@@ -0,0 +1,43 @@
+"use strict";
+const { expect } = require("chai");
+const { validateSetpoint, roundToStep } = require("../../lib/setpointValidation");
+
+const limits = { min: 5, max: 28, step: 0.5 };
+
+describe("validateSetpoint", () => {
+  it("accepts values on the grid within the limits unchanged", () => {
+    expect(validateSetpoint(21.5, limits, "reject")).to.deep.equal({ ok: true, value: 21.5, adjusted: false });
+    expect(validateSetpoint("22", limits, "reject")).to.deep.equal({ ok: true, value: 22, adjusted: false });
+  });
+
+  it("clamps and rounds with the clamp policy", () => {
+    expect(validateSetpoint(35, limits, "clamp")).to.include({ ok: true, value: 28, adjusted: true });
+    expect(validateSetpoint(2, limits, "clamp")).to.include({ ok: true, value: 5 });
+    expect(validateSetpoint(21.37, limits, "clamp")).to.include({ ok: true, value: 21.5 });
+    expect(validateSetpoint(21.2, limits, "clamp")).to.include({ ok: true, value: 21 });
+  });
+
+  it("rounds but rejects out of range values with the round policy", () => {
+    expect(validateSetpoint(21.37, limits, "round")).to.include({ ok: true, value: 21.5 });
+    const res = validateSetpoint(35, limits, "round");
+    expect(res.ok).to.equal(false);
+    expect(res.reason).to.match(/above the device maximum of 28/);
+  });
+
+  it("rejects everything invalid with the reject policy", () => {
+    expect(validateSetpoint(21.37, limits, "reject").reason).to.match(/resolution of 0.5/);
+    expect(validateSetpoint(4, limits, "reject").reason).to.match(/below the device minimum of 5/);
+  });
+
+  it("rejects non-numeric values regardless of the policy", () => {
+    for (const v of ["abc", "", null, true]) {
+      expect(validateSetpoint(v, limits, "clamp").ok).to.equal(false);
+    }
+  });
+
+  it("falls back to clamp and a 0.5 °C grid", () => {
+    expect(validateSetpoint(21.3, {}, "unknown")).to.include({ ok: true, value: 21.5 });
+    expect(roundToStep(20.25, 0.5)).to.equal(20.5);
+    expect(roundToStep(20.1, 0.1)).to.equal(20.1);
+  });
+});
@@ -0,0 +1,28 @@
+"use strict";
+const { expect } = require("chai");
+const { markSeen, findStale, forget } = require("../../lib/staleTracker");
+
+const HOUR = 3600 * 1000;
+
+describe("stale tracker", () => {
+  it("finds devices and codes not reported within the grace period", () => {
+    const registry = {};
+    markSeen(registry, "trv", ["temp_set", "battery_percentage"], 0);
+    markSeen(registry, "relay", ["switch"], 0);
+    markSeen(registry, "trv", ["temp_set"], 5 * HOUR);
+
+    expect(findStale(registry, 5 * HOUR, 2 * HOUR)).to.deep.equal({
+      devices: ["relay"],
+      states: [{ deviceId: "trv", code: "battery_percentage", since: 0 }]
+    });
+    expect(findStale(registry, 5 * HOUR, 6 * HOUR)).to.deep.equal({ devices: [], states: [] });
+  });
+
+  it("forgets removed devices and codes", () => {
+    const registry = {};
+    markSeen(registry, "trv", ["temp_set", "fault"], 0);
+    markSeen(registry, "relay", [], 0);
+    forget(registry, { devices: ["relay"], states: [{ deviceId: "trv", code: "fault" }] });
+    expect(registry).to.deep.equal({ trv: { ts: 0, codes: { temp_set: 0 } } });
+  });
+});
@@ -0,0 +1,47 @@
+"use strict";
+const { expect } = require("chai");
+const { localPeriod, rollOver, addSample, summarize } = require("../../lib/statistics");
+
+const HOUR = 3600000;
+const options = { timeZone: "Europe/Berlin", maxGapMs: HOUR };
+
+describe("statistics", () => {
+  it("finds the local day and week in the device time zone", () => {
+    // Sonntag 23:30 UTC = Montag 01:30 in Berlin (Sommerzeit)
+    const ts = Date.UTC(2026, 9, 18, 23, 30);
+    expect(localPeriod(ts, "Europe/Berlin")).to.deep.equal({ day: "2026-10-19", weekStart: "2026-10-19" });
+    expect(localPeriod(ts, "UTC")).to.deep.equal({ day: "2026-10-18", weekStart: "2026-10-12" });
+  });
+
+  it("aggregates samples and counts heating hours", () => {
+    const start = Date.UTC(2026, 9, 19, 8, 0);
+    let stats = addSample(undefined, start, { temp_current: 20, pi_heating_demand: 40 }, options);
+    stats = addSample(stats, start + HOUR / 2, { temp_current: 21, pi_heating_demand: 0 }, options);
+    stats = addSample(stats, start + HOUR, { temp_current: 22.5, pi_heating_demand: 0 }, options);
+    // Lücke länger als maxGapMs zählt nicht als Heizzeit
+    stats = addSample(stats, start + 3 * HOUR, { temp_current: 22, pi_heating_demand: 50 }, options);
+    stats = addSample(stats, start + 6 * HOUR, { temp_current: 22, pi_heating_demand: 50 }, options);
+
+    expect(summarize(stats.today)).to.include({
+      temp_current_min: 20,
+      temp_current_max: 22.5,
+      temp_current_avg: 21.5,
+      heatingHours: 0.5,
+      temp_set_avg: null
+    });
+    expect(summarize(stats.thisWeek).heatingHours).to.equal(0.5);
+    expect(summarize({ temp_current: { min: 1, max: 1, sum: 1, count: 1 } }).heatingHours).to.equal(null);
+  });
+
+  it("rolls over at local midnight and drops periods that are not adjacent", () => {
+    const stats = addSample(undefined, Date.UTC(2026, 9, 25, 12), { temp_current: 20 }, options); // Sonntag
+    const monday = rollOver(stats, localPeriod(Date.UTC(2026, 9, 25, 23, 30), "Europe/Berlin"));
+    expect(summarize(monday.yesterday).temp_current_max).to.equal(20);
+    expect(summarize(monday.lastWeek).temp_current_max).to.equal(20);
+    expect(summarize(monday.today).temp_current_max).to.equal(null);
+
+    const later = rollOver(stats, localPeriod(Date.UTC(2026, 10, 10, 12), "Europe/Berlin"));
+    expect(summarize(later.yesterday).temp_current_max).to.equal(null);
+    expect(summarize(later.lastWeek).temp_current_max).to.equal(null);
+  });
+});
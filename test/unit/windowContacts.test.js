@@ -0,0 +1,45 @@
+"use strict";
+const { expect } = require("chai");
+const { parseWindowTable, isContactOpen, parseWindowPauses } = require("../../lib/windowContacts");
+
+const sanitize = id => id.replace(/[^\w-]/g, "_");
+
+describe("window contacts", () => {
+  it("maps contacts to devices and expands groups", () => {
+    const groups = new Map([["Living_Room", { name: "Living Room", members: ["trv1", "trv2"] }]]);
+    const map = parseWindowTable(
+      [
+        { target: "Living Room", contacts: "zigbee.0.a.opened, hm-rpc.0.b.STATE" },
+        { target: "trv1", contacts: "zigbee.0.a.opened;zigbee.0.c.opened" },
+        { target: "groups.Living_Room", contacts: "" },
+        { target: "trv.3", contacts: "zigbee.0.d.opened" },
+        { contacts: "x" }
+      ],
+      sanitize,
+      groups
+    );
+    expect([...map.keys()]).to.deep.equal(["trv1", "trv2", "trv_3"]);
+    expect(map.get("trv1")).to.deep.equal(["zigbee.0.a.opened", "hm-rpc.0.b.STATE", "zigbee.0.c.opened"]);
+    expect(map.get("trv2")).to.deep.equal(["zigbee.0.a.opened", "hm-rpc.0.b.STATE"]);
+    expect(parseWindowTable(undefined, sanitize, groups).size).to.equal(0);
+  });
+
+  it("reads the usual contact values", () => {
+    for (const open of [true, 1, 2, "open", "Opened", "tilted", "true"]) {
+      expect(isContactOpen(open), String(open)).to.equal(true);
+    }
+    for (const closed of [false, 0, "close", "closed", "false", "", null, undefined]) {
+      expect(isContactOpen(closed), String(closed)).to.equal(false);
+    }
+  });
+
+  it("drops invalid stored pauses", () => {
+    const stored = JSON.stringify({
+      trv1: { since: 1, trigger: "zigbee.0.a.opened", previous: { mode: "manual", temp_set: 21 } },
+      trv2: { since: 1, previous: null }
+    });
+    expect(parseWindowPauses(stored)).to.have.keys("trv1");
+    expect(parseWindowPauses("{")).to.deep.equal({});
+    expect(parseWindowPauses("")).to.deep.equal({});
+  });
+});